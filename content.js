@@ -26,12 +26,43 @@
             victoryTitle: "Our Beautiful Journey",
             victorySubtitle: "Every moment with you is a treasure",
             finalMessage: "Happy Anniversary!",
-            signature: "With love"
+            signature: "With love",
+            nudges: [
+                "You're close - keep matching ♥",
+                "A memory is hiding somewhere near",
+                "Try the other side of the board"
+            ]
         },
         music: "",
         settings: {
+            mode: "moves",
             moves: 75,
+            timer: {
+                seconds: 120,
+                cascadeBonus: 2,
+                memoryBonus: 5,
+                extraSeconds: 30
+            },
+            zen: {
+                nudgeAfter: 8
+            },
+            undos: 3,
+            autoplay: {
+                pace: 900,
+                photoTime: 2500,
+                loop: true
+            },
             gridSize: 8,
+            layout: null,
+            blockers: null,
+            locks: null,
+            seed: null,
+            difficulty: {
+                helperBias: 0.4,
+                adaptive: false,
+                weights: {}
+            },
+            matchPatterns: [],
             colors: {
                 primary: "#FF69B4",
                 secondary: "#FFD700",
@@ -49,6 +80,8 @@
             memories: custom.memories || defaults.memories,
             messages: { ...defaults.messages, ...custom.messages },
             music: custom.music !== undefined ? custom.music : defaults.music,
+            levels: Array.isArray(custom.levels) ? custom.levels : [],
+            tiles: custom.tiles && typeof custom.tiles === 'object' ? custom.tiles : {},
             settings: {
                 ...defaults.settings,
                 ...custom.settings,
@@ -68,6 +101,28 @@
             .replace(/[<>:"|?*]/g, ''); // Remove invalid filename chars
     }
 
+    // URL parameters: ?seed= wins over settings.seed so a board can be shared by link,
+    // and ?demo=1 lets the game play itself
+    function getURLParam(name) {
+        try {
+            return new URLSearchParams(window.location.search).get(name);
+        } catch {
+            return null;
+        }
+    }
+
+    // Tile set with image paths pointing into customize/tiles/
+    function buildTileSet(tiles) {
+        const list = Array.isArray(tiles.tiles) ? tiles.tiles.filter(t => t && typeof t === 'object') : [];
+        return {
+            count: tiles.count,
+            tiles: list.map(t => ({
+                ...t,
+                image: t.image ? 'customize/tiles/' + sanitizePath(t.image) : ''
+            }))
+        };
+    }
+
     // Convert to game's internal format
     function initializeGame() {
         const config = loadConfig();
@@ -81,7 +136,21 @@
         // Build game config
         window.gameConfig = {
             gridSize: config.settings.gridSize,
+            layout: config.settings.layout,
+            blockers: config.settings.blockers,
+            locks: config.settings.locks,
+            mode: config.settings.mode,
             startingMoves: config.settings.moves,
+            timer: config.settings.timer,
+            zen: config.settings.zen,
+            undos: config.settings.undos,
+            seed: getURLParam('seed') || config.settings.seed,
+            demo: getURLParam('demo') === '1',
+            autoplay: config.settings.autoplay,
+            levels: config.levels,
+            difficulty: config.settings.difficulty,
+            matchPatterns: config.settings.matchPatterns,
+            tileSet: buildTileSet(config.tiles),
 
             // Audio paths (with path sanitization)
             backgroundMusic: config.music ? 'customize/music/' + sanitizePath(config.music) : '',
@@ -100,6 +169,7 @@
             victorySubtitle: config.messages.victorySubtitle,
             finalMessage: config.messages.finalMessage,
             signature: config.messages.signature,
+            nudges: config.messages.nudges,
 
             // Theme colors
             theme: config.settings.colors
@@ -83,7 +83,15 @@ const myMessages = {
     victoryTitle: "Our Love Story",
     victorySubtitle: "Every moment with you is a treasure",
     finalMessage: "Here's to many more adventures together!",
-    signature: "With all my love"
+    signature: "With all my love",
+
+    // Gentle hints in "zen" mode when no photo has turned up for a while
+    // (shown one after another)
+    nudges: [
+        "You're close - keep matching ♥",
+        "A memory is hiding somewhere near",
+        "Try the other side of the board"
+    ]
 };
 
 
@@ -102,13 +110,120 @@ const myMusic = "";
 // ============================================================
 
 const mySettings = {
+    // How to play:
+    // - "moves": a relaxed puzzle with a move budget (the classic game)
+    // - "timed": a quick, frantic round against the clock - great for a party
+    // - "zen": no moves and no clock, just keep matching until every photo is found
+    mode: "moves",
+
     // How many moves the player gets (more moves = easier game)
     // Recommended: 50-80 for a relaxed experience
     moves: 75,
 
+    // The clock for "timed" mode
+    // - seconds: Time for the whole board (or each chapter; chapters can set
+    //   their own with time: 90)
+    // - cascadeBonus: Seconds added for each chain reaction
+    // - memoryBonus: Seconds added for each memory found
+    // - extraSeconds: Seconds the "Need More Time?" button adds
+    // The clock stops while a photo is open.
+    timer: {
+        seconds: 120,
+        cascadeBonus: 2,
+        memoryBonus: 5,
+        extraSeconds: 30
+    },
+
+    // "zen" mode: how many moves without finding a photo before a gentle
+    // nudge appears under the board (the messages are in myMessages.nudges)
+    zen: {
+        nudgeAfter: 8
+    },
+
+    // How many times per game the Undo button can take back a swap
+    // (0 hides the button)
+    undos: 3,
+
+    // "Watch it solve": open the game with ?demo=1 on the end of the address
+    // (or tap the heart on the start screen three times) and it plays itself,
+    // photos and all. Handy for checking every photo before you give the gift.
+    // A tap or key press takes over; a demo never touches the saved game.
+    // - pace: Milliseconds between moves
+    // - photoTime: Milliseconds each photo stays up
+    // - loop: Start over after the last photo (a demo for the start screen)
+    autoplay: {
+        pace: 900,
+        photoTime: 2500,
+        loop: true
+    },
+
     // Grid size (8 is standard, 6-8 works well)
     gridSize: 8,
 
+    // Board shape (optional). Leave as null for a gridSize x gridSize square.
+    // - "heart": a heart-shaped board
+    // - { rows: 9, cols: 7 }: a rectangle
+    // - Your own drawing, one line per row: X is a cell, . is a hole
+    //     layout: [
+    //         "XXXXXXX",
+    //         "XXX.XXX",
+    //         "XX...XX",
+    //         "XXX.XXX",
+    //         "XXXXXXX"
+    //     ],
+    // Chapters can set their own layout too.
+    layout: null,
+
+    // Jelly and ice under the candies (optional). Matching on top of jelly
+    // clears it; ice takes two matches. Leave as null for none.
+    // - { jelly: 10, ice: 4 }: scattered at random (the seed decides where)
+    // - Your own drawing, like layout: J is jelly, I is ice, . is nothing
+    //     blockers: [
+    //         "J......J",
+    //         ".I....I.",
+    //     ],
+    // Chapters can set their own blockers too.
+    blockers: null,
+
+    // Licorice locks (optional). A locked candy cannot be swapped and does
+    // not fall; matching it or hitting it with a special breaks the lock.
+    // - candies: How many ordinary candies start locked (the seed decides which)
+    // - memories: How many memory tiles start locked, the last photos first,
+    //   so the final memories take a little more work
+    // Example: locks: { candies: 6, memories: 2 },
+    // Chapters can set their own locks too.
+    locks: null,
+
+    // Board seed (optional). The same seed always deals the same board,
+    // so you can share a board you like. Leave as null for a new one each time.
+    // You can also add ?seed=1234 to the page address.
+    seed: null,
+
+    // Difficulty (optional)
+    // - helperBias: Chance (0-1) that a new candy matches a nearby memory tile.
+    //   Higher is easier.
+    // - adaptive: Raise that chance when moves are running low for the photos
+    //   still hidden, and lower it when the player is far ahead
+    // - weights: How often each candy color appears, e.g. { heart: 2 } makes
+    //   hearts twice as common. Colors not listed count as 1.
+    //   (colors: heart, diamond, rose, star, ring, or your own tile names)
+    difficulty: {
+        helperBias: 0.4,
+        adaptive: false,
+        weights: {}
+    },
+
+    // Extra match shapes (optional, for the adventurous)
+    // Each one clears when candies of one color fill its shape, and leaves a
+    // special behind. Draw the shape with X for a candy, * for the candy that
+    // becomes the special and . for a gap. Rotations count too.
+    // - special: "striped-h", "striped-v", "wrapped", "color-bomb" or null
+    // - priority: Which shape wins when they overlap (built-in: line of 3 = 0,
+    //   square = 10, line of 4 = 20, L/T/plus = 30, line of 5 = 40)
+    // Example - a big T of 7 candies that makes a color bomb:
+    //   { name: "big-t", shape: ["XX*XX", "..X..", "..X.."], priority: 50, special: "color-bomb" }
+    matchPatterns: [],
+
     // Color theme (you can change these hex colors)
     colors: {
         primary: "#FF69B4",      // Pink - buttons and accents
@@ -118,6 +233,73 @@ const mySettings = {
 };
 
 
+// ============================================================
+// STEP 5: CHAPTERS (optional)
+// ============================================================
+// Split the game into short levels instead of one long board.
+// Leave the list empty ([]) for a single board with every memory.
+//
+// Each level can set:
+// - name: Shown on the intro card and in the header
+// - intro: A line of text for the intro card
+// - gridSize, layout, blockers, locks, moves, time: Board size, shape, jelly/ice,
+//   locks, move budget and seconds in "timed" mode (default: settings above)
+// - tileTypes: How many candy colors (3 up to your tile count, fewer is easier)
+// - memories: How many photos this level reveals, in order
+//   (levels without a number share the remaining photos)
+// - objective: What else the level asks for
+//     { type: "memories" }                           just find the photos
+//     { type: "score", target: 3000 }                reach a score
+//     { type: "collect", color: "heart", count: 30 } clear candies of one color
+//     { type: "blockers" }                           clear all the jelly and ice
+//     (colors: heart, diamond, rose, star, ring, or your own tile names)
+//
+// Example - five chapters of two photos each:
+// const myLevels = [
+//     { name: "How We Met", gridSize: 7, moves: 20, tileTypes: 4, memories: 2 },
+//     { name: "Our First Home", moves: 25, memories: 2,
+//       objective: { type: "collect", color: "heart", count: 25 } },
+//     { name: "Adventures", memories: 2, objective: { type: "score", target: 3000 } },
+//     { name: "Family", memories: 2 },
+//     { name: "Today", memories: 2 }
+// ];
+
+const myLevels = [];
+
+
+// ============================================================
+// STEP 6: YOUR OWN TILES (optional)
+// ============================================================
+// Replace the candies with things that mean something to you two.
+// Put tile pictures in the "customize/tiles" folder (square PNG or SVG
+// works best). Leave the list empty ([]) for the classic candies.
+//
+// - count: How many tile types are in play (4-7, fewer is easier)
+// - tiles: Each tile needs a name, a label (read out by screen readers)
+//   and ONE of:
+//     image: "coffee.png"      a file in customize/tiles/
+//     emoji: "☕"
+//     svg: "<svg ...>...</svg>" inline SVG markup
+//   If you list fewer tiles than count, classic candies fill the gap.
+//
+// Example:
+// const myTiles = {
+//     count: 5,
+//     tiles: [
+//         { name: "coffee", label: "Coffee cup", image: "coffee.png" },
+//         { name: "dog", label: "Biscuit the dog", image: "biscuit.png" },
+//         { name: "ticket", label: "Plane ticket", emoji: "✈️" },
+//         { name: "pizza", label: "Friday pizza", emoji: "🍕" },
+//         { name: "moon", label: "Moon", svg: "<svg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 24 24'><path d='M12 3a9 9 0 1 0 9 9 7 7 0 0 1-9-9z' fill='#fff8dc'/></svg>" }
+//     ]
+// };
+
+const myTiles = {
+    count: 5,
+    tiles: []
+};
+
+
 // ============================================================
 // DON'T EDIT BELOW THIS LINE
 // (This connects your config to the game)
@@ -127,5 +309,7 @@ window.CustomConfig = {
     memories: myMemories,
     messages: myMessages,
     music: myMusic,
-    settings: mySettings
+    settings: mySettings,
+    levels: myLevels,
+    tiles: myTiles
 };
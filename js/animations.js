@@ -53,8 +53,12 @@ const Animations = {
 
     /**
      * Remove tile animation
+     * @param {number} [delay] - Wait before starting (chain reaction waves)
      */
-    async removeTile(tile, animationType = 'matched') {
+    async removeTile(tile, animationType = 'matched', delay = 0) {
+        if (delay > 0) {
+            await this.wait(delay);
+        }
         tile.classList.add(animationType);
         await this.wait(300);
         tile.classList.remove(animationType);
@@ -127,18 +131,30 @@ const Animations = {
     },
 
     /**
-     * Shuffle board animation
+     * Shuffle animation - each tile glides from its old cell to its new one
+     * @param {Array} animations - [{ tile, rows, cols }] offsets back to the old cell
      */
-    async shuffleBoard(board) {
-        board.style.transition = 'transform 300ms ease-in-out';
-        board.style.transform = 'scale(0.95) rotate(2deg)';
-        await this.wait(150);
-        board.style.transform = 'scale(0.95) rotate(-2deg)';
-        await this.wait(150);
-        board.style.transform = 'scale(1) rotate(0)';
-        await this.wait(300);
-        board.style.transform = '';
-        board.style.transition = '';
+    async shuffleTiles(animations) {
+        const tileSize = animations[0]?.tile?.offsetHeight || 50;
+
+        animations.forEach(({ tile, rows, cols }) => {
+            tile.style.transform = `translate(${cols * (tileSize + 4)}px, ${rows * (tileSize + 4)}px)`;
+        });
+
+        // Force reflow
+        void animations[0]?.tile?.offsetHeight;
+
+        animations.forEach(({ tile }) => {
+            tile.classList.add('shuffling');
+            tile.style.transform = 'translate(0, 0)';
+        });
+
+        await this.wait(500);
+
+        animations.forEach(({ tile }) => {
+            tile.classList.remove('shuffling');
+            tile.style.transform = '';
+        });
     },
 
     /**
@@ -185,6 +201,33 @@ const Animations = {
         board.appendChild(fragment);
     },
 
+    /**
+     * Floating "+points" popup over a tile, with the cascade multiplier when above 1
+     */
+    scorePopup(tile, points, multiplier = 1) {
+        const board = tile.closest('.game-board');
+        if (!board) return;
+
+        const tileRect = tile.getBoundingClientRect();
+        const boardRect = board.getBoundingClientRect();
+
+        const popup = document.createElement('div');
+        popup.className = 'score-popup';
+        popup.textContent = `+${points}`;
+        popup.style.left = `${tileRect.left - boardRect.left + tileRect.width / 2}px`;
+        popup.style.top = `${tileRect.top - boardRect.top + tileRect.height / 2}px`;
+
+        if (multiplier > 1) {
+            const badge = document.createElement('span');
+            badge.className = 'score-multiplier';
+            badge.textContent = `x${multiplier}`;
+            popup.appendChild(badge);
+        }
+
+        board.appendChild(popup);
+        setTimeout(() => popup.remove(), 900);
+    },
+
     /**
      * Screen transition animation
      */
@@ -401,6 +444,24 @@ const Animations = {
         tile.classList.remove('selected');
     },
 
+    /**
+     * Move a tile with the pointer during a drag
+     */
+    dragTile(tile, x, y) {
+        tile.classList.add('dragging');
+        tile.style.transform = `translate(${x}px, ${y}px)`;
+    },
+
+    /**
+     * End a drag, optionally sliding the tile back into its cell
+     */
+    releaseTile(tile, snapBack = true) {
+        tile.classList.remove('dragging');
+        if (snapBack) {
+            tile.style.transform = '';
+        }
+    },
+
     /**
      * Start ambient background particles
      */
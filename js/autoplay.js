@@ -0,0 +1,216 @@
+/* ============================================
+   AUTOPLAY - Anniversary Candy Crush
+   ============================================ */
+
+/**
+ * A bot that plays the real game: it picks the move the hint button would
+ * show and swaps through Game.attemptSwap, one step every `pace` ms.
+ *
+ * It also answers everything that would normally wait for a person: it
+ * starts the game, opens each level, keeps each photo up for `photoTime` ms,
+ * takes the bonus moves and, with `loop` on, starts over after the victory
+ * screen (an attract mode for the start screen). Saves are left alone while
+ * it runs, and a real tap or key press hands the game back to the player.
+ *
+ * Given a driver (Replay), it plays the driver's moves and prompt answers
+ * instead, checking in every `tickRate` ms so the driver can keep its timing.
+ */
+const Autoplay = {
+    // Settings (from settings.autoplay)
+    pace: 900, // ms between moves
+    photoTime: 2500, // ms each photo (and the victory screen) stays up
+    loop: true, // Start over after the victory screen
+
+    tickRate: 100, // ms between steps when a driver sets the pace
+
+    isRunning: false,
+    driver: null, // { nextAction(now), takeBonus(), finish(), watching.speed } instead of picking moves
+    timerId: null,
+    lingerSince: null, // When the photo or victory screen on show was first seen
+    stopHandler: null,
+
+    /**
+     * Read settings.autoplay and listen for the hidden start-screen gesture
+     * (three quick taps on the heart)
+     * @param {Object} [settings] - { pace, photoTime, loop }
+     */
+    init(settings) {
+        const config = settings && typeof settings === 'object' ? settings : {};
+        const ms = (value, fallback, min) => {
+            const n = Number(value);
+            return Number.isFinite(n) ? Math.max(min, n) : fallback;
+        };
+
+        this.pace = ms(config.pace, 900, 200);
+        this.photoTime = ms(config.photoTime, 2500, 0);
+        this.loop = config.loop !== false;
+
+        const heart = document.querySelector('.start-content .heart-decoration');
+        if (heart) {
+            let taps = [];
+            heart.addEventListener('click', () => {
+                const now = Date.now();
+                taps = taps.filter(time => now - time < 1000).concat(now);
+                if (taps.length >= 3) {
+                    taps = [];
+                    this.start();
+                }
+            });
+        }
+    },
+
+    /**
+     * Start playing (from whatever screen is showing)
+     * @param {Object} [driver] - Where the moves come from (Replay), instead of the hint ranking
+     */
+    start(driver = null) {
+        if (this.isRunning) return;
+
+        this.isRunning = true;
+        this.driver = driver;
+        this.lingerSince = null;
+
+        // A real tap or key press takes over a demo (the bot's own clicks are not
+        // trusted events); a replay has its own controls
+        if (!driver) {
+            this.stopHandler = (e) => {
+                if (e.isTrusted) this.stop();
+            };
+            document.addEventListener('pointerdown', this.stopHandler);
+            document.addEventListener('keydown', this.stopHandler);
+        }
+
+        this.schedule();
+    },
+
+    /**
+     * Stop playing and hand the game back
+     */
+    stop() {
+        this.isRunning = false;
+        this.driver = null;
+        clearTimeout(this.timerId);
+        this.timerId = null;
+
+        if (this.stopHandler) {
+            document.removeEventListener('pointerdown', this.stopHandler);
+            document.removeEventListener('keydown', this.stopHandler);
+            this.stopHandler = null;
+        }
+    },
+
+    /**
+     * Queue the next step
+     */
+    schedule() {
+        this.timerId = setTimeout(() => {
+            if (!this.isRunning) return;
+            this.step();
+            this.schedule();
+        }, this.driver ? this.tickRate : this.pace);
+    },
+
+    /**
+     * Do whatever the game is waiting for
+     * @param {number} [now] - Current time in ms
+     * @returns {string} - What was done (for tests and debugging)
+     */
+    step(now = Date.now()) {
+        const screens = Game.screens;
+        // On show and not already fading out (so nothing is clicked twice)
+        const isActive = element => Boolean(element && element.classList.contains('active') &&
+            element.style.opacity !== '0');
+
+        if (isActive(screens.start)) {
+            Game.startGame();
+            return 'start';
+        }
+
+        if (isActive(screens.victory)) {
+            if (this.linger(now)) return 'victory';
+            if (this.driver) {
+                const driver = this.driver;
+                this.stop();
+                driver.finish();
+                return 'stop';
+            }
+            if (this.loop) {
+                Game.restartGame();
+                return 'restart';
+            }
+            this.stop();
+            return 'stop';
+        }
+
+        if (isActive(screens.level)) {
+            Game.elements.levelStart.click();
+            return 'level';
+        }
+
+        if (isActive(MemorySystem.overlay)) {
+            if (this.linger(now)) return 'photo';
+            MemorySystem.hideMemory();
+            return 'close';
+        }
+
+        if (isActive(screens.bonus)) {
+            const take = this.driver ? this.driver.takeBonus() : true;
+            if (take === null) return 'wait';
+            (take ? Game.elements.bonusYes : Game.elements.bonusNo).click();
+            return take ? 'bonus' : 'done';
+        }
+
+        if (!Game.isPlaying || Game.isPaused || Game.isProcessing) {
+            return 'wait';
+        }
+
+        if (this.driver) {
+            const action = this.driver.nextAction(now);
+            if (!action) return 'wait';
+            if (action.undo) {
+                Game.undo(true);
+                return 'undo';
+            }
+            Game.attemptSwap(action.swap[0], action.swap[1]);
+            return 'swap';
+        }
+
+        const move = this.pickMove(Grid.data);
+        if (!move) return 'wait';
+
+        Game.attemptSwap(move[0], move[1]);
+        return 'swap';
+    },
+
+    /**
+     * Whether the screen on show should stay up a little longer
+     * (photoTime from the first step that saw it)
+     */
+    linger(now) {
+        const speed = this.driver && this.driver.watching ? this.driver.watching.speed : 1;
+        if (this.lingerSince === null) this.lingerSince = now;
+        if (now - this.lingerSince < this.photoTime / speed) return true;
+
+        this.lingerSince = null;
+        return false;
+    },
+
+    /**
+     * The move the hint button would show first
+     * @param {Array} board - The game board
+     * @returns {Array|null} - [pos1, pos2], or null when there is no legal swap
+     */
+    pickMove(board) {
+        const [best] = Engine.rankMoves(board);
+        return best ? best.move : null;
+    }
+};
+
+// Export for both browser and module environments
+if (typeof window !== 'undefined') {
+    window.Autoplay = Autoplay;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Autoplay;
+}
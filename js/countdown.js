@@ -0,0 +1,120 @@
+/* ============================================
+   COUNTDOWN - Anniversary Candy Crush
+   ============================================ */
+
+/**
+ * The clock for time-attack rounds (settings.mode: "timed" in my-config.js).
+ *
+ * It counts down in real time between ticks, but skips any stretch where
+ * isPaused() says the game is paused (a memory photo or the bonus prompt is
+ * open), and calls onExpire once when it reaches zero. Bonus seconds can
+ * bring it back from zero.
+ */
+const Countdown = {
+    // Settings (from settings.timer)
+    limit: 120, // Seconds per level unless the level sets its own time
+    cascadeBonus: 2, // Seconds for each chain reaction after the first clear of a move
+    memoryBonus: 5, // Seconds for each memory found
+    extraSeconds: 30, // Seconds added by the "need more time?" prompt
+
+    remaining: 0, // Milliseconds left
+    interval: 250, // ms between ticks
+    timerId: null,
+    lastTick: 0,
+    isPaused: () => false,
+    onTick: null,
+    onExpire: null,
+
+    /**
+     * Read settings.timer
+     * @param {Object} [settings] - { seconds, cascadeBonus, memoryBonus, extraSeconds }
+     */
+    init(settings) {
+        const config = settings && typeof settings === 'object' ? settings : {};
+        const seconds = (value, fallback, min = 0) => {
+            const n = Number(value);
+            return Number.isFinite(n) ? Math.max(min, n) : fallback;
+        };
+
+        this.limit = seconds(config.seconds, 120, 10);
+        this.cascadeBonus = seconds(config.cascadeBonus, 2);
+        this.memoryBonus = seconds(config.memoryBonus, 5);
+        this.extraSeconds = seconds(config.extraSeconds, 30, 1);
+    },
+
+    /**
+     * Start counting down
+     * @param {number} seconds - Time on the clock
+     * @param {Object} [hooks] - { isPaused, onTick, onExpire }
+     */
+    start(seconds, { isPaused, onTick, onExpire } = {}) {
+        this.stop();
+        this.remaining = Math.max(0, seconds) * 1000;
+        this.isPaused = isPaused || (() => false);
+        this.onTick = onTick || null;
+        this.onExpire = onExpire || null;
+        this.lastTick = Date.now();
+        this.timerId = setInterval(() => this.tick(), this.interval);
+    },
+
+    /**
+     * Take the time since the last tick off the clock (unless paused)
+     */
+    tick(now = Date.now()) {
+        const elapsed = now - this.lastTick;
+        this.lastTick = now;
+        if (this.remaining <= 0 || this.isPaused()) return;
+
+        this.remaining = Math.max(0, this.remaining - elapsed);
+        if (this.onTick) {
+            this.onTick(this.seconds());
+        }
+        if (this.remaining === 0 && this.onExpire) {
+            this.onExpire();
+        }
+    },
+
+    /**
+     * Put seconds back on the clock
+     */
+    add(seconds) {
+        this.remaining += Math.max(0, seconds) * 1000;
+        if (this.onTick) {
+            this.onTick(this.seconds());
+        }
+    },
+
+    /**
+     * Stop the clock (the time left is kept)
+     */
+    stop() {
+        if (this.timerId !== null) {
+            clearInterval(this.timerId);
+            this.timerId = null;
+        }
+    },
+
+    /**
+     * Whole seconds left, rounded up so 0 only shows when time is up
+     */
+    seconds() {
+        return Math.ceil(this.remaining / 1000);
+    },
+
+    /**
+     * Seconds as m:ss
+     */
+    format(seconds = this.seconds()) {
+        const minutes = Math.floor(seconds / 60);
+        return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+};
+
+// Export for both browser and module environments
+if (typeof window !== 'undefined') {
+    window.Countdown = Countdown;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Countdown;
+}
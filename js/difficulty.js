@@ -0,0 +1,77 @@
+/* ============================================
+   DIFFICULTY - Anniversary Candy Crush
+   ============================================ */
+
+/**
+ * Spawn tuning from settings.difficulty in my-config.js.
+ *
+ * helperBias is the chance that a new candy copies the color of a nearby
+ * memory tile. In adaptive mode it rises when the player is running short
+ * of moves for the memories still hidden, and falls when they are far
+ * ahead, so the board stays a challenge without becoming unwinnable.
+ */
+const Difficulty = {
+    helperBias: 0.4,
+    weights: {}, // Relative spawn chance per tile type
+    adaptive: false,
+
+    // Adaptive bias range
+    minBias: 0.1,
+    maxBias: 0.8,
+
+    // Pace (compared with the level's starting moves per memory) counted as far ahead
+    aheadPace: 3,
+
+    /**
+     * Read settings.difficulty
+     * @param {Object} [settings] - { helperBias, weights, adaptive }
+     */
+    init(settings) {
+        const config = settings && typeof settings === 'object' ? settings : {};
+        const bias = Number(config.helperBias);
+
+        this.helperBias = Number.isFinite(bias) ? Math.max(0, Math.min(1, bias)) : 0.4;
+        this.adaptive = Boolean(config.adaptive);
+        this.weights = {};
+
+        for (const [type, weight] of Object.entries(config.weights || {})) {
+            const value = Number(weight);
+            if (Number.isFinite(value) && value >= 0) {
+                this.weights[type] = value;
+            }
+        }
+    },
+
+    /**
+     * Helper bias for how the player is doing
+     * @param {Object} standing - { moves, hidden, startMoves, memories }
+     *   moves left, memories still hidden, and the level's starting moves and memories
+     * @returns {number} - Chance in [0, 1]
+     */
+    biasFor({ moves, hidden, startMoves, memories }) {
+        const base = this.helperBias;
+        if (!this.adaptive || hidden <= 0 || memories <= 0 || startMoves <= 0) {
+            return base;
+        }
+
+        // 1 means on track to find the rest with the moves left
+        const pace = (moves / hidden) / (startMoves / memories);
+        const behind = Math.max(0, Math.min(1, 1 - pace));
+        const ahead = Math.max(0, Math.min(1, (pace - 1) / (this.aheadPace - 1)));
+
+        const bias = base +
+            Math.max(0, this.maxBias - base) * behind -
+            Math.max(0, base - this.minBias) * ahead;
+
+        return Math.max(0, Math.min(1, bias));
+    }
+};
+
+// Export for both browser and module environments
+if (typeof window !== 'undefined') {
+    window.Difficulty = Difficulty;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Difficulty;
+}
@@ -0,0 +1,1049 @@
+/* ============================================
+   GAME ENGINE - Anniversary Candy Crush
+   Headless board rules (no DOM)
+   ============================================ */
+
+/**
+ * Pure board rules shared by the browser game and headless tools.
+ *
+ * Every step works on a plain 2D array of tile data objects and returns an
+ * event describing what changed. Grid plays those events back on the DOM;
+ * playTurn() chains the steps into whole turns so the real rules can run
+ * in Node.
+ *
+ * Event types: swap, combination, clear, layer-hit, special-created,
+ * memory-collected, fall, spawn, shuffle
+ *
+ * A board cell holds a tile, null while it waits for one, or false for a
+ * hole in a shaped board (see Layouts). Boards may be rectangular.
+ *
+ * Jelly and ice live in a separate layers grid of the same shape: they
+ * belong to the cell, so tiles fall and shuffle over them.
+ *
+ * A locked tile (licorice lock) cannot be swapped, fall or shuffle. A clear
+ * that reaches it breaks the lock instead of removing the tile.
+ */
+const Engine = {
+    // Chance that a spawned tile copies a nearby memory tile's type
+    // (Difficulty adjusts this during play)
+    helperBias: 0.4,
+
+    // Relative chance of each tile type; types not listed weigh 1
+    spawnWeights: {},
+
+    // ==========================================
+    // TILES & BOARDS
+    // ==========================================
+
+    /**
+     * Create a plain tile data object
+     */
+    createTile(type, special = null) {
+        return {
+            type: type,
+            special: special,
+            isMemory: false,
+            memoryId: null,
+            locked: false
+        };
+    },
+
+    /**
+     * Deep copy a board (tiles are plain objects)
+     */
+    cloneBoard(board) {
+        return board.map(row => row.map(tile => (tile ? { ...tile } : tile)));
+    },
+
+    /**
+     * Whether a position is on the board and not a hole
+     */
+    isCell(board, row, col) {
+        const cell = board[row]?.[col];
+        return cell !== undefined && cell !== false;
+    },
+
+    /**
+     * The board's shape: rows of booleans, true where it has a cell
+     */
+    maskOf(board) {
+        return board.map(row => row.map(cell => cell !== false));
+    },
+
+    /**
+     * Put licorice locks on tiles
+     * @param {Array} board - The game board
+     * @param {Object} [locks] - { candies, memories }: how many plain candies to lock
+     *   (placed by the seed) and how many memory tiles, the last memories first
+     * @returns {Array} - Positions locked
+     */
+    lockTiles(board, locks = null) {
+        if (!locks || typeof locks !== 'object') return [];
+
+        const plain = [];
+        const memories = [];
+        board.forEach((cells, row) => cells.forEach((tile, col) => {
+            if (!tile || tile.locked || tile.special) return;
+            (tile.isMemory ? memories : plain).push({ row, col });
+        }));
+        memories.sort((a, b) => board[b.row][b.col].memoryId - board[a.row][a.col].memoryId);
+
+        const count = (value, max) => Math.min(max, Math.max(0, Math.floor(Number(value) || 0)));
+        const locked = memories.slice(0, count(locks.memories, memories.length));
+        for (let i = count(locks.candies, plain.length); i > 0; i--) {
+            locked.push(...plain.splice(Random.int(plain.length), 1));
+        }
+
+        locked.forEach(pos => { board[pos.row][pos.col].locked = true; });
+        return locked;
+    },
+
+    /**
+     * Get random tile type, following spawnWeights
+     */
+    randomType(tileTypes) {
+        const weights = this.spawnWeights;
+        if (!tileTypes.some(type => type in weights)) {
+            return Random.pick(tileTypes);
+        }
+        return Random.pickWeighted(tileTypes, tileTypes.map(type => weights[type] ?? 1));
+    },
+
+    /**
+     * Generate a board with no starting matches
+     * @param {number} size - Board width/height
+     * @param {Array} tileTypes - Tile types to draw from
+     * @param {Array} memoryPositions - [{ row, col, memoryId }]
+     * @param {Array} [mask] - Board shape from Layouts.build() (overrides size)
+     * @returns {Array} - 2D array of tile data (holes are false)
+     */
+    generateBoard(size, tileTypes, memoryPositions = [], mask = null) {
+        const memoryIds = new Map(memoryPositions.map(p => [`${p.row},${p.col}`, p.memoryId]));
+        const board = [];
+        const rows = mask ? mask.length : size;
+
+        for (let row = 0; row < rows; row++) {
+            board[row] = [];
+            const cols = mask ? mask[row].length : size;
+            for (let col = 0; col < cols; col++) {
+                if (mask && !mask[row][col]) {
+                    board[row][col] = false;
+                    continue;
+                }
+
+                let type;
+                let attempts = 0;
+
+                // Keep generating until no initial match
+                do {
+                    type = this.randomType(tileTypes);
+                    attempts++;
+                } while (attempts < 50 && this.wouldCreateInitialMatch(board, row, col, type));
+
+                const tile = this.createTile(type);
+                const key = `${row},${col}`;
+                if (memoryIds.has(key)) {
+                    tile.isMemory = true;
+                    tile.memoryId = memoryIds.get(key) ?? null;
+                }
+                board[row][col] = tile;
+            }
+        }
+
+        return board;
+    },
+
+    /**
+     * Check if placing a type at position would create an initial match
+     * (only looks at the cells generated before it - left and up)
+     */
+    wouldCreateInitialMatch(board, row, col, type) {
+        const generated = board.slice(0, row).concat([(board[row] || []).slice(0, col)]);
+        return MatchDetector.matchesAt(generated, { row, col }, type);
+    },
+
+    /**
+     * Find a tile type that would help match nearby memory tiles
+     */
+    helpfulTypeForPosition(board, row, col) {
+        // Look in a 5x5 area around the position for memory tiles
+        for (let dr = -2; dr <= 2; dr++) {
+            for (let dc = -2; dc <= 2; dc++) {
+                const tile = board[row + dr]?.[col + dc];
+                if (tile && tile.isMemory) {
+                    return tile.type;
+                }
+            }
+        }
+        return null;
+    },
+
+    // ==========================================
+    // BOARD NOTATION
+    // ==========================================
+
+    // One row per line, one token per cell, separated by spaces:
+    //   a letter for the tile type (see tileLetters), then any marks:
+    //   - striped-h, | striped-v, + wrapped, @ color bomb,
+    //   *3 memory tile 3 (a bare * takes the next id), ! locked.
+    //   A . is a hole and a _ an empty cell (below a locked tile). Lines
+    //   starting with # are comments; a "# h=heart d=diamond" comment sets
+    //   the letters.
+    specialMarks: { 'striped-h': '-', 'striped-v': '|', wrapped: '+', 'color-bomb': '@' },
+
+    /**
+     * A letter for each tile type: the first letter of its name that is free,
+     * or the first free letter of the alphabet
+     * @returns {Object} - { type: letter }
+     */
+    tileLetters(tileTypes) {
+        const letters = {};
+        const used = new Set();
+        for (const type of tileTypes) {
+            const letter = [...type.toLowerCase(), ...'abcdefghijklmnopqrstuvwxyz']
+                .find(char => /[a-z]/.test(char) && !used.has(char));
+            if (!letter) continue;
+            letters[type] = letter;
+            used.add(letter);
+        }
+        return letters;
+    },
+
+    /**
+     * Write a board in the text notation, with its letters in a comment first
+     * @param {Array} board - The game board
+     * @param {Array} tileTypes - Tile types, for the letters
+     * @returns {string}
+     */
+    formatBoard(board, tileTypes) {
+        const letters = this.tileLetters(tileTypes);
+        const legend = '# ' + tileTypes.filter(type => letters[type])
+            .map(type => `${letters[type]}=${type}`).join(' ');
+
+        const rows = board.map(row => row.map(tile => {
+            if (tile === false) return '.';
+            if (!tile) return '_';
+            return (letters[tile.type] || '?') +
+                (this.specialMarks[tile.special] || '') +
+                (tile.isMemory ? `*${tile.memoryId ?? ''}` : '') +
+                (tile.locked ? '!' : '');
+        }).join(' '));
+
+        return [legend, ...rows].join('\n');
+    },
+
+    /**
+     * Read a board from the text notation
+     * @param {string} text - Rows of tokens (see above)
+     * @param {Array} tileTypes - Tile types, for the letters (a legend comment wins)
+     * @returns {Array} - The board
+     * @throws {Error} When a token or the shape can't be read
+     */
+    parseBoard(text, tileTypes) {
+        const types = {};
+        for (const [type, letter] of Object.entries(this.tileLetters(tileTypes))) {
+            types[letter] = type;
+        }
+        const marks = {};
+        for (const [special, mark] of Object.entries(this.specialMarks)) {
+            marks[mark] = special;
+        }
+
+        const rows = [];
+        for (const line of String(text).split('\n').map(l => l.trim()).filter(Boolean)) {
+            if (line.startsWith('#')) {
+                for (const [, letter, type] of line.matchAll(/\b([a-z])=(\S+)/g)) {
+                    types[letter] = type;
+                }
+                continue;
+            }
+            rows.push(line.split(/\s+/));
+        }
+
+        if (rows.length === 0) {
+            throw new Error('Board text has no rows');
+        }
+        const cols = rows[0].length;
+
+        let nextMemoryId = 0;
+        const pending = [];
+        const board = rows.map((tokens, row) => {
+            if (tokens.length !== cols) {
+                throw new Error(`Board row ${row + 1} has ${tokens.length} cells, expected ${cols}`);
+            }
+
+            return tokens.map((token, col) => {
+                if (token === '.') return false;
+                if (token === '_') return null;
+
+                const match = /^([a-z])([-|+@])?(\*(\d*))?(!)?$/.exec(token);
+                if (!match || !types[match[1]]) {
+                    throw new Error(`Board row ${row + 1}, column ${col + 1}: can't read "${token}"`);
+                }
+
+                const [, letter, mark, memory, id, lock] = match;
+                const tile = this.createTile(types[letter], mark ? marks[mark] : null);
+                if (memory) {
+                    tile.isMemory = true;
+                    if (id) {
+                        tile.memoryId = Number(id);
+                        nextMemoryId = Math.max(nextMemoryId, tile.memoryId + 1);
+                    } else {
+                        pending.push(tile);
+                    }
+                }
+                tile.locked = Boolean(lock);
+                return tile;
+            });
+        });
+
+        // Bare * memories take the ids after the numbered ones, in reading order
+        for (const tile of pending) {
+            tile.memoryId = nextMemoryId++;
+        }
+
+        return board;
+    },
+
+    // ==========================================
+    // CELL LAYERS (jelly, ice)
+    // ==========================================
+
+    // Clears on top of the cell needed to remove each layer
+    layerTypes: {
+        jelly: 1,
+        ice: 2
+    },
+
+    // Letters for drawing layers in my-config.js
+    layerMarks: {
+        J: 'jelly',
+        I: 'ice'
+    },
+
+    /**
+     * Create a layer data object
+     */
+    createLayer(type) {
+        return { type, hits: this.layerTypes[type] };
+    },
+
+    /**
+     * Lay jelly and ice under a board
+     * @param {Array} board - The game board (holes get no layer)
+     * @param {Object|Array} [blockers] - Counts to scatter ({ jelly: 10, ice: 4 })
+     *   or rows drawn with J for jelly and I for ice
+     * @returns {Array} - 2D array of layers (null where there is none)
+     */
+    generateLayers(board, blockers = null) {
+        const layers = board.map(row => row.map(() => null));
+
+        if (Array.isArray(blockers)) {
+            blockers.forEach((line, row) => {
+                if (typeof line !== 'string') return;
+                Array.from(line).forEach((mark, col) => {
+                    const type = this.layerMarks[mark.toUpperCase()];
+                    if (type && this.isCell(board, row, col)) {
+                        layers[row][col] = this.createLayer(type);
+                    }
+                });
+            });
+        } else if (blockers && typeof blockers === 'object') {
+            const free = [];
+            board.forEach((cells, row) => cells.forEach((cell, col) => {
+                if (cell !== false) free.push({ row, col });
+            }));
+
+            for (const type of Object.keys(this.layerTypes)) {
+                const count = Math.min(free.length, Math.max(0, Math.floor(Number(blockers[type]) || 0)));
+                for (let i = 0; i < count; i++) {
+                    const [pos] = free.splice(Random.int(free.length), 1);
+                    layers[pos.row][pos.col] = this.createLayer(type);
+                }
+            }
+        }
+
+        return layers;
+    },
+
+    /**
+     * Copy a layers grid (null stays null)
+     */
+    cloneLayers(layers) {
+        return layers ? layers.map(row => row.map(layer => (layer ? { ...layer } : null))) : null;
+    },
+
+    /**
+     * Layers still on the board
+     */
+    countLayers(layers) {
+        return layers ? layers.reduce((sum, row) => sum + row.filter(Boolean).length, 0) : 0;
+    },
+
+    /**
+     * Wear down the layers under cleared tiles, one hit per clear
+     * @returns {Object} - Layer-hit event; hits: [{ row, col, layer, hits, cleared }]
+     *   (hits is what is left of the layer)
+     */
+    hitLayers(layers, positions) {
+        const hits = [];
+
+        for (const { row, col } of positions) {
+            const layer = layers[row]?.[col];
+            if (!layer) continue;
+
+            layer.hits--;
+            const cleared = layer.hits <= 0;
+            if (cleared) {
+                layers[row][col] = null;
+            }
+            hits.push({ row, col, layer: layer.type, hits: Math.max(0, layer.hits), cleared });
+        }
+
+        return { type: 'layer-hit', hits };
+    },
+
+    // ==========================================
+    // TURN STEPS
+    // ==========================================
+
+    /**
+     * Whether a swap is a legal move: neighbours that make a match or
+     * combine two specials (holes, empty cells and locked tiles never swap)
+     */
+    isValidSwap(board, pos1, pos2) {
+        return MatchDetector.areAdjacent(pos1, pos2) && MatchDetector.wouldMatch(board, pos1, pos2);
+    },
+
+    /**
+     * Swap two tiles
+     * @returns {Object} - Swap event; tiles are what now sits at pos1 and pos2
+     */
+    swap(board, pos1, pos2) {
+        const temp = board[pos1.row][pos1.col];
+        board[pos1.row][pos1.col] = board[pos2.row][pos2.col];
+        board[pos2.row][pos2.col] = temp;
+
+        return { type: 'swap', pos1, pos2, tiles: [board[pos1.row][pos1.col], temp] };
+    },
+
+    /**
+     * Work out every position a set of matches clears, including the
+     * effects of special candies caught in the match
+     * @param {Array} board - The game board
+     * @param {Array} matches - Matched positions from findAllMatches()
+     * @returns {Object} - { positions, activated: [{ pos, type, wave }] }
+     */
+    planClear(board, matches) {
+        return this.resolveChain(board, matches);
+    },
+
+    /**
+     * Set off every special a clear hits, then every special those hit,
+     * until no new special is left. Each round is a wave: the first clear
+     * is wave 0 and a special hit in wave N fires into wave N + 1.
+     * @param {Array} board - The game board
+     * @param {Array} initial - Positions cleared by the match or combination
+     * @param {Set} [consumed] - "row,col" keys of specials already used up (they do not fire)
+     * @returns {Object} - { positions: [{ row, col, wave, animation? }], activated: [{ pos, type, wave }] }
+     */
+    resolveChain(board, initial, consumed = new Set()) {
+        const cleared = new Map();
+        const fired = new Set(consumed);
+        const activated = [];
+
+        let frontier = initial;
+        for (let wave = 0; frontier.length > 0; wave++) {
+            const next = [];
+
+            for (const pos of frontier) {
+                const key = `${pos.row},${pos.col}`;
+                if (cleared.has(key) || !this.isCell(board, pos.row, pos.col)) continue;
+                cleared.set(key, { ...pos, wave });
+
+                const tile = board[pos.row]?.[pos.col];
+                if (tile && tile.special && !fired.has(key)) {
+                    fired.add(key);
+                    activated.push({ pos: { row: pos.row, col: pos.col }, type: tile.special, wave });
+                    next.push(...MatchDetector.getSpecialClearPositions(board, pos, tile.special));
+                }
+            }
+
+            frontier = next;
+        }
+
+        return { positions: Array.from(cleared.values()), activated };
+    },
+
+    /**
+     * Work out every position a special + special swap clears
+     * @param {Array} board - Board after the swap
+     * @param {Object} combination - From MatchDetector.isSpecialCombination()
+     * @returns {Object} - { positions, activated: [{ pos, type, wave }], transforms }
+     */
+    planCombination(board, combination) {
+        const { pos1, pos2 } = combination;
+        const clearPositions = MatchDetector.getSpecialCombinationClearPositions(board, combination);
+        const transforms = MatchDetector.getColorBombTransforms(board, combination);
+
+        // The two combined candies (and any candies a color bomb converted)
+        // are consumed by the combination, not re-fired
+        const consumed = new Set([`${pos1.row},${pos1.col}`, `${pos2.row},${pos2.col}`]);
+        transforms.forEach(t => consumed.add(`${t.row},${t.col}`));
+
+        return { ...this.resolveChain(board, clearPositions, consumed), transforms };
+    },
+
+    /**
+     * Remove tiles from the board (locked tiles lose their lock and stay)
+     * @returns {Object} - Clear event; tiles are the tiles removed from positions,
+     *   memories lists memory tiles removed, unlocked the tiles that were only freed
+     */
+    clearTiles(board, positions) {
+        const memories = [];
+        const unlocked = [];
+        const cleared = [];
+        const tiles = [];
+
+        for (const pos of positions) {
+            const tile = board[pos.row][pos.col];
+            if (tile && tile.locked) {
+                tile.locked = false;
+                unlocked.push({ row: pos.row, col: pos.col, tile });
+                continue;
+            }
+
+            cleared.push(pos);
+            tiles.push(tile);
+            if (tile && tile.isMemory && tile.memoryId !== null) {
+                memories.push({
+                    memoryId: tile.memoryId,
+                    row: pos.row,
+                    col: pos.col
+                });
+            }
+        }
+
+        for (const pos of cleared) {
+            board[pos.row][pos.col] = null;
+        }
+
+        return { type: 'clear', positions: cleared, tiles, memories, unlocked };
+    },
+
+    // Which special wins when two land on the same cell
+    specialRank: {
+        'striped-h': 1,
+        'striped-v': 1,
+        'wrapped': 2,
+        'color-bomb': 3
+    },
+
+    /**
+     * Specials to place once a match is cleared - one per cell, the
+     * strongest wins (the special replaces the cleared tile in its cell)
+     * @param {Array} specials - From findAllMatches()
+     * @param {Array} [board] - Board before the clear; cells held by a locked tile get no special
+     */
+    specialsToCreate(specials, board = null) {
+        const byCell = new Map();
+        for (const special of specials) {
+            if (board?.[special.row]?.[special.col]?.locked) continue;
+            const key = `${special.row},${special.col}`;
+            const current = byCell.get(key);
+            if (!current || (this.specialRank[special.type] || 0) > (this.specialRank[current.type] || 0)) {
+                byCell.set(key, special);
+            }
+        }
+        return Array.from(byCell.values());
+    },
+
+    /**
+     * Place a special candy on the board (a candy still in the cell, as when
+     * a color bomb converts it, keeps its memory and lock)
+     */
+    createSpecial(board, row, col, specialType, candyType) {
+        const tile = board[row][col];
+        if (tile) {
+            tile.type = candyType;
+            tile.special = specialType;
+        } else {
+            board[row][col] = this.createTile(candyType, specialType);
+        }
+        return { type: 'special-created', row, col, special: specialType, candyType, tile: board[row][col] };
+    },
+
+    /**
+     * Tiles fall down to fill gaps (straight past holes in the layout;
+     * locked tiles stay put and hold up the tiles above them)
+     * @returns {Object} - Fall event; falls are in the order they were applied
+     */
+    applyGravity(board) {
+        const falls = [];
+
+        for (let col = 0; col < this.columnCount(board); col++) {
+            const cells = [];
+            for (let row = 0; row < board.length; row++) {
+                if (this.isCell(board, row, col)) cells.push(row);
+            }
+            let empty = cells.length - 1;
+
+            // Start from bottom, find empty spots
+            for (let i = cells.length - 1; i >= 0; i--) {
+                const row = cells[i];
+                if (board[row][col]?.locked) {
+                    // A locked tile holds its cell; tiles above settle on it
+                    empty = i - 1;
+                } else if (board[row][col] !== null) {
+                    const emptyRow = cells[empty];
+                    if (row !== emptyRow) {
+                        board[emptyRow][col] = board[row][col];
+                        board[row][col] = null;
+                        falls.push({
+                            from: { row, col },
+                            to: { row: emptyRow, col },
+                            distance: emptyRow - row,
+                            tile: board[emptyRow][col]
+                        });
+                    }
+                    empty--;
+                }
+            }
+        }
+
+        return { type: 'fall', falls };
+    },
+
+    /**
+     * Width of the widest row
+     */
+    columnCount(board) {
+        return Math.max(0, ...board.map(row => row.length));
+    },
+
+    /**
+     * Fill empty cells with new tiles
+     * Biased toward helping clear memory tiles
+     * @param {Array} board - The game board
+     * @param {Array} tileTypes - Tile types to draw from
+     * @returns {Object} - Spawn event; index is the tile's order within its column
+     *   (new tiles enter at the column's top cell, which may be below a hole;
+     *   cells below a locked tile stay empty until the lock breaks)
+     */
+    spawnTiles(board, tileTypes) {
+        const tiles = [];
+
+        for (let col = 0; col < this.columnCount(board); col++) {
+            let index = 0;
+            for (let row = 0; row < board.length; row++) {
+                if (board[row][col]?.locked) break;
+                if (board[row][col] === null) {
+                    let type = this.randomType(tileTypes);
+                    if (Random.next() < this.helperBias) {
+                        const helpfulType = this.helpfulTypeForPosition(board, row, col);
+                        if (helpfulType) {
+                            type = helpfulType;
+                        }
+                    }
+
+                    board[row][col] = this.createTile(type);
+                    tiles.push({ row, col, index: index++, tile: board[row][col] });
+                }
+            }
+        }
+
+        return { type: 'spawn', tiles };
+    },
+
+    // Fresh arrangements to try before settling for the last one
+    shuffleAttempts: 20,
+
+    /**
+     * Rearrange the ordinary candies so the board has no match and at
+     * least one move. Memory tiles and specials stay where they are.
+     * @returns {Object} - Shuffle event; moves lists { from, to, tile } for every candy that changed cell
+     */
+    shuffle(board) {
+        const cells = [];
+        for (let row = 0; row < board.length; row++) {
+            for (let col = 0; col < board[row].length; col++) {
+                const tile = board[row][col];
+                if (tile && !tile.isMemory && !tile.special && !tile.locked) {
+                    cells.push({ row, col });
+                }
+            }
+        }
+
+        let arrangement;
+        let attempts = 0;
+        do {
+            arrangement = this.arrangeShuffle(board, cells);
+            attempts++;
+        } while (!arrangement.valid && attempts < this.shuffleAttempts);
+
+        const moves = [];
+        for (const { from, to, tile } of arrangement.placed) {
+            board[to.row][to.col] = tile;
+            if (from.row !== to.row || from.col !== to.col) {
+                moves.push({ from, to, tile });
+            }
+        }
+
+        return { type: 'shuffle', attempts, moves };
+    },
+
+    /**
+     * One shuffle attempt: plant a move, then fill the other free cells
+     * with candies that do not complete a match
+     * @param {Array} board - Current board (left untouched)
+     * @param {Array} cells - Positions of the candies being shuffled
+     * @returns {Object} - { valid, placed: [{ from, to, tile }] }
+     */
+    arrangeShuffle(board, cells) {
+        const work = board.map(row => row.slice());
+        const pool = cells.map(pos => ({ from: pos, tile: board[pos.row][pos.col] }));
+        cells.forEach(pos => { work[pos.row][pos.col] = null; });
+
+        // Fisher-Yates shuffle
+        for (let i = pool.length - 1; i > 0; i--) {
+            const j = Random.int(i + 1);
+            [pool[i], pool[j]] = [pool[j], pool[i]];
+        }
+
+        const placed = [];
+        const place = (to, index) => {
+            const [entry] = pool.splice(index, 1);
+            work[to.row][to.col] = entry.tile;
+            placed.push({ ...entry, to });
+        };
+
+        this.plantMove(work, pool, place);
+
+        for (const pos of cells) {
+            if (work[pos.row][pos.col]) continue;
+
+            let index = pool.findIndex(entry => !this.completesMatch(work, pos.row, pos.col, entry.tile.type));
+            if (index === -1) {
+                index = 0; // Dead end - the check below rejects this attempt
+            }
+            place(pos, index);
+        }
+
+        const valid = MatchDetector.findAllMatches(work).matches.length === 0 && this.hasPossibleMoves(work);
+        return { valid, placed };
+    },
+
+    /**
+     * Put three candies of one color where a single swap lines them up:
+     * two in a line plus one next to the line's third cell
+     * @param {Array} work - Board being filled (free cells are null)
+     * @param {Array} pool - Candies left to place
+     * @param {Function} place - (position, poolIndex) => void
+     * @returns {boolean} - Whether a move was planted
+     */
+    plantMove(work, pool, place) {
+        const isFree = (row, col) => work[row]?.[col] === null;
+        const spots = [];
+
+        for (let row = 0; row < work.length; row++) {
+            for (let col = 0; col < work[row].length; col++) {
+                // (row, col) is the gap the third candy is swapped into
+                for (const [dr, dc] of [[0, 1], [1, 0]]) {
+                    for (let offset = 0; offset < 3; offset++) {
+                        const line = [0, 1, 2]
+                            .filter(i => i !== offset)
+                            .map(i => ({ row: row + (i - offset) * dr, col: col + (i - offset) * dc }));
+                        if (!line.every(pos => isFree(pos.row, pos.col))) continue;
+
+                        // The third candy waits beside the gap, off the line
+                        for (const [nr, nc] of [[dc, dr], [-dc, -dr]]) {
+                            if (isFree(row + nr, col + nc)) {
+                                spots.push([...line, { row: row + nr, col: col + nc }]);
+                            }
+                        }
+                        if (offset !== 1) {
+                            const away = offset === 0 ? -1 : 1;
+                            if (isFree(row + away * dr, col + away * dc)) {
+                                spots.push([...line, { row: row + away * dr, col: col + away * dc }]);
+                            }
+                        }
+                    }
+                }
+            }
+        }
+        if (spots.length === 0) return false;
+
+        const counts = {};
+        pool.forEach(entry => { counts[entry.tile.type] = (counts[entry.tile.type] || 0) + 1; });
+        const types = Object.keys(counts).filter(type => counts[type] >= 3);
+
+        // A few random spots is plenty; the fill step copes with the rest
+        for (let tries = 0; tries < 10 && types.length > 0; tries++) {
+            const spot = Random.pick(spots);
+            const type = Random.pick(types);
+            const fits = spot.every(pos => {
+                const clear = !this.completesMatch(work, pos.row, pos.col, type);
+                work[pos.row][pos.col] = { type };
+                return clear;
+            });
+            spot.forEach(pos => { work[pos.row][pos.col] = null; });
+            if (!fits) continue;
+
+            for (const pos of spot) {
+                place(pos, pool.findIndex(entry => entry.tile.type === type));
+            }
+            return true;
+        }
+
+        return false;
+    },
+
+    /**
+     * Whether a candy of this type would complete a match pattern at a cell
+     * (looks every way, so it works on partly filled boards)
+     */
+    completesMatch(board, row, col, type) {
+        return MatchDetector.matchesAt(board, { row, col }, type);
+    },
+
+    /**
+     * Check if the board has any possible moves
+     */
+    hasPossibleMoves(board) {
+        return MatchDetector.findPossibleMatch(board) !== null;
+    },
+
+    // ==========================================
+    // MOVE EVALUATION (hints)
+    // ==========================================
+
+    // How much each part of a move is worth when ranking hints
+    hintWeights: {
+        tile: 1,
+        memory: 50,
+        activated: 3,
+        combination: 15,
+        created: {
+            'striped-h': 4,
+            'striped-v': 4,
+            'wrapped': 6,
+            'color-bomb': 10
+        }
+    },
+
+    /**
+     * Score a swap by what its first clear does (later cascades depend on
+     * spawned tiles, so they are not counted)
+     * @param {Array} board - The game board (left untouched)
+     * @param {Object} pos1 - First position
+     * @param {Object} pos2 - Second position
+     * @returns {Object} - { move, score, tiles, memories, created, activated, combination }
+     */
+    evaluateMove(board, pos1, pos2) {
+        const after = this.cloneBoard(board);
+        const combination = MatchDetector.isSpecialCombination(after, pos1, pos2);
+        this.swap(after, pos1, pos2);
+
+        let plan;
+        let created = [];
+        if (combination) {
+            plan = this.planCombination(after, combination);
+        } else {
+            const { matches, specials } = MatchDetector.findAllMatches(after, { pos1, pos2 });
+            plan = this.planClear(after, matches);
+            created = this.specialsToCreate(specials, after).map(special => special.type);
+        }
+
+        const memories = plan.positions.filter(pos => {
+            const tile = after[pos.row]?.[pos.col];
+            return tile && tile.isMemory && !tile.locked && tile.memoryId !== null;
+        }).length;
+
+        const weights = this.hintWeights;
+        let score = plan.positions.length * weights.tile +
+            memories * weights.memory +
+            plan.activated.length * weights.activated;
+        for (const type of created) {
+            score += weights.created[type] || 0;
+        }
+        if (combination) {
+            score += weights.combination;
+        }
+
+        return {
+            move: [pos1, pos2],
+            score,
+            tiles: plan.positions.length,
+            memories,
+            created,
+            activated: plan.activated.length,
+            combination: combination ? combination.combinationType : null
+        };
+    },
+
+    /**
+     * Every legal swap, best first (ties keep reading order)
+     * @returns {Array} - evaluateMove() results
+     */
+    rankMoves(board) {
+        return MatchDetector.findAllPossibleMatches(board)
+            .map(([pos1, pos2]) => this.evaluateMove(board, pos1, pos2))
+            .sort((a, b) => b.score - a.score);
+    },
+
+    // ==========================================
+    // WHOLE TURNS (headless play)
+    // ==========================================
+
+    /**
+     * Create a headless game state
+     * @param {Object} options - { size, mask, blockers, locks, tileTypes, moves, memoryPositions, totalMemories }
+     */
+    createState(options = {}) {
+        const size = options.size || 8;
+        const tileTypes = options.tileTypes || ['heart', 'diamond', 'rose', 'star', 'ring'];
+        const memoryPositions = options.memoryPositions || [];
+        const board = this.generateBoard(size, tileTypes, memoryPositions, options.mask || null);
+        const layers = this.generateLayers(board, options.blockers || null);
+        this.lockTiles(board, options.locks || null);
+
+        const state = {
+            size,
+            tileTypes,
+            board,
+            layers,
+            moves: options.moves ?? 50,
+            totalMemories: options.totalMemories ?? memoryPositions.length,
+            revealedCount: 0,
+            shuffles: 0
+        };
+
+        if (!this.hasPossibleMoves(state.board)) {
+            this.shuffle(state.board);
+            state.shuffles++;
+        }
+
+        return state;
+    },
+
+    /**
+     * Play one swap to completion
+     * @param {Object} state - From createState()
+     * @param {Object} pos1 - First position
+     * @param {Object} pos2 - Second position
+     * @returns {Object} - { valid, events }
+     */
+    playTurn(state, pos1, pos2) {
+        const { board } = state;
+        const events = [];
+
+        if (!this.isValidSwap(board, pos1, pos2)) {
+            return { valid: false, events };
+        }
+        const combination = MatchDetector.isSpecialCombination(board, pos1, pos2);
+
+        events.push(this.swap(board, pos1, pos2));
+        state.moves--;
+
+        if (combination) {
+            // The combination is the turn's first clear; cascades follow it
+            events.push({ type: 'combination', combination });
+            const { positions, activated, transforms } = this.planCombination(board, combination);
+            for (const t of transforms) {
+                events.push(this.createSpecial(board, t.row, t.col, t.special, t.candyType));
+            }
+            this.resolveClear(state, positions, activated, [], events, 1);
+            this.resolveCascades(state, events, null, 1);
+        } else {
+            this.resolveCascades(state, events, { pos1, pos2 });
+        }
+
+        if (!this.isComplete(state) && !this.hasPossibleMoves(board)) {
+            events.push(this.shuffle(board));
+            state.shuffles++;
+        }
+
+        return { valid: true, events };
+    },
+
+    /**
+     * Clear matches until the board settles
+     * @param {Object} [swap] - The swap that made the first matches (places its specials)
+     * @param {number} [cascade] - Clears already made this turn
+     */
+    resolveCascades(state, events, swap = null, cascade = 0) {
+        for (;;) {
+            const { matches, specials } = MatchDetector.findAllMatches(state.board, swap);
+            swap = null;
+            if (matches.length === 0) break;
+
+            cascade++;
+            const { positions, activated } = this.planClear(state.board, matches);
+            this.resolveClear(state, positions, activated, specials, events, cascade);
+        }
+
+        return events;
+    },
+
+    /**
+     * Clear positions, wear down layers, create specials, collect memories, then refill
+     */
+    resolveClear(state, positions, activated, specials, events, cascade) {
+        const { board } = state;
+
+        // Decided before the clear breaks any locks
+        const created = this.specialsToCreate(specials, board);
+        const clear = this.clearTiles(board, positions);
+        events.push({ ...clear, activated, created, cascade });
+
+        if (state.layers) {
+            const hit = this.hitLayers(state.layers, positions);
+            if (hit.hits.length > 0) {
+                events.push(hit);
+            }
+        }
+
+        for (const special of created) {
+            events.push(this.createSpecial(board, special.row, special.col, special.type, special.candyType));
+        }
+
+        for (const memory of clear.memories) {
+            if (state.revealedCount < state.totalMemories) {
+                state.revealedCount++;
+            }
+            events.push({ type: 'memory-collected', ...memory });
+        }
+
+        events.push(this.applyGravity(board));
+        events.push(this.spawnTiles(board, state.tileTypes));
+    },
+
+    /**
+     * All memories collected
+     */
+    isComplete(state) {
+        return state.revealedCount >= state.totalMemories;
+    },
+
+    /**
+     * Deduplicate positions array by row,col (first occurrence wins)
+     */
+    uniquePositions(positions) {
+        const seen = new Set();
+        return positions.filter(pos => {
+            const key = `${pos.row},${pos.col}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+};
+
+// Export for both browser and module environments
+if (typeof window !== 'undefined') {
+    window.Engine = Engine;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Engine;
+}
@@ -7,9 +7,35 @@ const Game = {
     isPlaying: false,
     isPaused: false,
     isProcessing: false,
+    mode: 'moves', // 'moves', 'timed' for a countdown instead of a move budget, or 'zen' for no limit
     moves: 0,
     maxMoves: 50,
+    bonusMovesTaken: 0,
+
+    // Zen mode nudges
+    movesSinceMemory: 0,
+    nudgeAfter: 8, // Moves without a memory before a "you're close" nudge
+    nudges: [
+        "You're close - keep matching ♥",
+        'A memory is hiding somewhere near',
+        'Try the other side of the board'
+    ],
+    nudgeTimer: null,
+
+    // Undo
+    undoLimit: 3, // Undos per game
+    undosLeft: 3,
+    undoSnapshot: null, // The game as it was before the last swap
+    savedGame: null, // Snapshot offered by "Continue where you left off"
+    isDemo: false, // Game started by autoplay: never saved, even once the player takes it over
     selectedTile: null,
+    cursor: { row: 0, col: 0 }, // Keyboard cursor
+
+    // Drag input
+    drag: null,
+    dragThreshold: 0.35, // Fraction of a tile the pointer must travel to swap
+    dragSlop: 8, // Pixels of movement before a press stops counting as a tap
+    suppressClick: false,
 
     // DOM Elements
     screens: {},
@@ -21,13 +47,7 @@ const Game = {
      * @returns {Array} - Deduplicated array
      */
     deduplicatePositions(positions) {
-        const seen = new Set();
-        return positions.filter(pos => {
-            const key = `${pos.row},${pos.col}`;
-            if (seen.has(key)) return false;
-            seen.add(key);
-            return true;
-        });
+        return Engine.uniquePositions(positions);
     },
 
     /**
@@ -40,21 +60,57 @@ const Game = {
             loading: document.getElementById('loading-screen'),
             game: document.getElementById('game-screen'),
             victory: document.getElementById('victory-screen'),
-            bonus: document.getElementById('bonus-modal')
+            bonus: document.getElementById('bonus-modal'),
+            level: document.getElementById('level-modal')
         };
 
         // Cache elements
         this.elements = {
             board: document.getElementById('game-board'),
+            movesLabel: document.getElementById('moves-label'),
             movesCount: document.getElementById('moves-count'),
             muteButton: document.getElementById('mute-button'),
             hintButton: document.getElementById('hint-button'),
+            undoButton: document.getElementById('undo-button'),
             startButton: document.getElementById('start-button'),
+            continueButton: document.getElementById('continue-button'),
             replayButton: document.getElementById('replay-button'),
+            bonusTitle: document.getElementById('bonus-title'),
             bonusYes: document.getElementById('bonus-yes'),
-            bonusNo: document.getElementById('bonus-no')
+            bonusNo: document.getElementById('bonus-no'),
+            levelStart: document.getElementById('level-start'),
+            levelTitle: document.getElementById('level-title'),
+            levelObjective: document.getElementById('level-objective'),
+            scoreCount: document.getElementById('score-count'),
+            finalScore: document.getElementById('final-score'),
+            nudge: document.getElementById('nudge'),
+            replayOpen: document.getElementById('replay-open'),
+            replayFile: document.getElementById('replay-file'),
+            replayStatus: document.getElementById('replay-status'),
+            replaySave: document.getElementById('replay-save'),
+            replayControls: document.getElementById('replay-controls'),
+            replayPause: document.getElementById('replay-pause'),
+            replayStep: document.getElementById('replay-step'),
+            replaySpeed: document.getElementById('replay-speed'),
+            replayStop: document.getElementById('replay-stop')
         };
 
+        // Moves, a countdown or neither (settings.mode, settings.timer and settings.zen)
+        this.mode = ['timed', 'zen'].includes(gameConfig.mode) ? gameConfig.mode : 'moves';
+        Countdown.init(gameConfig.timer);
+        const nudgeAfter = Number(gameConfig.zen?.nudgeAfter);
+        this.nudgeAfter = Number.isFinite(nudgeAfter) ? Math.max(1, Math.round(nudgeAfter)) : 8;
+        if (Array.isArray(gameConfig.nudges) && gameConfig.nudges.length > 0) {
+            this.nudges = gameConfig.nudges.map(String);
+        }
+
+        // Undos per game (settings.undos, 0 turns undo off)
+        const undos = Number(gameConfig.undos);
+        this.undoLimit = Number.isFinite(undos) ? Math.max(0, Math.round(undos)) : 3;
+        this.undosLeft = this.undoLimit;
+        this.elements.undoButton.hidden = this.undoLimit === 0;
+        this.updateUndoButton();
+
         // Apply custom config text
         this.applyConfigText();
 
@@ -66,11 +122,46 @@ const Game = {
         // Initialize memory system
         MemorySystem.init(memories);
 
+        // Candy types from the tile set in my-config.js
+        Grid.setTileSet(TileSet.init(gameConfig.tileSet));
+
+        // Build the level list (a single board when none are configured)
+        Levels.init(gameConfig.levels, {
+            gridSize: gameConfig.gridSize,
+            layout: gameConfig.layout,
+            blockers: gameConfig.blockers,
+            locks: gameConfig.locks,
+            moves: gameConfig.startingMoves,
+            time: Countdown.limit,
+            memories: MemorySystem.totalMemories,
+            tileTypes: Grid.allTileTypes
+        });
+
+        // Spawn weights and helper bias from settings.difficulty
+        Difficulty.init(gameConfig.difficulty);
+        Engine.spawnWeights = Difficulty.weights;
+
+        // Extra match shapes from settings.matchPatterns
+        MatchDetector.addPatterns(gameConfig.matchPatterns);
+
         // Setup event listeners
         this.setupEventListeners();
 
+        // Offer to resume a game saved with this same config
+        this.savedGame = SaveGame.load(this.configFingerprint());
+        this.elements.continueButton.hidden = !this.savedGame;
+
         // Show start screen
         this.showScreen('start');
+
+        // Replay controls follow playback
+        Replay.onChange = () => this.updateReplayControls();
+
+        // "Watch it solve" demo (?demo=1, or three quick taps on the start-screen heart)
+        Autoplay.init(gameConfig.autoplay);
+        if (gameConfig.demo) {
+            Autoplay.start();
+        }
     },
 
     /**
@@ -96,6 +187,17 @@ const Game = {
 
         const signature = document.querySelector('.signature');
         if (signature) signature.textContent = `${gameConfig.signature} ♥`;
+
+        // Time-attack rounds show a clock and offer extra time instead of moves
+        if (this.mode === 'timed') {
+            if (this.elements.movesLabel) this.elements.movesLabel.textContent = 'Time';
+            if (this.elements.bonusTitle) this.elements.bonusTitle.textContent = 'Need More Time?';
+            this.elements.bonusYes.textContent = `+${Countdown.extraSeconds} Seconds ❤`;
+        }
+
+        // Zen rounds have nothing to count
+        const movesItem = this.elements.movesCount.closest('.header-item');
+        if (movesItem) movesItem.hidden = this.mode === 'zen';
     },
 
     /**
@@ -105,37 +207,63 @@ const Game = {
         // Start button
         this.elements.startButton.addEventListener('click', () => this.startGame());
 
-        // Board clicks (event delegation)
-        this.elements.board.addEventListener('click', (e) => this.handleTileClick(e));
+        // Continue button (only shown when a saved game exists)
+        this.elements.continueButton.addEventListener('click', () => this.resumeGame());
 
-        // Touch support
-        this.elements.board.addEventListener('touchstart', (e) => {
-            if (e.target.classList.contains('tile')) {
-                e.preventDefault();
-                this.handleTileClick(e);
+        // Board clicks (event delegation)
+        this.elements.board.addEventListener('click', (e) => {
+            // The click that follows a drag is not a tap
+            if (this.suppressClick) {
+                this.suppressClick = false;
+                return;
             }
-        }, { passive: false });
+            this.handleTileClick(e);
+        });
+
+        // Drag and swipe (mouse, touch and pen)
+        this.elements.board.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        this.elements.board.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        this.elements.board.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        this.elements.board.addEventListener('pointercancel', (e) => this.handlePointerUp(e));
+
+        // Keyboard play (board must have focus)
+        this.elements.board.addEventListener('keydown', (e) => this.handleKeyDown(e));
+
+        // Keyboard shortcuts (anywhere on the game screen)
+        document.addEventListener('keydown', (e) => this.handleShortcut(e));
 
         // Mute button
-        this.elements.muteButton.addEventListener('click', () => {
-            const isMuted = AudioManager.toggleMute();
-            this.elements.muteButton.querySelector('.music-on').style.display = isMuted ? 'none' : 'inline';
-            this.elements.muteButton.querySelector('.music-off').style.display = isMuted ? 'inline' : 'none';
-        });
+        this.elements.muteButton.addEventListener('click', () => this.toggleMute());
 
         // Hint button
-        this.elements.hintButton.addEventListener('click', () => {
-            if (!this.isProcessing) {
-                Grid.showHint();
-            }
-        });
+        this.elements.hintButton.addEventListener('click', () => this.showHint());
+
+        // Undo button
+        this.elements.undoButton.addEventListener('click', () => this.undo());
 
         // Replay button
         this.elements.replayButton.addEventListener('click', () => this.restartGame());
 
         // Bonus moves
         this.elements.bonusYes.addEventListener('click', () => this.addBonusMoves());
-        this.elements.bonusNo.addEventListener('click', () => this.showVictory());
+        this.elements.bonusNo.addEventListener('click', () => {
+            Replay.record('end');
+            this.showVictory();
+        });
+
+        // Replays: open one from the start screen, save one from the victory screen
+        this.elements.replayOpen.addEventListener('click', () => this.elements.replayFile.click());
+        this.elements.replayFile.addEventListener('change', (e) => {
+            this.importReplay(e.target.files[0]);
+            e.target.value = '';
+        });
+        this.elements.replaySave.addEventListener('click', () => this.exportReplay());
+
+        // Playback controls
+        this.elements.replayPause.addEventListener('click', () => Replay.togglePause());
+        this.elements.replayStep.addEventListener('click', () => Replay.step());
+        this.elements.replaySpeed.addEventListener('click', () => Replay.nextSpeed());
+        this.elements.replayStop.addEventListener('click', () => Replay.finish());
     },
 
     /**
@@ -158,6 +286,13 @@ const Game = {
      * Start the game
      */
     async startGame() {
+        // A new game replaces any saved one (a demo leaves it be)
+        this.isDemo = Autoplay.isRunning;
+        if (!this.isDemo) {
+            SaveGame.clear();
+            this.savedGame = null;
+        }
+
         // Start music
         AudioManager.playMusic();
 
@@ -170,46 +305,537 @@ const Game = {
         // Transition to game screen
         await Animations.transitionScreens(this.screens.loading, this.screens.game);
 
-        // Initialize game state
-        this.maxMoves = gameConfig.startingMoves;
+        // Build the first level's board
+        Levels.reset();
+        Score.reset();
+        this.bonusMovesTaken = 0;
+        this.undosLeft = this.undoLimit;
+        Replay.begin(this.configFingerprint());
+        this.updateScoreDisplay();
+        await this.startLevel();
+
+        // Start ambient background particles
+        Animations.startAmbientParticles();
+    },
+
+    /**
+     * Pick up a saved game where it was left off
+     */
+    async resumeGame() {
+        const snapshot = this.savedGame;
+        if (!snapshot) {
+            await this.startGame();
+            return;
+        }
+
+        AudioManager.playMusic();
+        await Animations.transitionScreens(this.screens.start, this.screens.game);
+
+        this.isDemo = false;
+        this.restoreSnapshot(snapshot);
+        Replay.resume(snapshot.replay);
+        Animations.startAmbientParticles();
+
+        // Saved while the out-of-moves prompt was up
+        if (this.isOutOfMoves()) {
+            this.showBonusModal();
+        }
+    },
+
+    /**
+     * Everything needed to rebuild the current game
+     */
+    createSnapshot() {
+        return {
+            level: Levels.currentIndex,
+            levelProgress: { ...Levels.progress, collected: { ...Levels.progress.collected } },
+            rows: Grid.rows,
+            cols: Grid.cols,
+            tileTypes: Grid.tileTypes,
+            board: Engine.cloneBoard(Grid.data),
+            layers: Engine.cloneLayers(Grid.layers),
+            moves: this.moves,
+            maxMoves: this.maxMoves,
+            timeLeft: this.mode === 'timed' ? Countdown.remaining / 1000 : null,
+            bonusMovesTaken: this.bonusMovesTaken,
+            undosLeft: this.undosLeft,
+            revealedCount: MemorySystem.revealedCount,
+            score: Score.total,
+            random: Random.getState(),
+            replay: Replay.recording
+        };
+    },
+
+    /**
+     * Rebuild the game from a snapshot
+     */
+    restoreSnapshot(snapshot) {
+        Levels.restore(snapshot.level, snapshot.levelProgress);
+        MemorySystem.restore(snapshot.revealedCount);
+        Score.total = snapshot.score || 0;
+        if (snapshot.random) {
+            Random.setState(snapshot.random);
+        }
+
+        this.maxMoves = snapshot.maxMoves || snapshot.moves;
+        this.moves = snapshot.moves;
+        this.bonusMovesTaken = snapshot.bonusMovesTaken || 0;
+        this.undosLeft = snapshot.undosLeft ?? this.undoLimit;
+        this.undoSnapshot = null;
+        if (this.mode === 'timed') {
+            this.startCountdown(snapshot.timeLeft ?? Levels.current().time);
+        }
+        this.updateMovesDisplay();
+        this.updateDifficulty();
+        this.updateScoreDisplay();
+        this.updateLevelDisplay();
+
+        const tileTypes = Array.isArray(snapshot.tileTypes)
+            ? snapshot.tileTypes
+            : Levels.tileTypesFor(Levels.current(), Grid.allTileTypes);
+        Grid.init(this.elements.board, snapshot.rows, tileTypes, Engine.maskOf(snapshot.board));
+        Grid.loadBoard(snapshot.board);
+        Grid.setLayers(snapshot.layers || null);
+
+        this.isPlaying = true;
+        this.isPaused = false;
+        this.isProcessing = false;
+        this.selectedTile = null;
+        this.drag = null;
+        const start = Grid.firstCell();
+        this.moveCursor(start.row, start.col);
+        this.elements.board.focus({ preventScroll: true });
+        this.updateUndoButton();
+    },
+
+    /**
+     * Take back the last swap: the board, specials, moves, score and RNG go back
+     * to how they were, but memories found on that move stay found (their
+     * tiles come back as plain candy so the photo isn't shown twice)
+     * @param {boolean} [replayed] - Taken back by the replay being watched, not the player
+     */
+    undo(replayed = false) {
+        if (!this.canUndo(replayed)) return;
+
+        const snapshot = this.undoSnapshot;
+        const stillHidden = new Set();
+        for (const row of Grid.data) {
+            for (const tile of row) {
+                if (tile && tile.isMemory) stillHidden.add(tile.memoryId);
+            }
+        }
+        const board = snapshot.board.map(row => row.map(tile =>
+            (tile && tile.isMemory && !stillHidden.has(tile.memoryId)
+                ? { ...tile, isMemory: false, memoryId: null }
+                : tile)));
+
+        Grid.clearHints();
+        this.restoreSnapshot({
+            ...snapshot,
+            board,
+            levelProgress: { ...snapshot.levelProgress, memories: Levels.progress.memories },
+            revealedCount: MemorySystem.revealedCount,
+            // Time spent on the move stays spent
+            timeLeft: this.mode === 'timed' ? Countdown.remaining / 1000 : null,
+            undosLeft: this.undosLeft - 1
+        });
+        Replay.record('undo');
+        this.saveProgress();
+    },
+
+    /**
+     * Whether the last swap can be taken back right now (while a replay is
+     * watched, only the replay's own undos can)
+     * @param {boolean} [replayed] - Asked for the replay being watched, not the player
+     */
+    canUndo(replayed = false) {
+        return this.undoSnapshot !== null && this.undosLeft > 0 && (replayed || !Replay.watching) &&
+            this.isPlaying && !this.isPaused && !this.isProcessing;
+    },
+
+    /**
+     * Dev console: swap a board written in the text notation into the running
+     * game (Grid.exportBoard() writes one), e.g.
+     *   Game.loadBoard('h d h s\nd h d r\ns r* s h\nr s r d')
+     * Undo and jelly/ice are cleared, the level's objective starts over with
+     * only the memory tiles on the new board left to find, and recording stops
+     * (a replay can't rebuild a hand-made board).
+     * @returns {boolean} - False when the board is busy
+     */
+    loadBoard(text) {
+        if (!this.isPlaying || this.isProcessing) return false;
+
+        Grid.importBoard(text);
+        Levels.startLevel();
+        Levels.setBlockers(Engine.countLayers(Grid.layers));
+        const memoryTiles = Grid.data.flat().filter(tile => tile?.isMemory).length;
+        Levels.progress.memories = Math.max(0, Levels.current().memories - memoryTiles);
+        this.movesSinceMemory = 0;
+        this.updateLevelDisplay();
+
+        Replay.recording = null;
+        this.undoSnapshot = null;
+        this.selectedTile = null;
+        const start = Grid.firstCell();
+        this.moveCursor(start.row, start.col);
+        this.updateUndoButton();
+        this.saveProgress();
+        return true;
+    },
+
+    /**
+     * Download the game so far as a replay file
+     */
+    exportReplay() {
+        if (!Replay.recording) return;
+
+        const blob = new Blob([Replay.serialize()], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `replay-${Replay.recording.recordedAt.slice(0, 10)}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    },
+
+    /**
+     * Play back a replay file picked on the start screen
+     * (only replays recorded with this same config line up)
+     */
+    async importReplay(file) {
+        if (!file) return;
+
+        try {
+            const recording = Replay.parse(await file.text());
+            if (recording.fingerprint !== this.configFingerprint()) {
+                throw new Error('This replay was recorded with different settings');
+            }
+            this.elements.replayStatus.textContent = '';
+            this.watchReplay(recording);
+        } catch (error) {
+            this.elements.replayStatus.textContent = error.message;
+        }
+    },
+
+    /**
+     * Let the game play a recording back, from the start screen
+     */
+    watchReplay(recording) {
+        Autoplay.stop();
+        Replay.watch(recording);
+        Autoplay.start(Replay);
+    },
+
+    /**
+     * Show the playback controls while a replay is on
+     */
+    updateReplayControls() {
+        const watching = Replay.watching;
+        this.elements.replayControls.hidden = !watching;
+        if (!watching) return;
+
+        this.elements.replayPause.textContent = watching.isPaused ? 'Play' : 'Pause';
+        this.elements.replaySpeed.textContent = `${watching.speed}x`;
+    },
+
+    /**
+     * Show the undos left on the undo button
+     */
+    updateUndoButton() {
+        const button = this.elements.undoButton;
+        button.textContent = `Undo (${this.undosLeft})`;
+        button.disabled = !this.canUndo();
+    },
+
+    /**
+     * Save the settled game so a reload can resume it
+     */
+    saveProgress() {
+        if (Autoplay.isRunning || this.isDemo) return;
+        SaveGame.save(this.createSnapshot(), this.configFingerprint());
+    },
+
+    /**
+     * Fingerprint of the current config (saves from another config are ignored)
+     */
+    configFingerprint() {
+        return SaveGame.fingerprint(gameConfig, memories);
+    },
+
+    /**
+     * Set up the board for the current level and show its intro card
+     */
+    async startLevel() {
+        const level = Levels.current();
+
+        // No input (and no clock) while the board is set up and the intro is open
+        this.isPlaying = false;
+
+        // Initialize level state
+        this.maxMoves = level.moves;
         this.moves = this.maxMoves;
+        this.movesSinceMemory = 0;
+        this.undoSnapshot = null;
+        this.updateUndoButton();
+        if (this.mode === 'timed') {
+            this.startCountdown(level.time);
+        }
         this.updateMovesDisplay();
+        this.updateLevelDisplay();
+        this.updateDifficulty();
+
+        // Seed the board RNG (the replay keeps the seed, so the board can be dealt again)
+        this.seedRandom(Levels.currentIndex);
 
         // Initialize grid
-        Grid.init(this.elements.board, gameConfig.gridSize);
+        Grid.init(this.elements.board, level.gridSize, Levels.tileTypesFor(level, Grid.allTileTypes), level.mask);
 
         // Get memory positions
-        const memoryPositions = MemorySystem.generateMemoryPositions(gameConfig.gridSize);
+        const memoryPositions = MemorySystem.generateMemoryPositions(level.gridSize, level.memories, level.mask);
 
-        // Generate grid with memory tiles
+        // Generate grid with memory tiles, lay jelly and ice under it and lock tiles
         Grid.generate(memoryPositions);
+        Grid.setLayers(Engine.generateLayers(Grid.data, level.blockers));
+        Levels.setBlockers(Engine.countLayers(Grid.layers));
+        Grid.lockTiles(level.locks);
+        this.updateLevelDisplay();
 
         // Ensure there are possible moves
         if (!Grid.hasPossibleMoves()) {
             await Grid.shuffle();
         }
 
+        if (Levels.isCustom) {
+            await this.showLevelIntro(level);
+        }
+
         this.isPlaying = true;
         this.isPaused = false;
         this.isProcessing = false;
         this.selectedTile = null;
+        this.drag = null;
+        const start = Grid.firstCell();
+        this.moveCursor(start.row, start.col);
 
-        // Start ambient background particles
-        Animations.startAmbientParticles();
+        // Keyboard players can start moving right away
+        this.elements.board.focus({ preventScroll: true });
+
+        this.saveProgress();
+    },
+
+    /**
+     * Start the level clock in time-attack mode
+     * (it only runs while the board is being played)
+     * @param {number} seconds - Time on the clock
+     */
+    startCountdown(seconds) {
+        Countdown.start(seconds, {
+            isPaused: () => this.isPaused || !this.isPlaying,
+            onTick: () => {
+                this.updateMovesDisplay();
+                this.updateDifficulty();
+            },
+            onExpire: () => this.handleTimeUp()
+        });
+    },
+
+    /**
+     * Time ran out: the same prompt as running out of moves
+     * (mid-turn, the turn offers it once the board settles)
+     */
+    handleTimeUp() {
+        if (!this.isPlaying || this.isProcessing) return;
+
+        this.selectedTile = null;
+        this.showBonusModal();
+        this.saveProgress();
+    },
+
+    /**
+     * Add seconds to the clock (time-attack mode only)
+     */
+    addTime(seconds) {
+        if (this.mode !== 'timed' || seconds <= 0) return;
+        Countdown.add(seconds);
+    },
+
+    /**
+     * Whether the moves (or, in time-attack mode, the time) are used up
+     * (never in zen mode)
+     */
+    isOutOfMoves() {
+        if (this.mode === 'zen') return false;
+        return this.mode === 'timed' ? Countdown.remaining <= 0 : this.moves <= 0;
+    },
+
+    /**
+     * Spend a move (time-attack rounds only spend time, zen rounds nothing)
+     */
+    useMove() {
+        if (this.mode === 'moves') {
+            this.moves--;
+        }
+        this.movesSinceMemory++;
+        this.updateMovesDisplay();
+        this.updateDifficulty();
+    },
+
+    /**
+     * Zen mode: after a stretch of moves without a memory, show a gentle nudge
+     * (again every nudgeAfter moves until one turns up)
+     */
+    nudgeIfStuck() {
+        if (this.mode !== 'zen') return;
+
+        const level = Levels.current();
+        const stuck = this.movesSinceMemory;
+        if (level.memories - Levels.progress.memories <= 0) return;
+        if (stuck === 0 || stuck % this.nudgeAfter !== 0) return;
+
+        const index = (stuck / this.nudgeAfter - 1) % this.nudges.length;
+        this.showNudge(this.nudges[index]);
+    },
+
+    /**
+     * Fade a short message in under the board for a few seconds
+     */
+    showNudge(text) {
+        const nudge = this.elements.nudge;
+        if (!nudge) return;
+
+        nudge.textContent = text;
+        nudge.classList.add('visible');
+        clearTimeout(this.nudgeTimer);
+        this.nudgeTimer = setTimeout(() => nudge.classList.remove('visible'), 4000);
+    },
+
+    /**
+     * Show the intro card for a level and wait for the player to start it
+     */
+    async showLevelIntro(level) {
+        const modal = this.screens.level;
+        modal.querySelector('.level-number').textContent =
+            `Chapter ${Levels.currentIndex + 1} of ${Levels.levels.length}`;
+        modal.querySelector('.level-name').textContent = level.name;
+        modal.querySelector('.level-intro').textContent = level.intro;
+        modal.querySelector('.level-goal').textContent = Levels.describeObjective(level);
+
+        modal.classList.add('active');
+        modal.style.opacity = '1';
+        this.elements.levelStart.focus({ preventScroll: true });
+
+        await new Promise(resolve => {
+            this.elements.levelStart.addEventListener('click', resolve, { once: true });
+        });
+
+        modal.style.opacity = '0';
+        await Animations.wait(300);
+        modal.classList.remove('active');
+    },
+
+    /**
+     * Level finished: start the next one, or celebrate after the last
+     */
+    async completeLevel() {
+        if (!Levels.hasNext()) {
+            this.showVictory();
+            return;
+        }
+
+        AudioManager.playSound('reveal');
+        Levels.advance();
+        await this.startLevel();
+    },
+
+    /**
+     * Show the level name and objective progress in the header
+     */
+    updateLevelDisplay() {
+        if (!Levels.isCustom) return;
+
+        this.elements.levelTitle.textContent = Levels.current().name;
+        this.elements.levelObjective.textContent = Levels.describeProgress();
+    },
+
+    /**
+     * Count cleared tiles toward the level objective
+     * @param {Array} tiles - Tiles a clear removed (locked tiles stay on the board, so they are not among them)
+     */
+    recordCleared(tiles) {
+        Levels.recordClear(tiles.filter(Boolean));
+        this.updateLevelDisplay();
+    },
+
+    /**
+     * Show jelly and ice worn down by a clear and count the cells cleared
+     * @param {Object} event - Layer-hit event from the engine
+     */
+    playLayerHits(event) {
+        Grid.renderLayerHits(event);
+        const cleared = event.hits.filter(hit => hit.cleared).length;
+        if (cleared > 0) {
+            Levels.recordBlockers(cleared);
+            this.updateLevelDisplay();
+        }
+    },
+
+    /**
+     * Seed the shared RNG from config (or a fresh seed when none is set)
+     * Later levels offset a configured seed so each chapter gets its own board
+     * @param {number} [levelIndex] - Level being set up
+     * @returns {number} - The seed in use
+     */
+    seedRandom(levelIndex = 0) {
+        const configured = gameConfig.seed;
+        // A replay deals each level from the seed it was recorded with
+        const replayed = Replay.seedFor(levelIndex);
+        const seed = Random.setSeed(replayed ?? (levelIndex > 0 && configured != null
+            ? (Random.normalizeSeed(configured) + levelIndex) >>> 0
+            : configured));
+        Replay.recordSeed(levelIndex, seed);
+        return seed;
+    },
+
+    /**
+     * Toggle music and update the mute button
+     */
+    toggleMute() {
+        const isMuted = AudioManager.toggleMute();
+        this.elements.muteButton.querySelector('.music-on').style.display = isMuted ? 'none' : 'inline';
+        this.elements.muteButton.querySelector('.music-off').style.display = isMuted ? 'inline' : 'none';
+    },
+
+    /**
+     * Highlight a possible move
+     */
+    showHint() {
+        if (!this.isProcessing) {
+            Grid.showHint();
+        }
     },
 
     /**
      * Handle tile click
      */
     async handleTileClick(e) {
-        if (!this.isPlaying || this.isPaused || this.isProcessing) return;
+        if (!this.isPlaying || this.isPaused || this.isProcessing || Replay.watching) return;
 
-        const tile = e.target.closest('.tile');
+        // Holes in a shaped board are never picked
+        const tile = e.target.closest('.tile:not(.hole)');
         if (!tile) return;
 
         const row = parseInt(tile.dataset.row);
         const col = parseInt(tile.dataset.col);
 
+        // Keep the keyboard cursor where the player last acted
+        this.moveCursor(row, col);
+
+        await this.selectTileAt(row, col, tile);
+    },
+
+    /**
+     * Select, deselect or swap with the tile at a position (shared by click and keyboard)
+     */
+    async selectTileAt(row, col, tile = Grid.getTileElement(row, col)) {
         // Clear hints
         Grid.clearHints();
 
@@ -239,33 +865,182 @@ const Game = {
     },
 
     /**
-     * Attempt to swap two tiles
+     * Board keys: arrows move the cursor (or swap the selected tile),
+     * Enter/Space select, Escape deselects
      */
-    async attemptSwap(pos1, pos2) {
-        this.isProcessing = true;
-        this.elements.board.classList.add('paused');
+    async handleKeyDown(e) {
+        if (!this.isPlaying || this.isPaused || Replay.watching) return;
+
+        const directions = {
+            ArrowUp: [-1, 0],
+            ArrowDown: [1, 0],
+            ArrowLeft: [0, -1],
+            ArrowRight: [0, 1]
+        };
 
-        // Check for special candy combination FIRST
-        const combination = MatchDetector.isSpecialCombination(Grid.data, pos1, pos2);
-        if (combination) {
-            await this.processSpecialCombination(pos1, pos2, combination);
-
-            // Check win/lose conditions
-            if (MemorySystem.isComplete()) {
-                this.showVictory();
-            } else if (this.moves <= 0) {
-                this.showBonusModal();
-            } else if (!Grid.hasPossibleMoves()) {
-                await Grid.shuffle();
+        if (directions[e.key]) {
+            e.preventDefault();
+            if (this.isProcessing) return;
+
+            const [dRow, dCol] = directions[e.key];
+
+            if (this.selectedTile) {
+                // Arrow after select swaps in that direction
+                const from = this.selectedTile;
+                const target = { row: from.row + dRow, col: from.col + dCol };
+                if (!Grid.getTileData(target.row, target.col)) return;
+
+                Animations.deselectTile(Grid.getTileElement(from.row, from.col));
+                this.selectedTile = null;
+                Grid.clearHints();
+                this.moveCursor(target.row, target.col);
+                await this.attemptSwap(from, target);
+            } else {
+                this.moveCursor(this.cursor.row + dRow, this.cursor.col + dCol);
             }
+        } else if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            if (this.isProcessing) return;
+            await this.selectTileAt(this.cursor.row, this.cursor.col);
+        } else if (e.key === 'Escape' && this.selectedTile && !this.isProcessing) {
+            Animations.deselectTile(Grid.getTileElement(this.selectedTile.row, this.selectedTile.col));
+            this.selectedTile = null;
+        }
+    },
 
-            this.isProcessing = false;
-            this.elements.board.classList.remove('paused');
-            return;
+    /**
+     * Global shortcuts: H for a hint, U to undo, M to toggle music
+     */
+    handleShortcut(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        if (!this.screens.game.classList.contains('active')) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'h' && this.isPlaying) {
+            this.showHint();
+        } else if (key === 'u') {
+            this.undo();
+        } else if (key === 'm') {
+            this.toggleMute();
+        }
+    },
+
+    /**
+     * Move the keyboard cursor, staying on the board
+     * @returns {boolean} - Whether the cursor moved
+     */
+    moveCursor(row, col) {
+        if (!Grid.getTileData(row, col)) return false;
+
+        this.cursor = { row, col };
+        Grid.showCursor(row, col);
+        return true;
+    },
+
+    /**
+     * Start tracking a possible drag from the pressed tile
+     */
+    handlePointerDown(e) {
+        this.suppressClick = false;
+        if (!this.isPlaying || this.isPaused || this.isProcessing || Replay.watching) return;
+        if (e.pointerType === 'mouse' && e.button !== 0) return;
+
+        // Holes in a shaped board are never picked
+        const tile = e.target.closest('.tile:not(.hole)');
+        if (!tile) return;
+
+        this.drag = {
+            pointerId: e.pointerId,
+            tile,
+            row: parseInt(tile.dataset.row),
+            col: parseInt(tile.dataset.col),
+            startX: e.clientX,
+            startY: e.clientY,
+            size: tile.getBoundingClientRect().width || 1,
+            moved: false
+        };
+
+        // Keep receiving moves when the finger leaves the tile
+        if (tile.setPointerCapture) {
+            tile.setPointerCapture(e.pointerId);
+        }
+    },
+
+    /**
+     * Move the dragged tile with the pointer and swap once it passes the threshold
+     */
+    handlePointerMove(e) {
+        const drag = this.drag;
+        if (!drag || e.pointerId !== drag.pointerId) return;
+
+        const dx = e.clientX - drag.startX;
+        const dy = e.clientY - drag.startY;
+        const horizontal = Math.abs(dx) >= Math.abs(dy);
+        const distance = horizontal ? dx : dy;
+
+        if (Math.abs(distance) > this.dragSlop) {
+            drag.moved = true;
+        }
+        if (!drag.moved) return;
+
+        const step = Math.sign(distance);
+        const target = horizontal
+            ? { row: drag.row, col: drag.col + step }
+            : { row: drag.row + step, col: drag.col };
+        const onBoard = Grid.getTileData(target.row, target.col);
+
+        // Follow the pointer along one axis, at most one tile (none off the board edge)
+        const offset = onBoard ? Math.max(-drag.size, Math.min(drag.size, distance)) : 0;
+        Animations.dragTile(drag.tile, horizontal ? offset : 0, horizontal ? 0 : offset);
+
+        if (onBoard && Math.abs(distance) >= drag.size * this.dragThreshold) {
+            this.endDrag(false);
+            this.suppressClick = true;
+
+            // A drag replaces any tap selection
+            Grid.clearHints();
+            if (this.selectedTile) {
+                Animations.deselectTile(Grid.getTileElement(this.selectedTile.row, this.selectedTile.col));
+                this.selectedTile = null;
+            }
+
+            this.attemptSwap({ row: drag.row, col: drag.col }, target);
         }
+    },
+
+    /**
+     * Pointer released or cancelled before a swap: snap the tile back
+     */
+    handlePointerUp(e) {
+        const drag = this.drag;
+        if (!drag || e.pointerId !== drag.pointerId) return;
 
-        // Check if swap would create a match
-        if (!MatchDetector.wouldMatch(Grid.data, pos1, pos2)) {
+        // A cancelled drag should not also select the tile
+        if (drag.moved) {
+            this.suppressClick = true;
+        }
+        this.endDrag(true);
+    },
+
+    /**
+     * Stop tracking the current drag
+     * @param {boolean} snapBack - Return the tile to its cell (false when a swap animation takes over)
+     */
+    endDrag(snapBack) {
+        if (!this.drag) return;
+        Animations.releaseTile(this.drag.tile, snapBack);
+        this.drag = null;
+    },
+
+    /**
+     * Attempt to swap two tiles
+     */
+    async attemptSwap(pos1, pos2) {
+        this.isProcessing = true;
+        this.elements.board.classList.add('paused');
+
+        // Check the swap makes a match or combines two specials (locked tiles stay put)
+        if (!Engine.isValidSwap(Grid.data, pos1, pos2)) {
             // Invalid swap - animate and revert
             const tile1 = Grid.getTileElement(pos1.row, pos1.col);
             const tile2 = Grid.getTileElement(pos2.row, pos2.col);
@@ -276,194 +1051,239 @@ const Game = {
             return;
         }
 
-        // Valid swap - perform it
-        await Grid.swapTiles(pos1, pos2);
-
-        // Use a move
-        this.moves--;
-        this.updateMovesDisplay();
+        // Valid swap - use a move (remembering the game as it was for undo)
+        this.undoSnapshot = this.createSnapshot();
+        Replay.record(pos1, pos2);
+        this.useMove();
 
-        // Process matches
-        await this.processMatches();
+        // The engine plays the whole turn, cascades and any shuffle included;
+        // the board then shows it step by step
+        const { events } = Engine.playTurn(this.turnState(), pos1, pos2);
+        await this.playEvents(events);
 
         // Check win/lose conditions
-        if (MemorySystem.isComplete()) {
-            this.showVictory();
-        } else if (this.moves <= 0) {
+        if (Levels.isComplete()) {
+            await this.completeLevel();
+        } else if (this.isOutOfMoves()) {
             this.showBonusModal();
         } else if (!Grid.hasPossibleMoves()) {
+            // The engine only shuffles while memories remain; the objective may still be open
             await Grid.shuffle();
         }
 
+        if (this.isPlaying) {
+            this.nudgeIfStuck();
+            this.saveProgress();
+        }
+
         this.isProcessing = false;
         this.elements.board.classList.remove('paused');
+        this.updateUndoButton();
     },
 
     /**
-     * Process all matches (including chain reactions)
+     * The running game as an engine state (turns are played on the live board)
      */
-    async processMatches() {
-        let hasMatches = true;
+    turnState() {
+        return {
+            board: Grid.data,
+            layers: Grid.layers,
+            tileTypes: Grid.tileTypes,
+            moves: this.moves,
+            totalMemories: Levels.current().memories,
+            revealedCount: Levels.progress.memories,
+            shuffles: 0
+        };
+    },
+
+    /**
+     * Show a turn the engine has played, one event at a time
+     * @param {Array} events - From Engine.playTurn()
+     */
+    async playEvents(events) {
+        let combination = null;
+
+        for (const [index, event] of events.entries()) {
+            switch (event.type) {
+                case 'swap':
+                    await Grid.renderSwap(event);
+                    break;
+
+                case 'combination':
+                    // Special combination sound and heavy shake
+                    combination = event.combination;
+                    AudioManager.playSound('special');
+                    Animations.screenShake('heavy');
+                    Animations.backgroundPulse();
+                    break;
+
+                case 'special-created':
+                    Grid.renderSpecial(event);
+                    break;
+
+                case 'clear':
+                    // Color bomb + striped/wrapped: show the converted candies before they fire
+                    if (combination && events[index - 1].type === 'special-created') {
+                        await Animations.wait(300);
+                    }
+                    await this.playClear(event, combination);
+                    combination = null;
+                    break;
+
+                case 'layer-hit':
+                    this.playLayerHits(event);
+                    break;
+
+                case 'memory-collected':
+                    await this.playMemory(event);
+                    break;
+
+                case 'fall':
+                    await Grid.renderFall(event);
+                    break;
+
+                case 'spawn':
+                    await Grid.renderSpawn(event);
+                    // Small delay before any chain reaction
+                    await Animations.wait(100);
+                    break;
+
+                case 'shuffle':
+                    await Grid.renderShuffle(event);
+                    break;
+
+                default:
+                    break;
+            }
+        }
+    },
 
-        while (hasMatches) {
-            const { matches, specials } = MatchDetector.findAllMatches(Grid.data);
+    /**
+     * Score a clear, count it toward the objective and pop its tiles
+     * @param {Object} event - Clear event from the engine
+     * @param {Object} [combination] - The special combination that made it
+     */
+    async playClear(event, combination = null) {
+        // Locked tiles only lose their lock, but still score
+        const positions = [...event.positions, ...event.unlocked];
+        this.playChainEffects(event.activated);
 
-            if (matches.length === 0) {
-                hasMatches = false;
-                continue;
+        if (combination) {
+            this.awardPoints(Score.scoreCombination(combination.combinationType, positions.length, event.activated), positions);
+        } else {
+            // Chain reactions buy time in time-attack mode
+            if (event.cascade > 1) {
+                this.addTime(Countdown.cascadeBonus);
             }
 
             // Play match sound and visual feedback
             AudioManager.playSound('match');
             Animations.backgroundPulse();
+            this.awardPoints(Score.scoreClear({
+                tiles: positions.length,
+                created: event.created,
+                activated: event.activated,
+                cascade: event.cascade
+            }), positions);
+        }
 
-            // Check for special candies being matched
-            const specialsToActivate = [];
-            for (const match of matches) {
-                const tileData = Grid.getTileData(match.row, match.col);
-                if (tileData && tileData.special) {
-                    specialsToActivate.push({
-                        pos: match,
-                        type: tileData.special
-                    });
-                }
-            }
+        this.recordCleared(event.tiles);
+        await Grid.renderClear(event);
+    },
 
-            // Get additional positions from special candy activations
-            let allMatches = [...matches];
-            for (const special of specialsToActivate) {
-                const extraPositions = MatchDetector.getSpecialClearPositions(
-                    Grid.data,
-                    special.pos,
-                    special.type
-                );
-                allMatches.push(...extraPositions);
+    /**
+     * Sound and shake for each special set off, in step with its wave
+     * @param {Array} activated - [{ type, wave }] from Engine.resolveChain()
+     */
+    playChainEffects(activated) {
+        for (const special of activated) {
+            setTimeout(() => {
                 AudioManager.playSound('special');
                 Animations.screenShake('medium');
-            }
-
-            // Remove duplicates using utility function
-            const uniqueMatches = this.deduplicatePositions(allMatches);
-            const clearedKeys = new Set(uniqueMatches.map(m => `${m.row},${m.col}`));
-
-            // Remove matched tiles and check for memories
-            const memoryTiles = await Grid.removeMatches(uniqueMatches);
-
-            // Create special candies (at positions that weren't cleared)
-            for (const special of specials) {
-                if (!clearedKeys.has(`${special.row},${special.col}`)) {
-                    Grid.createSpecialCandy(special.row, special.col, special.type, special.candyType);
-                }
-            }
-
-            // Reveal memories
-            for (const memory of memoryTiles) {
-                this.isPaused = true;
-                await MemorySystem.revealMemory(memory.memoryId);
-                await MemorySystem.waitForClose();
-                this.isPaused = false;
-            }
-
-            // Apply gravity
-            await Grid.applyGravity();
-
-            // Spawn new tiles
-            await Grid.spawnNewTiles();
-
-            // Small delay before checking for chain reactions
-            await Animations.wait(100);
+            }, special.wave * Grid.waveDelay);
         }
     },
 
     /**
-     * Process a special candy combination swap
-     * @param {Object} pos1 - First position
-     * @param {Object} pos2 - Second position
-     * @param {Object} combination - Combination info
+     * Show the photo behind a collected memory tile (the turn waits until it is closed)
      */
-    async processSpecialCombination(pos1, pos2, combination) {
-        // Animate the swap
-        await Grid.swapTiles(pos1, pos2);
-
-        // Use a move
-        this.moves--;
-        this.updateMovesDisplay();
-
-        // Play special combination sound and heavy shake
-        AudioManager.playSound('special');
-        Animations.screenShake('heavy');
-        Animations.backgroundPulse();
-
-        // Get all positions to clear from the combination
-        const clearPositions = MatchDetector.getSpecialCombinationClearPositions(
-            Grid.data,
-            combination
-        );
-
-        // Check for chain reactions (other specials being cleared)
-        let allPositions = [...clearPositions];
-        for (const pos of clearPositions) {
-            // Skip the two candies we just combined (they're consumed)
-            if ((pos.row === pos1.row && pos.col === pos1.col) ||
-                (pos.row === pos2.row && pos.col === pos2.col)) {
-                continue;
-            }
-            // Check if this position has a special candy that should chain
-            const tileData = Grid.getTileData(pos.row, pos.col);
-            if (tileData && tileData.special) {
-                const extraPositions = MatchDetector.getSpecialClearPositions(
-                    Grid.data,
-                    pos,
-                    tileData.special
-                );
-                allPositions.push(...extraPositions);
-                AudioManager.playSound('special');
-            }
-        }
-
-        // Remove duplicates using utility function
-        const uniquePositions = this.deduplicatePositions(allPositions);
-
-        // Remove tiles and collect memories
-        const memoryTiles = await Grid.removeMatches(uniquePositions);
+    async playMemory({ memoryId }) {
+        this.isPaused = true;
+        await MemorySystem.revealMemory(memoryId);
+        await MemorySystem.waitForClose();
+        Levels.recordMemory();
+        this.movesSinceMemory = 0;
+        this.addTime(Countdown.memoryBonus);
+        this.updateLevelDisplay();
+        this.isPaused = false;
+    },
 
-        // Reveal memories
-        for (const memory of memoryTiles) {
-            this.isPaused = true;
-            await MemorySystem.revealMemory(memory.memoryId);
-            await MemorySystem.waitForClose();
-            this.isPaused = false;
+    /**
+     * Add points to the level objective, update the header and show a popup
+     * @param {Object} result - { points, multiplier } from Score
+     * @param {Array} positions - Cleared positions (the popup appears at their center)
+     */
+    awardPoints({ points, multiplier }, positions) {
+        Levels.recordScore(points);
+        this.updateScoreDisplay();
+        this.updateLevelDisplay();
+
+        if (positions.length === 0) return;
+
+        // Position nearest the middle of the clear
+        const rowMean = positions.reduce((sum, p) => sum + p.row, 0) / positions.length;
+        const colMean = positions.reduce((sum, p) => sum + p.col, 0) / positions.length;
+        const distance = p => Math.abs(p.row - rowMean) + Math.abs(p.col - colMean);
+        const center = positions.reduce((best, p) => (distance(p) < distance(best) ? p : best));
+
+        const tile = Grid.getTileElement(center.row, center.col);
+        if (tile) {
+            Animations.scorePopup(tile, points, multiplier);
         }
+    },
 
-        // Apply gravity
-        await Grid.applyGravity();
-
-        // Spawn new tiles
-        await Grid.spawnNewTiles();
-
-        // Small delay then check for chain reactions
-        await Animations.wait(100);
-
-        // Continue with normal match processing for any cascades
-        await this.processMatches();
+    /**
+     * Update score display
+     */
+    updateScoreDisplay() {
+        this.elements.scoreCount.textContent = Score.total.toLocaleString();
     },
 
     /**
-     * Update moves display
+     * Update moves display (the clock in time-attack mode)
      */
     updateMovesDisplay() {
-        this.elements.movesCount.textContent = this.moves;
+        const timed = this.mode === 'timed';
+        const left = timed ? Countdown.seconds() : this.moves;
+        this.elements.movesCount.textContent = timed ? Countdown.format(left) : left;
 
-        // Add warning color when low on moves
-        if (this.moves <= 5) {
+        // Add warning color when low on moves (or seconds)
+        const [low, warn] = timed ? [10, 20] : [5, 10];
+        if (left <= low) {
             this.elements.movesCount.style.color = '#e91e63';
-        } else if (this.moves <= 10) {
+        } else if (left <= warn) {
             this.elements.movesCount.style.color = '#ff9800';
         } else {
             this.elements.movesCount.style.color = '';
         }
     },
 
+    /**
+     * Set how often new candies help with hidden memories
+     * (changes with the moves left when adaptive difficulty is on)
+     */
+    updateDifficulty() {
+        const level = Levels.current();
+        const timed = this.mode === 'timed';
+        Engine.helperBias = Difficulty.biasFor({
+            // Seconds stand in for moves in time-attack mode (zen has no budget to pace)
+            moves: timed ? Countdown.seconds() : this.moves,
+            hidden: level.memories - Levels.progress.memories,
+            startMoves: this.mode === 'zen' ? 0 : timed ? level.time : this.maxMoves,
+            memories: level.memories
+        });
+    },
+
     /**
      * Show bonus moves modal
      */
@@ -476,15 +1296,31 @@ const Game = {
     /**
      * Add bonus moves
      */
-    addBonusMoves() {
-        this.moves += 10;
+    async addBonusMoves() {
+        Replay.record('bonus');
+        if (this.mode === 'timed') {
+            Countdown.add(Countdown.extraSeconds);
+        } else {
+            this.moves += 10;
+            this.bonusMovesTaken += 10;
+        }
+        // Undoing now would take the bonus back with the move
+        this.undoSnapshot = null;
+        this.updateUndoButton();
         this.updateMovesDisplay();
+        this.updateDifficulty();
 
         this.screens.bonus.style.opacity = '0';
         setTimeout(() => {
             this.screens.bonus.classList.remove('active');
         }, 300);
 
+        // The last move (or the clock) may have run out on a board with no moves left
+        if (!Grid.hasPossibleMoves()) {
+            await Grid.shuffle();
+        }
+        this.saveProgress();
+
         this.isPaused = false;
     },
 
@@ -493,6 +1329,12 @@ const Game = {
      */
     async showVictory() {
         this.isPlaying = false;
+        Countdown.stop();
+
+        // Finished games are not resumable
+        if (!Autoplay.isRunning && !this.isDemo) {
+            SaveGame.clear();
+        }
 
         // Stop ambient particles
         Animations.stopAmbientParticles();
@@ -506,6 +1348,9 @@ const Game = {
         // Populate gallery with all memories
         MemorySystem.populateGallery();
 
+        // Final score
+        this.elements.finalScore.textContent = Score.total.toLocaleString();
+
         // Transition to victory screen
         await Animations.celebrateVictory(this.screens.victory);
 
@@ -529,24 +1374,15 @@ const Game = {
         this.screens.game.classList.add('active');
         this.screens.game.style.opacity = '1';
 
-        // Reset game state
-        this.maxMoves = gameConfig.startingMoves;
-        this.moves = this.maxMoves;
-        this.updateMovesDisplay();
-
-        // Reinitialize grid
-        Grid.init(this.elements.board, gameConfig.gridSize);
-        const memoryPositions = MemorySystem.generateMemoryPositions(gameConfig.gridSize);
-        Grid.generate(memoryPositions);
-
-        if (!Grid.hasPossibleMoves()) {
-            await Grid.shuffle();
-        }
-
-        this.isPlaying = true;
-        this.isPaused = false;
-        this.isProcessing = false;
-        this.selectedTile = null;
+        // Back to the first level (a real game once the player starts it)
+        this.isDemo = Autoplay.isRunning;
+        Levels.reset();
+        Score.reset();
+        this.bonusMovesTaken = 0;
+        this.undosLeft = this.undoLimit;
+        Replay.begin(this.configFingerprint());
+        this.updateScoreDisplay();
+        await this.startLevel();
     }
 };
 
@@ -4,36 +4,144 @@
 
 const Grid = {
     size: 8,
+    rows: 8,
+    cols: 8,
+    mask: null, // Board shape from Layouts.build(), null for a plain square
     element: null,
     tiles: [], // 2D array of tile DOM elements
     data: [],  // 2D array of tile data objects
+    layers: [], // 2D array of jelly/ice under the tiles (null where there is none)
+    layerElements: [], // 2D array of layer DOM elements
 
     // Reduced to 5 types for easier matching
-    tileTypes: ['heart', 'diamond', 'rose', 'star', 'ring'],
-    tileEmojis: {
-        heart: '',
-        diamond: '',
-        rose: '',
-        star: '',
-        ring: ''
+    allTileTypes: ['heart', 'diamond', 'rose', 'star', 'ring'],
+    tileTypes: ['heart', 'diamond', 'rose', 'star', 'ring'], // Types in play this level
+    waveDelay: 150, // ms between chain reaction waves
+    hintChoices: 3, // Top moves the hint button cycles through
+    lastHint: null, // { board, index } of the last hint shown
+    tileArt: {}, // Tile definitions from TileSet, by type name
+
+    /**
+     * Use a tile set for every board from now on
+     * @param {Array} types - From TileSet.init(): [{ name, label, image, emoji, palette }]
+     */
+    setTileSet(types) {
+        this.allTileTypes = types.map(tile => tile.name);
+        this.tileTypes = this.allTileTypes.slice();
+        this.tileArt = Object.fromEntries(types.map(tile => [tile.name, tile]));
     },
 
     /**
      * Initialize the grid
+     * @param {HTMLElement} boardElement - Board container
+     * @param {number} [size] - Board width/height
+     * @param {Array} [tileTypes] - Tile types in play (defaults to all of them)
+     * @param {Array} [mask] - Board shape (overrides size; holes get no tile)
      */
-    init(boardElement, size = 8) {
+    init(boardElement, size = 8, tileTypes = this.allTileTypes, mask = null) {
         this.element = boardElement;
         this.size = size;
+        this.mask = mask;
+        this.rows = mask ? mask.length : size;
+        this.cols = mask ? mask[0].length : size;
+        this.tileTypes = tileTypes;
         this.tiles = [];
         this.data = [];
+        this.layers = [];
+        this.layerElements = [];
 
-        // Clear existing board
+        // Clear existing board and size the CSS grid to match
+        // (the board keeps square cells, so a wide or tall board changes its outline)
         this.element.innerHTML = '';
+        this.element.style.gridTemplateColumns = `repeat(${this.cols}, 1fr)`;
+        this.element.style.gridTemplateRows = `repeat(${this.rows}, 1fr)`;
+        this.element.style.setProperty('--board-cols', this.cols);
+        this.element.style.setProperty('--board-rows', this.rows);
 
         // Initialize arrays
-        for (let row = 0; row < this.size; row++) {
+        for (let row = 0; row < this.rows; row++) {
             this.tiles[row] = [];
             this.data[row] = [];
+            this.layers[row] = new Array(this.cols).fill(null);
+            this.layerElements[row] = [];
+        }
+    },
+
+    /**
+     * Lay jelly and ice under the board and draw them
+     * @param {Array} [layers] - From Engine.generateLayers() (null for none)
+     */
+    setLayers(layers) {
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                const layer = layers?.[row]?.[col];
+                this.layers[row][col] = layer && Engine.layerTypes[layer.type] && this.isCell(row, col)
+                    ? { type: layer.type, hits: layer.hits }
+                    : null;
+                this.updateLayerAppearance(row, col);
+            }
+        }
+    },
+
+    /**
+     * Put licorice locks on tiles and draw them
+     * @param {Object} [locks] - { candies, memories } (see Engine.lockTiles)
+     * @returns {Array} - Positions locked
+     */
+    lockTiles(locks) {
+        const locked = Engine.lockTiles(this.data, locks);
+        for (const { row, col } of locked) {
+            this.updateTileAppearance(this.tiles[row][col], this.data[row][col]);
+        }
+        return locked;
+    },
+
+    /**
+     * Play back an engine layer-hit event
+     */
+    renderLayerHits(event) {
+        for (const { row, col, layer, hits, cleared } of event.hits) {
+            this.drawLayer(row, col, cleared ? null : { type: layer, hits });
+        }
+    },
+
+    /**
+     * Draw a cell's layer and refresh its tile's label
+     */
+    updateLayerAppearance(row, col) {
+        this.drawLayer(row, col, this.layers[row][col]);
+
+        const tile = this.tiles[row][col];
+        if (tile) {
+            this.updateTileAppearance(tile, this.data[row][col]);
+        }
+    },
+
+    /**
+     * Draw a layer behind a cell's tile (separate from the tile, which
+     * moves on when it falls)
+     * @param {Object|null} layer - { type, hits }, or null for none
+     */
+    drawLayer(row, col, layer) {
+        let element = this.layerElements[row][col];
+
+        if (!layer) {
+            if (element) {
+                element.remove();
+                this.layerElements[row][col] = null;
+            }
+        } else {
+            if (!element) {
+                element = document.createElement('div');
+                element.setAttribute('aria-hidden', 'true');
+                element.style.gridRow = row + 1;
+                element.style.gridColumn = col + 1;
+                // Earlier in the board than the tiles, so it paints underneath
+                this.element.prepend(element);
+                this.layerElements[row][col] = element;
+            }
+            element.className = `cell-layer ${layer.type}`;
+            element.dataset.hits = layer.hits;
         }
     },
 
@@ -41,39 +149,10 @@ const Grid = {
      * Generate initial grid ensuring no starting matches
      */
     generate(memoryPositions = []) {
-        // Create memory position lookup with their assigned types
-        const memoryLookup = new Set(memoryPositions.map(p => `${p.row},${p.col}`));
-        const memoryTypes = new Map(); // Store what type each memory tile will be
-        let memoryIndex = 0;
-
-        // First pass: assign types to all tiles
-        for (let row = 0; row < this.size; row++) {
-            for (let col = 0; col < this.size; col++) {
-                let type;
-                let attempts = 0;
-
-                // Keep generating until no initial match
-                do {
-                    type = this.getRandomType();
-                    attempts++;
-                } while (attempts < 50 && this.wouldCreateInitialMatch(row, col, type));
-
-                // Create tile data
-                const isMemory = memoryLookup.has(`${row},${col}`);
-                const memId = isMemory ? memoryPositions[memoryIndex++]?.memoryId : null;
-
-                this.data[row][col] = {
-                    type: type,
-                    special: null,
-                    isMemory: isMemory,
-                    memoryId: memId
-                };
-
-                if (isMemory) {
-                    memoryTypes.set(`${row},${col}`, type);
-                }
-
-                // Create and render tile
+        this.data = Engine.generateBoard(this.size, this.tileTypes, memoryPositions, this.mask);
+
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
                 this.createTileElement(row, col);
             }
         }
@@ -82,36 +161,54 @@ const Grid = {
     },
 
     /**
-     * Ensure each memory tile has at least one adjacent tile of the same type
+     * Load saved tile data and draw it
+     * @param {Array} board - 2D array of tile data (same shape as the grid; holes are false,
+     *   empty cells null)
      */
-    ensureMemoryTilesMatchable(memoryPositions, memoryTypes) {
-        for (const memPos of memoryPositions) {
-            const { row, col } = memPos;
-            const memoryType = this.data[row][col]?.type;
-            if (!memoryType) continue;
+    loadBoard(board) {
+        this.data = board.map(row => row.map(tile => (tile === false || tile === null ? tile : {
+            ...Engine.createTile(tile.type, tile.special || null),
+            isMemory: Boolean(tile.isMemory),
+            memoryId: tile.memoryId ?? null,
+            locked: Boolean(tile.locked)
+        })));
+
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                this.createTileElement(row, col);
+            }
+        }
+    },
 
-            // Check if memory tile already has a matching neighbor
-            const neighbors = this.getNeighbors(row, col);
-            const hasMatch = neighbors.some(n =>
-                this.data[n.row][n.col]?.type === memoryType &&
-                !this.data[n.row][n.col]?.isMemory
-            );
+    /**
+     * The board in the text notation (see Engine.formatBoard)
+     * @returns {string}
+     */
+    exportBoard() {
+        return Engine.formatBoard(this.data, this.allTileTypes);
+    },
 
-            // If no matching neighbor, convert one neighbor to match
-            if (!hasMatch && neighbors.length > 0) {
-                // Find a non-memory neighbor to convert
-                const nonMemoryNeighbors = neighbors.filter(n => !this.data[n.row][n.col]?.isMemory);
-                if (nonMemoryNeighbors.length > 0) {
-                    const target = nonMemoryNeighbors[Math.floor(Math.random() * nonMemoryNeighbors.length)];
-                    this.data[target.row][target.col].type = memoryType;
-                    this.updateTileAppearance(this.tiles[target.row][target.col], this.data[target.row][target.col]);
-                }
-            }
+    /**
+     * Replace the board with one written in the text notation; the grid
+     * takes its shape, and jelly and ice are cleared
+     * @param {string} text - From exportBoard(), or written by hand
+     * @returns {Array} - The board loaded
+     * @throws {Error} When the text can't be read or uses unknown tiles
+     */
+    importBoard(text) {
+        const board = Engine.parseBoard(text, this.allTileTypes);
+        const unknown = board.flat().find(tile => tile && !this.allTileTypes.includes(tile.type));
+        if (unknown) {
+            throw new Error(`Unknown tile type "${unknown.type}"`);
         }
+
+        this.init(this.element, board.length, this.tileTypes, Engine.maskOf(board));
+        this.loadBoard(board);
+        return board;
     },
 
     /**
-     * Get adjacent tile positions
+     * Get adjacent tile positions (holes are not neighbors)
      */
     getNeighbors(row, col) {
         const neighbors = [];
@@ -119,7 +216,7 @@ const Grid = {
         for (const [dr, dc] of directions) {
             const nr = row + dr;
             const nc = col + dc;
-            if (nr >= 0 && nr < this.size && nc >= 0 && nc < this.size) {
+            if (this.isCell(nr, nc)) {
                 neighbors.push({ row: nr, col: nc });
             }
         }
@@ -127,33 +224,37 @@ const Grid = {
     },
 
     /**
-     * Check if placing a type at position would create an initial match
+     * Whether a position is on the board and not a hole
      */
-    wouldCreateInitialMatch(row, col, type) {
-        // Check horizontal (2 to the left)
-        if (col >= 2) {
-            if (this.data[row][col - 1]?.type === type &&
-                this.data[row][col - 2]?.type === type) {
-                return true;
-            }
-        }
+    isCell(row, col) {
+        return row >= 0 && row < this.rows && col >= 0 && col < this.cols &&
+            (!this.mask || this.mask[row][col]);
+    },
 
-        // Check vertical (2 above)
-        if (row >= 2) {
-            if (this.data[row - 1][col]?.type === type &&
-                this.data[row - 2][col]?.type === type) {
-                return true;
+    /**
+     * First playable cell in reading order (where the keyboard cursor starts)
+     */
+    firstCell() {
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                if (this.isCell(row, col)) return { row, col };
             }
         }
+        return { row: 0, col: 0 };
+    },
 
-        return false;
+    /**
+     * Check if placing a type at position would create an initial match
+     */
+    wouldCreateInitialMatch(row, col, type) {
+        return Engine.wouldCreateInitialMatch(this.data, row, col, type);
     },
 
     /**
      * Get random tile type
      */
     getRandomType() {
-        return this.tileTypes[Math.floor(Math.random() * this.tileTypes.length)];
+        return Engine.randomType(this.tileTypes);
     },
 
     /**
@@ -164,11 +265,13 @@ const Grid = {
         tile.className = 'tile';
         tile.dataset.row = row;
         tile.dataset.col = col;
+        // Placed explicitly so layer elements can share the cell
+        tile.style.gridRow = row + 1;
+        tile.style.gridColumn = col + 1;
 
         this.updateTileAppearance(tile, this.data[row][col]);
 
         // Add to grid
-        const index = row * this.size + col;
         this.element.appendChild(tile);
         this.tiles[row][col] = tile;
 
@@ -179,14 +282,29 @@ const Grid = {
      * Update tile appearance based on data
      */
     updateTileAppearance(tile, data) {
+        if (data === false) {
+            // A hole in a shaped board keeps its grid slot but shows nothing
+            tile.className = 'tile hole';
+            tile.removeAttribute('aria-label');
+            tile.setAttribute('aria-hidden', 'true');
+            this.drawTileArt(tile, null);
+            return;
+        }
+
         if (!data) {
             tile.className = 'tile empty';
-            tile.textContent = '';
+            tile.removeAttribute('aria-label');
+            this.drawTileArt(tile, null);
             return;
         }
 
+        const art = this.tileArt[data.type];
+
         // Base class
         let classes = ['tile', data.type];
+        if (art) {
+            classes.push(`palette-${art.palette}`);
+        }
 
         // Special candy class
         if (data.special) {
@@ -198,15 +316,85 @@ const Grid = {
             classes.push('memory-tile');
         }
 
+        if (data.locked) {
+            classes.push('locked');
+        }
+
         tile.className = classes.join(' ');
-        tile.textContent = this.tileEmojis[data.type] || '';
+        tile.setAttribute('aria-label', this.describeTile(data, this.layers[tile.dataset.row]?.[tile.dataset.col]));
+        this.drawTileArt(tile, art);
+    },
+
+    // Spoken names for special candies
+    specialLabels: {
+        'striped-h': 'striped across',
+        'striped-v': 'striped down',
+        'wrapped': 'wrapped',
+        'color-bomb': 'color bomb'
+    },
+
+    // Spoken names for cell layers
+    layerLabels: {
+        jelly: 'on jelly',
+        ice: 'in ice'
+    },
+
+    /**
+     * Accessible label for a tile, e.g. "Coffee, wrapped, memory tile, on jelly"
+     * @param {Object} data - Tile data
+     * @param {Object} [layer] - Layer under the tile
+     */
+    describeTile(data, layer = null) {
+        const parts = [this.tileArt[data.type]?.label || data.type];
+        if (data.special) {
+            parts.push(this.specialLabels[data.special] || data.special);
+        }
+        if (data.isMemory) {
+            parts.push('memory tile');
+        }
+        if (data.locked) {
+            parts.push('locked');
+        }
+        if (layer) {
+            const label = this.layerLabels[layer.type] || layer.type;
+            parts.push(layer.type === 'ice' && layer.hits > 1 ? 'in thick ice' : label);
+        }
+        return parts.join(', ');
+    },
+
+    /**
+     * Put a tile type's image or emoji in the tile
+     * (skipped when the tile already shows that type)
+     */
+    drawTileArt(tile, art) {
+        const key = art && (art.image || art.emoji) ? art.name : '';
+        if (tile.dataset.art === key) return;
+
+        tile.dataset.art = key;
+        tile.textContent = '';
+        if (!key) return;
+
+        if (art.image) {
+            const img = document.createElement('img');
+            img.className = 'tile-art';
+            img.src = art.image;
+            img.alt = '';
+            img.draggable = false;
+            tile.appendChild(img);
+        } else {
+            const emoji = document.createElement('span');
+            emoji.className = 'tile-art';
+            emoji.setAttribute('aria-hidden', 'true');
+            emoji.textContent = art.emoji;
+            tile.appendChild(emoji);
+        }
     },
 
     /**
      * Get tile element at position
      */
     getTileElement(row, col) {
-        if (row < 0 || row >= this.size || col < 0 || col >= this.size) {
+        if (row < 0 || row >= this.rows || col < 0 || col >= this.cols) {
             return null;
         }
         return this.tiles[row][col];
@@ -216,7 +404,7 @@ const Grid = {
      * Get tile data at position
      */
     getTileData(row, col) {
-        if (row < 0 || row >= this.size || col < 0 || col >= this.size) {
+        if (row < 0 || row >= this.rows || col < 0 || col >= this.cols) {
             return null;
         }
         return this.data[row][col];
@@ -233,92 +421,54 @@ const Grid = {
     },
 
     /**
-     * Swap two tiles
+     * Play back an engine swap event
      */
-    async swapTiles(pos1, pos2, animate = true) {
-        // Swap data
-        const temp = this.data[pos1.row][pos1.col];
-        this.data[pos1.row][pos1.col] = this.data[pos2.row][pos2.col];
-        this.data[pos2.row][pos2.col] = temp;
+    async renderSwap(event) {
+        const { pos1, pos2, tiles } = event;
+        const tile1 = this.tiles[pos1.row][pos1.col];
+        const tile2 = this.tiles[pos2.row][pos2.col];
 
         // Update appearances
-        this.updateTileAppearance(this.tiles[pos1.row][pos1.col], this.data[pos1.row][pos1.col]);
-        this.updateTileAppearance(this.tiles[pos2.row][pos2.col], this.data[pos2.row][pos2.col]);
+        this.updateTileAppearance(tile1, tiles[0]);
+        this.updateTileAppearance(tile2, tiles[1]);
 
-        if (animate) {
-            await Animations.swapTiles(
-                this.tiles[pos1.row][pos1.col],
-                this.tiles[pos2.row][pos2.col]
-            );
-        }
+        await Animations.swapTiles(tile1, tile2);
     },
 
     /**
-     * Remove matched tiles
+     * Play back an engine clear event: each chain reaction wave pops a beat
+     * after the last, and freed tiles lose their lock
      */
-    async removeMatches(matches) {
-        const memoryTiles = [];
-
-        // Collect memory tiles being removed
-        for (const match of matches) {
-            const data = this.data[match.row][match.col];
-            if (data && data.isMemory && data.memoryId !== null) {
-                memoryTiles.push({
-                    memoryId: data.memoryId,
-                    row: match.row,
-                    col: match.col
-                });
-            }
+    async renderClear(event) {
+        // The tiles still show their candy while they pop
+        await Promise.all(event.positions.map(pos => Animations.removeTile(
+            this.tiles[pos.row][pos.col],
+            pos.animation || 'matched',
+            (pos.wave || 0) * this.waveDelay
+        )));
+
+        for (const { row, col } of event.positions) {
+            this.updateTileAppearance(this.tiles[row][col], null);
         }
-
-        // Animate removal
-        const removePromises = matches.map(match => {
-            const tile = this.tiles[match.row][match.col];
-            const animation = match.animation || 'matched';
-            return Animations.removeTile(tile, animation);
-        });
-
-        await Promise.all(removePromises);
-
-        // Clear data
-        for (const match of matches) {
-            this.data[match.row][match.col] = null;
+        for (const { row, col, tile } of event.unlocked) {
+            this.updateTileAppearance(this.tiles[row][col], tile);
         }
-
-        return memoryTiles;
     },
 
     /**
-     * Apply gravity - tiles fall down to fill gaps
+     * Play back an engine fall event
      */
-    async applyGravity() {
+    async renderFall(event) {
         const animations = [];
 
-        for (let col = 0; col < this.size; col++) {
-            let emptyRow = this.size - 1;
-
-            // Start from bottom, find empty spots
-            for (let row = this.size - 1; row >= 0; row--) {
-                if (this.data[row][col] !== null) {
-                    if (row !== emptyRow) {
-                        // Move tile down
-                        const fallDistance = emptyRow - row;
-                        this.data[emptyRow][col] = this.data[row][col];
-                        this.data[row][col] = null;
-
-                        // Update appearance
-                        this.updateTileAppearance(this.tiles[emptyRow][col], this.data[emptyRow][col]);
-                        this.updateTileAppearance(this.tiles[row][col], null);
-
-                        // Queue animation
-                        animations.push({
-                            tile: this.tiles[emptyRow][col],
-                            distance: fallDistance
-                        });
-                    }
-                    emptyRow--;
-                }
-            }
+        for (const { from, to, distance, tile } of event.falls) {
+            this.updateTileAppearance(this.tiles[to.row][to.col], tile);
+            this.updateTileAppearance(this.tiles[from.row][from.col], null);
+
+            animations.push({
+                tile: this.tiles[to.row][to.col],
+                distance: distance
+            });
         }
 
         // Animate all falls
@@ -328,40 +478,16 @@ const Grid = {
     },
 
     /**
-     * Spawn new tiles to fill empty spaces
-     * Biased toward helping clear memory tiles
-     */
-    async spawnNewTiles() {
-        const newTiles = [];
-
-        for (let col = 0; col < this.size; col++) {
-            let spawnCount = 0;
-            for (let row = 0; row < this.size; row++) {
-                if (this.data[row][col] === null) {
-                    // 40% chance to bias toward nearby memory tiles (optimized for fun)
-                    let type = this.getRandomType();
-                    if (Math.random() < 0.4) {
-                        const helpfulType = this.getHelpfulTypeForPosition(row, col);
-                        if (helpfulType) {
-                            type = helpfulType;
-                        }
-                    }
-
-                    this.data[row][col] = {
-                        type: type,
-                        special: null,
-                        isMemory: false,
-                        memoryId: null
-                    };
-                    this.updateTileAppearance(this.tiles[row][col], this.data[row][col]);
-                    newTiles.push({
-                        tile: this.tiles[row][col],
-                        delay: spawnCount * 50
-                    });
-                    spawnCount++;
-                }
-            }
-        }
+     * Play back an engine spawn event
+     */
+    async renderSpawn(event) {
+        const newTiles = event.tiles.map(({ row, col, index, tile }) => {
+            this.updateTileAppearance(this.tiles[row][col], tile);
+            return {
+                tile: this.tiles[row][col],
+                delay: index * 50
+            };
+        });
 
         // Animate spawning
         if (newTiles.length > 0) {
@@ -370,104 +496,96 @@ const Grid = {
     },
 
     /**
-     * Find a tile type that would help match nearby memory tiles
+     * Play back an engine special-created event
      */
-    getHelpfulTypeForPosition(row, col) {
-        // Look in a 3x3 area around the position for memory tiles
-        for (let dr = -2; dr <= 2; dr++) {
-            for (let dc = -2; dc <= 2; dc++) {
-                const nr = row + dr;
-                const nc = col + dc;
-                if (nr >= 0 && nr < this.size && nc >= 0 && nc < this.size) {
-                    const tile = this.data[nr][nc];
-                    if (tile && tile.isMemory) {
-                        return tile.type;
-                    }
-                }
-            }
-        }
-        return null;
-    },
-
-    /**
-     * Create a special candy at position
-     */
-    createSpecialCandy(row, col, specialType, candyType) {
-        this.data[row][col] = {
-            type: candyType,
-            special: specialType,
-            isMemory: false,
-            memoryId: null
-        };
-        this.updateTileAppearance(this.tiles[row][col], this.data[row][col]);
+    renderSpecial(event) {
+        this.updateTileAppearance(this.tiles[event.row][event.col], event.tile);
     },
 
     /**
      * Check if grid has any possible moves
      */
     hasPossibleMoves() {
-        return MatchDetector.findPossibleMatch(this.data) !== null;
+        return Engine.hasPossibleMoves(this.data);
     },
 
     /**
      * Shuffle grid when no moves available
+     * (memory tiles and specials stay put)
      */
     async shuffle() {
-        // Collect all tile data
-        const allTiles = [];
-        for (let row = 0; row < this.size; row++) {
-            for (let col = 0; col < this.size; col++) {
-                if (this.data[row][col]) {
-                    allTiles.push({ ...this.data[row][col] });
-                }
-            }
-        }
+        await this.renderShuffle(Engine.shuffle(this.data));
+    },
+
+    /**
+     * Play back an engine shuffle event
+     */
+    async renderShuffle(event) {
+        const animations = event.moves.map(({ from, to, tile }) => {
+            this.updateTileAppearance(this.tiles[to.row][to.col], tile);
+            return {
+                tile: this.tiles[to.row][to.col],
+                rows: from.row - to.row,
+                cols: from.col - to.col
+            };
+        });
 
-        // Fisher-Yates shuffle
-        for (let i = allTiles.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [allTiles[i], allTiles[j]] = [allTiles[j], allTiles[i]];
+        if (animations.length > 0) {
+            await Animations.shuffleTiles(animations);
         }
+    },
 
-        // Reassign to grid
-        let index = 0;
-        for (let row = 0; row < this.size; row++) {
-            for (let col = 0; col < this.size; col++) {
-                this.data[row][col] = allTiles[index++];
+    /**
+     * Redraw every tile from its data
+     */
+    refresh() {
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
                 this.updateTileAppearance(this.tiles[row][col], this.data[row][col]);
             }
         }
-
-        // Animate shuffle
-        await Animations.shuffleBoard(this.element);
-
-        // Check if shuffle created matches or still no moves
-        const { matches } = MatchDetector.findAllMatches(this.data);
-        if (matches.length > 0 || !this.hasPossibleMoves()) {
-            // Regenerate if we have matches or still no moves
-            await this.shuffle();
-        }
     },
 
     /**
-     * Show hint for possible move
+     * Show the best move; pressing again on the same board steps
+     * through the next best ones
      */
     showHint() {
-        const possibleMove = MatchDetector.findPossibleMatch(this.data);
-        if (possibleMove) {
-            const [pos1, pos2] = possibleMove;
-            Animations.showHint(this.tiles[pos1.row][pos1.col], this.tiles[pos2.row][pos2.col]);
-            return true;
+        const ranked = Engine.rankMoves(this.data);
+        if (ranked.length === 0) return false;
+
+        const board = JSON.stringify(this.data);
+        const index = this.lastHint && this.lastHint.board === board
+            ? (this.lastHint.index + 1) % Math.min(this.hintChoices, ranked.length)
+            : 0;
+        this.lastHint = { board, index };
+
+        const [pos1, pos2] = ranked[index].move;
+        Animations.showHint(this.tiles[pos1.row][pos1.col], this.tiles[pos2.row][pos2.col]);
+        return true;
+    },
+
+    /**
+     * Mark the tile under the keyboard cursor
+     * (a data attribute, so it survives appearance updates)
+     */
+    showCursor(row, col) {
+        this.element.querySelectorAll('[data-cursor]').forEach(tile => {
+            delete tile.dataset.cursor;
+        });
+
+        const tile = this.getTileElement(row, col);
+        if (tile) {
+            tile.dataset.cursor = '';
         }
-        return false;
     },
 
     /**
      * Clear all hints
      */
     clearHints() {
-        for (let row = 0; row < this.size; row++) {
-            for (let col = 0; col < this.size; col++) {
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
                 this.tiles[row][col].classList.remove('hinting');
             }
         }
@@ -0,0 +1,95 @@
+/* ============================================
+   BOARD LAYOUTS - Anniversary Candy Crush
+   ============================================ */
+
+/**
+ * Board shapes. By default a board is a plain gridSize x gridSize square;
+ * my-config.js can ask for a preset ("heart"), a rectangle ({ rows, cols })
+ * or draw its own mask, one string per row: X is a cell, . is a hole.
+ *
+ * A mask is rows of booleans (true = playable). Engine boards keep holes
+ * as false cells, so the shape travels with the board data.
+ */
+const Layouts = {
+    minSize: 3,
+    maxSize: 12,
+
+    presets: {
+        heart: [
+            '.XX...XX.',
+            'XXXX.XXXX',
+            'XXXXXXXXX',
+            'XXXXXXXXX',
+            '.XXXXXXX.',
+            '..XXXXX..',
+            '...XXX...',
+            '....X....'
+        ]
+    },
+
+    /**
+     * Turn a layout setting into a mask
+     * @param {string|Array|Object} [layout] - Preset name, rows of X and . or { rows, cols }
+     * @returns {Array|null} - Rows of booleans, or null for a plain square board
+     */
+    build(layout) {
+        if (typeof layout === 'string') {
+            return this.presets[layout] ? this.parse(this.presets[layout]) : null;
+        }
+        if (Array.isArray(layout)) {
+            return this.parse(layout);
+        }
+        if (layout && typeof layout === 'object') {
+            const rows = this.clampSize(layout.rows);
+            const cols = this.clampSize(layout.cols);
+            return rows && cols ? Array.from({ length: rows }, () => new Array(cols).fill(true)) : null;
+        }
+        return null;
+    },
+
+    /**
+     * Read mask rows (. or a space is a hole, anything else a cell);
+     * short rows are padded with holes
+     * @returns {Array|null} - null when the drawing has no cells or is too big
+     */
+    parse(lines) {
+        const rows = lines.filter(line => typeof line === 'string');
+        const cols = Math.max(0, ...rows.map(line => line.length));
+        if (rows.length === 0 || rows.length > this.maxSize || cols > this.maxSize) {
+            return null;
+        }
+
+        const mask = rows.map(line => Array.from({ length: cols }, (_, col) => {
+            const mark = line[col];
+            return mark !== undefined && mark !== '.' && mark !== ' ';
+        }));
+        return this.cellCount(mask) > 0 ? mask : null;
+    },
+
+    /**
+     * A whole number of rows or columns in range, or null
+     */
+    clampSize(value) {
+        const n = Number(value);
+        return Number.isInteger(n) ? Math.max(this.minSize, Math.min(this.maxSize, n)) : null;
+    },
+
+    /**
+     * Playable cells on a board
+     * @param {Array|null} mask - From build()
+     * @param {number} [gridSize] - Square size when there is no mask
+     */
+    cellCount(mask, gridSize = 0) {
+        if (!mask) return gridSize * gridSize;
+        return mask.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+    }
+};
+
+// Export for both browser and module environments
+if (typeof window !== 'undefined') {
+    window.Layouts = Layouts;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Layouts;
+}
@@ -0,0 +1,296 @@
+/* ============================================
+   LEVEL PROGRESSION - Anniversary Candy Crush
+   ============================================ */
+
+/**
+ * Ordered levels ("chapters") from my-config.js, each with its own board,
+ * move budget and objective. Without a levels list the whole game is one
+ * level that reveals every memory, exactly like the original single board.
+ *
+ * Objective types:
+ *   { type: 'memories' }                          find every memory tile on the board
+ *   { type: 'score', target: 3000 }              reach a score
+ *   { type: 'collect', color: 'heart', count: 30 } clear candies of one color
+ *   { type: 'blockers' }                          clear every jelly and ice layer
+ *
+ * Memory tiles placed on a level always have to be found before the level
+ * ends, so the photos keep their chronological order across chapters.
+ */
+const Levels = {
+    levels: [],
+    currentIndex: 0,
+    isCustom: false, // true when my-config.js defines its own levels
+    progress: null,
+
+    /**
+     * Build the level list
+     * @param {Array} [levelConfigs] - Levels from my-config.js (empty for the classic single board)
+     * @param {Object} defaults - { gridSize, layout, blockers, locks, moves, time, memories, tileTypes }
+     */
+    init(levelConfigs, defaults) {
+        const configs = Array.isArray(levelConfigs) ? levelConfigs.filter(Boolean) : [];
+
+        this.isCustom = configs.length > 0;
+        this.levels = this.isCustom
+            ? this.normalize(configs, defaults)
+            : [{
+                name: '',
+                intro: '',
+                gridSize: defaults.gridSize,
+                mask: Layouts.build(defaults.layout),
+                blockers: defaults.blockers ?? null,
+                locks: defaults.locks ?? null,
+                moves: defaults.moves,
+                time: defaults.time,
+                tileTypes: defaults.tileTypes.length,
+                memories: defaults.memories,
+                objective: { type: 'memories' }
+            }];
+        this.reset();
+    },
+
+    /**
+     * Fill in level defaults and share out memories that no level claimed
+     */
+    normalize(configs, defaults) {
+        const claimed = configs.reduce((sum, c) => sum + (Number.isInteger(c.memories) ? c.memories : 0), 0);
+        const unassigned = configs.filter(c => !Number.isInteger(c.memories)).length;
+        const leftover = Math.max(0, defaults.memories - claimed);
+
+        let shared = 0;
+        return configs.map((config, index) => {
+            let memories = config.memories;
+            if (!Number.isInteger(memories)) {
+                // Earlier chapters get the remainder
+                memories = Math.floor(leftover / unassigned) + (shared < leftover % unassigned ? 1 : 0);
+                shared++;
+            }
+
+            const gridSize = config.gridSize ?? defaults.gridSize;
+            const mask = Layouts.build(config.layout ?? defaults.layout);
+            const maxTypes = defaults.tileTypes.length;
+
+            return {
+                name: config.name || `Chapter ${index + 1}`,
+                intro: config.intro || '',
+                gridSize,
+                mask,
+                blockers: config.blockers ?? defaults.blockers ?? null,
+                locks: config.locks ?? defaults.locks ?? null,
+                moves: config.moves ?? defaults.moves,
+                // Seconds on the clock in time-attack mode
+                time: config.time ?? defaults.time,
+                tileTypes: Math.max(3, Math.min(maxTypes, config.tileTypes ?? maxTypes)),
+                // Memory tiles need a cell each
+                memories: Math.max(0, Math.min(memories, Layouts.cellCount(mask, gridSize))),
+                objective: this.normalizeObjective(config.objective)
+            };
+        });
+    },
+
+    /**
+     * Validate an objective, falling back to finding the level's memories
+     */
+    normalizeObjective(objective) {
+        if (!objective || typeof objective !== 'object') {
+            return { type: 'memories' };
+        }
+
+        switch (objective.type) {
+            case 'score':
+                return { type: 'score', target: Math.max(0, Number(objective.target) || 0) };
+            case 'collect':
+                return {
+                    type: 'collect',
+                    color: String(objective.color || ''),
+                    count: Math.max(0, Number(objective.count) || 0)
+                };
+            case 'blockers':
+                return { type: 'blockers' };
+            default:
+                return { type: 'memories' };
+        }
+    },
+
+    /**
+     * Back to the first level
+     */
+    reset() {
+        this.currentIndex = 0;
+        this.startLevel();
+    },
+
+    /**
+     * Clear progress for the current level
+     */
+    startLevel() {
+        this.progress = {
+            memories: 0,
+            score: 0,
+            collected: {},
+            blockers: 0,
+            blockerTotal: 0
+        };
+    },
+
+    /**
+     * Resume a saved level
+     * @param {number} index - Level index
+     * @param {Object} [progress] - Saved progress
+     */
+    restore(index, progress) {
+        this.currentIndex = Math.max(0, Math.min(index, this.levels.length - 1));
+        this.startLevel();
+        if (progress) {
+            this.progress = {
+                memories: progress.memories || 0,
+                score: progress.score || 0,
+                collected: { ...progress.collected },
+                blockers: progress.blockers || 0,
+                blockerTotal: progress.blockerTotal || 0
+            };
+        }
+    },
+
+    /**
+     * Current level definition
+     */
+    current() {
+        return this.levels[this.currentIndex];
+    },
+
+    /**
+     * Whether another level follows the current one
+     */
+    hasNext() {
+        return this.currentIndex < this.levels.length - 1;
+    },
+
+    /**
+     * Move on to the next level
+     * @returns {Object|null} - The new level, or null after the last one
+     */
+    advance() {
+        if (!this.hasNext()) return null;
+
+        this.currentIndex++;
+        this.startLevel();
+        return this.current();
+    },
+
+    /**
+     * Tile types in play for a level (the first N of the full set)
+     */
+    tileTypesFor(level, allTypes) {
+        return allTypes.slice(0, level.tileTypes);
+    },
+
+    /**
+     * Count cleared tiles toward collect objectives
+     * @param {Array} tiles - Tile data objects that were cleared
+     */
+    recordClear(tiles) {
+        for (const tile of tiles) {
+            if (!tile) continue;
+            this.progress.collected[tile.type] = (this.progress.collected[tile.type] || 0) + 1;
+        }
+    },
+
+    /**
+     * Count points scored on this level toward score objectives
+     */
+    recordScore(points) {
+        this.progress.score += points;
+    },
+
+    /**
+     * Jelly and ice laid on this level's board
+     */
+    setBlockers(total) {
+        this.progress.blockers = 0;
+        this.progress.blockerTotal = total;
+    },
+
+    /**
+     * Count jelly and ice layers cleared toward blockers objectives
+     */
+    recordBlockers(count) {
+        this.progress.blockers += count;
+    },
+
+    /**
+     * Count a collected memory tile
+     */
+    recordMemory() {
+        this.progress.memories++;
+    },
+
+    /**
+     * Whether the current level's objective and memory tiles are done
+     */
+    isComplete() {
+        const level = this.current();
+        if (this.progress.memories < level.memories) return false;
+
+        const objective = level.objective;
+        switch (objective.type) {
+            case 'score':
+                return this.progress.score >= objective.target;
+            case 'collect':
+                return (this.progress.collected[objective.color] || 0) >= objective.count;
+            case 'blockers':
+                return this.progress.blockers >= this.progress.blockerTotal;
+            default:
+                return true;
+        }
+    },
+
+    /**
+     * Objective as a sentence for the intro card
+     */
+    describeObjective(level = this.current()) {
+        const objective = level.objective;
+        const photos = `${level.memories} ${level.memories === 1 ? 'memory' : 'memories'}`;
+
+        switch (objective.type) {
+            case 'score':
+                return `Score ${objective.target} points` + (level.memories ? ` and find ${photos}` : '');
+            case 'collect':
+                return `Clear ${objective.count} ${objective.color} candies` + (level.memories ? ` and find ${photos}` : '');
+            case 'blockers':
+                return 'Clear all the jelly and ice' + (level.memories ? ` and find ${photos}` : '');
+            default:
+                return `Find ${photos}`;
+        }
+    },
+
+    /**
+     * Short progress line for the game header
+     */
+    describeProgress() {
+        const level = this.current();
+        const objective = level.objective;
+
+        switch (objective.type) {
+            case 'score':
+                return `Score ${Math.min(this.progress.score, objective.target)}/${objective.target}`;
+            case 'collect': {
+                const count = Math.min(this.progress.collected[objective.color] || 0, objective.count);
+                return `${objective.color} ${count}/${objective.count}`;
+            }
+            case 'blockers':
+                return `Jelly & ice ${Math.min(this.progress.blockers, this.progress.blockerTotal)}/${this.progress.blockerTotal}`;
+            default:
+                return `Memories ${this.progress.memories}/${level.memories}`;
+        }
+    }
+};
+
+// Export for both browser and module environments
+if (typeof window !== 'undefined') {
+    window.Levels = Levels;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Levels;
+}
@@ -3,153 +3,323 @@
    ============================================ */
 
 const MatchDetector = {
+    // ==========================================
+    // MATCH PATTERNS
+    // ==========================================
+
     /**
-     * Find all matches in the grid
-     * @param {Array} grid - 2D array of tile types
-     * @returns {Object} - { matches: Array of matched positions, specials: Array of special candy positions }
+     * Shapes that clear, and the special each one leaves behind.
+     * Rows read like the board: X is a matching candy, * is the matching
+     * candy where the special appears (the middle one when left out) and
+     * . is not part of the shape. Every rotation of a shape counts; a
+     * striped special turns with it. When patterns overlap, the highest
+     * priority makes the special, so a tile never makes two.
      */
-    findAllMatches(grid) {
-        const size = grid.length;
-        const matchedPositions = new Set();
-        const specialCandies = [];
-
-        // Check horizontal matches
-        for (let row = 0; row < size; row++) {
-            let matchStart = 0;
-            let matchLength = 1;
-
-            for (let col = 1; col <= size; col++) {
-                if (col < size && grid[row][col] && grid[row][col - 1] &&
-                    this.getTileType(grid[row][col]) === this.getTileType(grid[row][col - 1])) {
-                    matchLength++;
-                } else {
-                    if (matchLength >= 3) {
-                        // Record matched positions
-                        for (let i = matchStart; i < matchStart + matchLength; i++) {
-                            matchedPositions.add(`${row},${i}`);
-                        }
-                        // Check for special candy creation
-                        if (matchLength === 4) {
-                            // Striped candy (horizontal stripe clears row)
-                            specialCandies.push({
-                                row: row,
-                                col: matchStart + Math.floor(matchLength / 2),
-                                type: 'striped-h',
-                                candyType: this.getTileType(grid[row][matchStart])
-                            });
-                        } else if (matchLength >= 5) {
-                            // For 5+ in a row, create wrapped
-                            specialCandies.push({
-                                row: row,
-                                col: matchStart + Math.floor(matchLength / 2),
-                                type: 'wrapped',
-                                candyType: this.getTileType(grid[row][matchStart])
-                            });
-                        }
+    builtinPatterns: [
+        { name: 'line-3', shape: ['X*X'], priority: 0, special: null },
+        { name: 'square', shape: ['*X', 'XX'], priority: 10, special: 'striped-h' },
+        { name: 'line-4', shape: ['XX*X'], priority: 20, special: 'striped-h' },
+        { name: 'l-shape', shape: ['*XX', 'X..', 'X..'], priority: 30, special: 'wrapped' },
+        { name: 't-shape', shape: ['X*X', '.X.', '.X.'], priority: 30, special: 'wrapped' },
+        { name: 'plus', shape: ['.X.', 'X*X', '.X.'], priority: 30, special: 'wrapped' },
+        { name: 'line-5', shape: ['XX*XX'], priority: 40, special: 'color-bomb' }
+    ],
+
+    specialTypes: ['striped-h', 'striped-v', 'wrapped', 'color-bomb'],
+
+    // Registered patterns, highest priority first (see registerPattern)
+    patterns: [],
+
+    // Cells to look at around a tile for matchesAt() (built from patterns)
+    probes: null,
+
+    /**
+     * Add a match pattern, replacing any with the same name
+     * @param {Object} definition - { name, shape: ['X*X', ...], priority, special }
+     * @returns {Object} - The compiled pattern
+     */
+    registerPattern(definition) {
+        const { name, shape, priority = 0, special = null } = definition || {};
+        if (!name || typeof name !== 'string') {
+            throw new Error('Match pattern needs a name');
+        }
+        if (special !== null && !this.specialTypes.includes(special)) {
+            throw new Error(`Match pattern "${name}" has unknown special "${special}"`);
+        }
+
+        const { cells, at } = this.parseShape(name, shape);
+        const pattern = {
+            name,
+            priority: Number(priority) || 0,
+            special,
+            orientations: this.orientations(cells, at, special)
+        };
+
+        // Stable sort: equal priorities keep the order they were registered in
+        this.patterns = this.patterns
+            .filter(existing => existing.name !== name)
+            .concat(pattern)
+            .sort((a, b) => b.priority - a.priority);
+        this.probes = null;
+        return pattern;
+    },
+
+    /**
+     * Register patterns from the config, skipping any that are invalid
+     * @param {Array} [definitions] - Pattern definitions (see registerPattern)
+     * @returns {Array} - Names of the patterns added
+     */
+    addPatterns(definitions) {
+        const added = [];
+        for (const definition of Array.isArray(definitions) ? definitions : []) {
+            try {
+                added.push(this.registerPattern(definition).name);
+            } catch {
+                // Ignore a broken pattern rather than the whole board
+            }
+        }
+        return added;
+    },
+
+    /**
+     * Go back to the built-in patterns only
+     */
+    resetPatterns() {
+        this.patterns = [];
+        this.builtinPatterns.forEach(definition => this.registerPattern(definition));
+    },
+
+    /**
+     * Read a pattern's rows into cells
+     * @returns {Object} - { cells: [{ row, col }], at: index of the special's cell }
+     */
+    parseShape(name, shape) {
+        if (!Array.isArray(shape) || !shape.every(line => typeof line === 'string' && /^[X*.]*$/.test(line))) {
+            throw new Error(`Match pattern "${name}" needs a shape made of X, * and .`);
+        }
+
+        const cells = [];
+        let at = -1;
+        shape.forEach((line, row) => {
+            [...line].forEach((mark, col) => {
+                if (mark === '.') return;
+                if (mark === '*') at = cells.length;
+                cells.push({ row, col });
+            });
+        });
+
+        if (cells.length < 3 || shape.join('').split('*').length > 2) {
+            throw new Error(`Match pattern "${name}" needs at least 3 cells and at most one *`);
+        }
+        return { cells, at: at === -1 ? Math.floor(cells.length / 2) : at };
+    },
+
+    /**
+     * Every distinct quarter turn of a shape
+     * @returns {Array} - [{ cells, at, special }]
+     */
+    orientations(cells, at, special) {
+        const turned = { 'striped-h': 'striped-v', 'striped-v': 'striped-h' };
+        const seen = new Set();
+        const result = [];
+        let current = cells;
+
+        for (let turn = 0; turn < 4; turn++) {
+            const key = current.map(cell => `${cell.row},${cell.col}`).sort().join(' ');
+            if (!seen.has(key)) {
+                seen.add(key);
+                result.push({ cells: current, at, special: turn % 2 ? (turned[special] || special) : special });
+            }
+            // Quarter turn clockwise; cells stay in the same order so `at` still points at the special
+            const lastRow = Math.max(...current.map(cell => cell.row));
+            current = current.map(cell => ({ row: cell.col, col: lastRow - cell.row }));
+        }
+
+        return result;
+    },
+
+    /**
+     * Every place a pattern fits on the board, highest priority first
+     * @param {Array} grid - The game board
+     * @param {Array} matches - Matched positions (a pattern's first cell is always one)
+     * @returns {Array} - [{ pattern, shape, type, cells }]
+     */
+    findPlacements(grid, matches) {
+        const placements = [];
+
+        for (const pattern of this.patterns) {
+            for (const shape of pattern.orientations) {
+                const first = shape.cells[0];
+                for (const pos of matches) {
+                    const row = pos.row - first.row;
+                    const col = pos.col - first.col;
+                    const type = this.shapeTypeAt(grid, shape.cells, row, col);
+                    if (type) {
+                        const cells = shape.cells.map(cell => ({ row: row + cell.row, col: col + cell.col }));
+                        placements.push({ pattern, shape, type, cells });
                     }
-                    matchStart = col;
-                    matchLength = 1;
                 }
             }
         }
 
-        // Check vertical matches
-        for (let col = 0; col < size; col++) {
-            let matchStart = 0;
-            let matchLength = 1;
-
-            for (let row = 1; row <= size; row++) {
-                if (row < size && grid[row][col] && grid[row - 1][col] &&
-                    this.getTileType(grid[row][col]) === this.getTileType(grid[row - 1][col])) {
-                    matchLength++;
-                } else {
-                    if (matchLength >= 3) {
-                        for (let i = matchStart; i < matchStart + matchLength; i++) {
-                            matchedPositions.add(`${i},${col}`);
-                        }
-                        // Check for special candy
-                        if (matchLength === 4) {
-                            // Striped candy (vertical stripe clears column)
-                            specialCandies.push({
-                                row: matchStart + Math.floor(matchLength / 2),
-                                col: col,
-                                type: 'striped-v',
-                                candyType: this.getTileType(grid[matchStart][col])
-                            });
-                        } else if (matchLength >= 5) {
-                            specialCandies.push({
-                                row: matchStart + Math.floor(matchLength / 2),
-                                col: col,
-                                type: 'wrapped',
-                                candyType: this.getTileType(grid[matchStart][col])
-                            });
-                        }
-                    }
-                    matchStart = row;
-                    matchLength = 1;
+        return placements;
+    },
+
+    /**
+     * The candy type filling a shape placed at (row, col), or null
+     */
+    shapeTypeAt(grid, cells, row, col) {
+        let type = null;
+        for (const cell of cells) {
+            const cellType = this.getTileType(grid[row + cell.row]?.[col + cell.col]);
+            if (!cellType || (type && cellType !== type)) return null;
+            type = cellType;
+        }
+        return type;
+    },
+
+    /**
+     * Whether a tile is part of any pattern
+     * @param {Array} grid - The game board
+     * @param {Object} pos - Position to check
+     * @param {string} [type] - Check as if this type were at pos
+     * @returns {boolean}
+     */
+    matchesAt(grid, pos, type) {
+        const wanted = type === undefined ? this.getTileType(grid[pos.row]?.[pos.col]) : type;
+        if (!wanted) return false;
+
+        // Plain loops: this runs for every swap hasPossibleMoves() tries
+        for (const offsets of this.getProbes()) {
+            let all = true;
+            for (const offset of offsets) {
+                if (this.getTileType(grid[pos.row + offset.row]?.[pos.col + offset.col]) !== wanted) {
+                    all = false;
+                    break;
+                }
+            }
+            if (all) return true;
+        }
+        return false;
+    },
+
+    /**
+     * Every way a tile can sit in a pattern, as offsets to the other cells.
+     * Sets holding a smaller set are dropped - the smaller one decides first
+     * (so an L never needs checking once lines of 3 are known)
+     * @returns {Array} - Arrays of { row, col } offsets
+     */
+    getProbes() {
+        if (this.probes) return this.probes;
+
+        const sets = [];
+        for (const pattern of this.patterns) {
+            for (const shape of pattern.orientations) {
+                for (const anchor of shape.cells) {
+                    sets.push(shape.cells
+                        .filter(cell => cell !== anchor)
+                        .map(cell => ({ row: cell.row - anchor.row, col: cell.col - anchor.col })));
                 }
             }
         }
+        sets.sort((a, b) => a.length - b.length);
 
-        // Check for L and T shapes (5 pieces in L/T = wrapped candy)
-        const lShapes = this.findLTShapes(grid, matchedPositions);
-        specialCandies.push(...lShapes);
+        const holds = (set, other) => other.every(o => set.some(s => s.row === o.row && s.col === o.col));
+        this.probes = sets.filter((set, index) => !sets.slice(0, index).some(other => holds(set, other)));
+        return this.probes;
+    },
 
-        // Convert Set to array of {row, col} objects
-        const matches = Array.from(matchedPositions).map(pos => {
-            const [row, col] = pos.split(',').map(Number);
-            return { row, col };
-        });
+    /**
+     * Find all matches in the grid
+     * @param {Array} grid - 2D array of tile types
+     * @param {Object} [swap] - { pos1, pos2 } of the player's swap (pos1's tile landed on pos2);
+     *   specials from a match it made appear where the swap landed. Omit for cascades.
+     * @returns {Object} - { matches: Array of matched positions, specials: Array of special candy positions }
+     */
+    findAllMatches(grid, swap = null) {
+        // Matched positions in reading order
+        const matches = [];
+        for (let row = 0; row < grid.length; row++) {
+            for (let col = 0; col < grid[row].length; col++) {
+                if (this.matchesAt(grid, { row, col })) {
+                    matches.push({ row, col });
+                }
+            }
+        }
 
-        return { matches, specials: specialCandies };
+        if (matches.length === 0) {
+            return { matches, specials: [] };
+        }
+        return { matches, specials: this.resolveSpecials(this.findPlacements(grid, matches), swap) };
     },
 
     /**
-     * Find L and T shaped matches for wrapped candies
+     * Pick which placements make specials: highest priority first (ties go to
+     * the one the swap touched), and never two from the same tile
+     * @param {Array} placements - From findPlacements()
+     * @param {Object} [swap] - Player's swap (see findAllMatches)
+     * @returns {Array} - [{ row, col, type, candyType }]
      */
-    findLTShapes(grid, matchedPositions) {
+    resolveSpecials(placements, swap = null) {
+        const touched = placement => Boolean(swap) && placement.cells.some(cell =>
+            [swap.pos1, swap.pos2].some(pos => pos.row === cell.row && pos.col === cell.col));
+
+        const ranked = placements
+            .filter(placement => placement.shape.special)
+            .sort((a, b) => (b.pattern.priority - a.pattern.priority) || (touched(b) - touched(a)));
+
+        const claimed = new Set();
         const specials = [];
-        const size = grid.length;
-        const checked = new Set();
-
-        for (const pos of matchedPositions) {
-            const [row, col] = pos.split(',').map(Number);
-            if (checked.has(pos)) continue;
-
-            const type = this.getTileType(grid[row][col]);
-            if (!type) continue;
-
-            // Check if this position is part of both a horizontal and vertical match
-            let hCount = 1, vCount = 1;
-
-            // Count horizontal
-            for (let c = col - 1; c >= 0 && this.getTileType(grid[row][c]) === type; c--) hCount++;
-            for (let c = col + 1; c < size && this.getTileType(grid[row][c]) === type; c++) hCount++;
-
-            // Count vertical
-            for (let r = row - 1; r >= 0 && this.getTileType(grid[r][col]) === type; r--) vCount++;
-            for (let r = row + 1; r < size && this.getTileType(grid[r][col]) === type; r++) vCount++;
-
-            // L or T shape: intersection point has matches in both directions
-            if (hCount >= 3 && vCount >= 3) {
-                specials.push({
-                    row: row,
-                    col: col,
-                    type: 'wrapped',
-                    candyType: type
-                });
-                checked.add(pos);
-            }
+        for (const placement of ranked) {
+            const keys = placement.cells.map(cell => `${cell.row},${cell.col}`);
+            if (keys.some(key => claimed.has(key))) continue;
+
+            keys.forEach(key => claimed.add(key));
+            specials.push(this.placeSpecial(
+                placement.shape.special,
+                placement.type,
+                placement.cells,
+                placement.cells[placement.shape.at],
+                swap
+            ));
         }
 
         return specials;
     },
 
+    /**
+     * Where a special made from a match goes: the cell the player's swap
+     * landed on when it is part of the match (pos2 first - the moved tile),
+     * otherwise the default cell. Striped candies made by a swap take the
+     * swap's direction.
+     * @param {string} type - Special type
+     * @param {string} candyType - Color of the match
+     * @param {Array} cells - Cells of the match
+     * @param {Object} fallback - Cell used without a swap in the match
+     * @param {Object} [swap] - { pos1, pos2 }
+     * @returns {Object} - { row, col, type, candyType }
+     */
+    placeSpecial(type, candyType, cells, fallback, swap) {
+        const inMatch = pos => cells.some(cell => cell.row === pos.row && cell.col === pos.col);
+        const landed = swap ? [swap.pos2, swap.pos1].find(inMatch) : null;
+
+        if (!landed) {
+            return { row: fallback.row, col: fallback.col, type, candyType };
+        }
+
+        if (type === 'striped-h' || type === 'striped-v') {
+            type = swap.pos1.row === swap.pos2.row ? 'striped-h' : 'striped-v';
+        }
+        return { row: landed.row, col: landed.col, type, candyType };
+    },
+
     /**
      * Get the base tile type (ignoring special candy modifiers)
+     * Color bombs have no color, so they never match anything
      */
     getTileType(tile) {
         if (!tile) return null;
+        if (tile.special === 'color-bomb') return null;
         // tile is an object with type property
         if (typeof tile === 'object') {
             return tile.type;
@@ -167,6 +337,11 @@ const MatchDetector = {
             return true;
         }
 
+        // Holes, empty cells and locked tiles never swap
+        if (!this.canSwap(grid, pos1) || !this.canSwap(grid, pos2)) {
+            return false;
+        }
+
         // Temporarily swap in place
         const temp = grid[pos1.row][pos1.col];
         grid[pos1.row][pos1.col] = grid[pos2.row][pos2.col];
@@ -183,30 +358,20 @@ const MatchDetector = {
     },
 
     /**
-     * Check if there's a match of 3+ at a specific position
-     * Performance: O(1) check instead of O(n²) full grid scan
+     * Whether the tile at a position may be swapped (not a hole, an empty
+     * cell or a locked tile)
      */
-    hasMatchAt(grid, pos) {
-        const size = grid.length;
+    canSwap(grid, pos) {
         const tile = grid[pos.row]?.[pos.col];
-        if (!tile) return false;
-
-        const type = this.getTileType(tile);
-        if (!type) return false;
-
-        // Check horizontal match (count consecutive same-type tiles)
-        let hCount = 1;
-        for (let c = pos.col - 1; c >= 0 && this.getTileType(grid[pos.row][c]) === type; c--) hCount++;
-        for (let c = pos.col + 1; c < size && this.getTileType(grid[pos.row][c]) === type; c++) hCount++;
-        if (hCount >= 3) return true;
-
-        // Check vertical match
-        let vCount = 1;
-        for (let r = pos.row - 1; r >= 0 && this.getTileType(grid[r]?.[pos.col]) === type; r--) vCount++;
-        for (let r = pos.row + 1; r < size && this.getTileType(grid[r]?.[pos.col]) === type; r++) vCount++;
-        if (vCount >= 3) return true;
+        return Boolean(tile) && !tile.locked;
+    },
 
-        return false;
+    /**
+     * Check if there's a match at a specific position
+     * Performance: only tries the patterns that could cover this one tile
+     */
+    hasMatchAt(grid, pos) {
+        return this.matchesAt(grid, pos);
     },
 
     /**
@@ -222,18 +387,16 @@ const MatchDetector = {
      * Find a possible match (for hint system)
      */
     findPossibleMatch(grid) {
-        const size = grid.length;
-
-        for (let row = 0; row < size; row++) {
-            for (let col = 0; col < size; col++) {
+        for (let row = 0; row < grid.length; row++) {
+            for (let col = 0; col < grid[row].length; col++) {
                 // Check swap with right neighbor
-                if (col < size - 1) {
+                if (col < grid[row].length - 1) {
                     if (this.wouldMatch(grid, { row, col }, { row, col: col + 1 })) {
                         return [{ row, col }, { row, col: col + 1 }];
                     }
                 }
                 // Check swap with bottom neighbor
-                if (row < size - 1) {
+                if (row < grid.length - 1) {
                     if (this.wouldMatch(grid, { row, col }, { row: row + 1, col })) {
                         return [{ row, col }, { row: row + 1, col }];
                     }
@@ -244,24 +407,47 @@ const MatchDetector = {
         return null; // No possible matches (should shuffle)
     },
 
+    /**
+     * Find every swap the game would accept, in reading order
+     * @param {Array} grid - The game board
+     * @returns {Array} - Array of [pos1, pos2] pairs
+     */
+    findAllPossibleMatches(grid) {
+        const moves = [];
+
+        for (let row = 0; row < grid.length; row++) {
+            for (let col = 0; col < grid[row].length; col++) {
+                if (col < grid[row].length - 1 && this.wouldMatch(grid, { row, col }, { row, col: col + 1 })) {
+                    moves.push([{ row, col }, { row, col: col + 1 }]);
+                }
+                if (row < grid.length - 1 && this.wouldMatch(grid, { row, col }, { row: row + 1, col })) {
+                    moves.push([{ row, col }, { row: row + 1, col }]);
+                }
+            }
+        }
+
+        return moves;
+    },
+
     /**
      * Get positions to clear for special candy activation
      */
     getSpecialClearPositions(grid, pos, specialType) {
-        const size = grid.length;
+        const rows = grid.length;
+        const cols = grid[0]?.length || 0;
         const positions = [];
 
         switch (specialType) {
             case 'striped-h':
                 // Clear entire row
-                for (let col = 0; col < size; col++) {
+                for (let col = 0; col < cols; col++) {
                     positions.push({ row: pos.row, col, animation: 'clearing-row' });
                 }
                 break;
 
             case 'striped-v':
                 // Clear entire column
-                for (let row = 0; row < size; row++) {
+                for (let row = 0; row < rows; row++) {
                     positions.push({ row, col: pos.col, animation: 'clearing-column' });
                 }
                 break;
@@ -270,12 +456,22 @@ const MatchDetector = {
                 // Clear 3x3 area
                 for (let r = pos.row - 1; r <= pos.row + 1; r++) {
                     for (let c = pos.col - 1; c <= pos.col + 1; c++) {
-                        if (r >= 0 && r < size && c >= 0 && c < size) {
+                        if (r >= 0 && r < rows && c >= 0 && c < cols) {
                             positions.push({ row: r, col: c, animation: 'exploding' });
                         }
                     }
                 }
                 break;
+
+            case 'color-bomb': {
+                // Set off by another special: clear the most common color
+                positions.push({ row: pos.row, col: pos.col, animation: 'color-blast' });
+                const color = this.getMostCommonType(grid);
+                if (color) {
+                    positions.push(...this.getColorPositions(grid, color, 'color-blast'));
+                }
+                break;
+            }
         }
 
         return positions;
@@ -288,7 +484,49 @@ const MatchDetector = {
      */
     isSpecialCandy(tile) {
         if (!tile) return null;
-        return tile.special; // Returns 'striped-h', 'striped-v', 'wrapped', or null
+        return tile.special; // Returns 'striped-h', 'striped-v', 'wrapped', 'color-bomb', or null
+    },
+
+    /**
+     * Get positions of every tile of one color
+     * @param {Array} grid - The game grid
+     * @param {string} color - Tile type to find
+     * @param {string} animation - Animation to attach to each position
+     * @returns {Array} - Array of {row, col, animation}
+     */
+    getColorPositions(grid, color, animation) {
+        const positions = [];
+        for (let row = 0; row < grid.length; row++) {
+            for (let col = 0; col < grid[row].length; col++) {
+                if (this.getTileType(grid[row][col]) === color) {
+                    positions.push({ row, col, animation });
+                }
+            }
+        }
+        return positions;
+    },
+
+    /**
+     * Get the tile type that appears most often on the board
+     * @param {Array} grid - The game grid
+     * @returns {string|null} - Most common type (first found wins ties)
+     */
+    getMostCommonType(grid) {
+        const counts = new Map();
+        let best = null;
+
+        for (const row of grid) {
+            for (const tile of row) {
+                const type = this.getTileType(tile);
+                if (!type) continue;
+                counts.set(type, (counts.get(type) || 0) + 1);
+                if (best === null || counts.get(type) > counts.get(best)) {
+                    best = type;
+                }
+            }
+        }
+
+        return best;
     },
 
     /**
@@ -302,11 +540,17 @@ const MatchDetector = {
         const tile1 = grid[pos1.row]?.[pos1.col];
         const tile2 = grid[pos2.row]?.[pos2.col];
 
+        if (!tile1 || !tile2 || tile1.locked || tile2.locked) return null;
+
         const special1 = this.isSpecialCandy(tile1);
         const special2 = this.isSpecialCandy(tile2);
 
-        // Both must be special candies
-        if (!special1 || !special2) return null;
+        // Both must be special candies, unless one is a color bomb
+        // (a color bomb swapped with any candy goes off)
+        if (special1 !== 'color-bomb' && special2 !== 'color-bomb' &&
+            (!special1 || !special2)) {
+            return null;
+        }
 
         return {
             pos1: pos1,
@@ -326,6 +570,22 @@ const MatchDetector = {
     getCombinationType(type1, type2) {
         const isStriped = (t) => t === 'striped-h' || t === 'striped-v';
         const isWrapped = (t) => t === 'wrapped';
+        const isBomb = (t) => t === 'color-bomb';
+
+        // Color bomb + Color bomb = clear the whole board
+        if (isBomb(type1) && isBomb(type2)) {
+            return 'bomb-bomb';
+        }
+
+        if (isBomb(type1) || isBomb(type2)) {
+            const other = isBomb(type1) ? type2 : type1;
+            // Color bomb + Striped = every candy of that color turns striped and fires
+            if (isStriped(other)) return 'bomb-striped';
+            // Color bomb + Wrapped = every candy of that color turns wrapped and explodes
+            if (isWrapped(other)) return 'bomb-wrapped';
+            // Color bomb + plain candy = clear every candy of that color
+            return 'color-bomb';
+        }
 
         // Striped + Striped = cross
         if (isStriped(type1) && isStriped(type2)) {
@@ -352,13 +612,14 @@ const MatchDetector = {
      * @returns {Array} - Array of positions to clear with animation types
      */
     getSpecialCombinationClearPositions(grid, combination) {
-        const size = grid.length;
+        const rows = grid.length;
+        const cols = grid[0]?.length || 0;
         const positions = [];
         const seen = new Set();
 
         // Helper to add position if valid and not duplicate
         const addPos = (row, col, animation) => {
-            if (row >= 0 && row < size && col >= 0 && col < size) {
+            if (row >= 0 && row < rows && col >= 0 && col < cols) {
                 const key = `${row},${col}`;
                 if (!seen.has(key)) {
                     seen.add(key);
@@ -370,16 +631,16 @@ const MatchDetector = {
         switch (combination.combinationType) {
             case 'striped-striped':
                 // Clear entire row AND column from both positions (cross pattern)
-                for (let c = 0; c < size; c++) {
+                for (let c = 0; c < cols; c++) {
                     addPos(combination.pos1.row, c, 'clearing-cross');
                 }
-                for (let r = 0; r < size; r++) {
+                for (let r = 0; r < rows; r++) {
                     addPos(r, combination.pos1.col, 'clearing-cross');
                 }
-                for (let c = 0; c < size; c++) {
+                for (let c = 0; c < cols; c++) {
                     addPos(combination.pos2.row, c, 'clearing-cross');
                 }
-                for (let r = 0; r < size; r++) {
+                for (let r = 0; r < rows; r++) {
                     addPos(r, combination.pos2.col, 'clearing-cross');
                 }
                 break;
@@ -387,12 +648,12 @@ const MatchDetector = {
             case 'striped-wrapped':
                 // Clear 3 rows AND 3 columns centered on pos1
                 for (let dr = -1; dr <= 1; dr++) {
-                    for (let c = 0; c < size; c++) {
+                    for (let c = 0; c < cols; c++) {
                         addPos(combination.pos1.row + dr, c, 'clearing-giant-cross');
                     }
                 }
                 for (let dc = -1; dc <= 1; dc++) {
-                    for (let r = 0; r < size; r++) {
+                    for (let r = 0; r < rows; r++) {
                         addPos(r, combination.pos1.col + dc, 'clearing-giant-cross');
                     }
                 }
@@ -406,11 +667,89 @@ const MatchDetector = {
                     }
                 }
                 break;
+
+            case 'color-bomb': {
+                // The bomb and every candy of the swapped color
+                addPos(combination.pos1.row, combination.pos1.col, 'color-blast');
+                addPos(combination.pos2.row, combination.pos2.col, 'color-blast');
+                const color = this.getColorBombTarget(grid, combination);
+                for (const pos of this.getColorPositions(grid, color, 'color-blast')) {
+                    addPos(pos.row, pos.col, pos.animation);
+                }
+                break;
+            }
+
+            case 'bomb-striped':
+            case 'bomb-wrapped':
+                // Every candy of that color becomes the other special and fires
+                addPos(combination.pos1.row, combination.pos1.col, 'color-blast');
+                addPos(combination.pos2.row, combination.pos2.col, 'color-blast');
+                for (const target of this.getColorBombTransforms(grid, combination)) {
+                    for (const pos of this.getSpecialClearPositions(grid, target, target.special)) {
+                        addPos(pos.row, pos.col, pos.animation);
+                    }
+                }
+                break;
+
+            case 'bomb-bomb':
+                // Clear the whole board
+                for (let r = 0; r < rows; r++) {
+                    for (let c = 0; c < cols; c++) {
+                        addPos(r, c, 'mega-exploding');
+                    }
+                }
+                break;
         }
 
         return positions;
+    },
+
+    /**
+     * Get the color a color bomb combination targets
+     * (the type of whichever swapped tile is not the bomb)
+     * @param {Array} grid - The game grid
+     * @param {Object} combination - Combination info from isSpecialCombination()
+     * @returns {string|null} - Target tile type
+     */
+    getColorBombTarget(grid, combination) {
+        const tile1 = grid[combination.pos1.row]?.[combination.pos1.col];
+        const tile2 = grid[combination.pos2.row]?.[combination.pos2.col];
+        const other = tile1?.special === 'color-bomb' ? tile2 : tile1;
+        return other ? other.type : null;
+    },
+
+    /**
+     * Get the candies a bomb + striped/wrapped combination converts
+     * Striped conversions alternate direction in a checkerboard pattern
+     * @param {Array} grid - The game grid
+     * @param {Object} combination - Combination info from isSpecialCombination()
+     * @returns {Array} - Array of {row, col, special, candyType}
+     */
+    getColorBombTransforms(grid, combination) {
+        if (combination.combinationType !== 'bomb-striped' &&
+            combination.combinationType !== 'bomb-wrapped') {
+            return [];
+        }
+
+        const color = this.getColorBombTarget(grid, combination);
+        return this.getColorPositions(grid, color).map(({ row, col }) => ({
+            row,
+            col,
+            special: combination.combinationType === 'bomb-wrapped'
+                ? 'wrapped'
+                : ((row + col) % 2 === 0 ? 'striped-h' : 'striped-v'),
+            candyType: color
+        }));
     }
 };
 
-// Export for use in other modules
-window.MatchDetector = MatchDetector;
+MatchDetector.resetPatterns();
+
+// Export for both browser and module environments
+if (typeof window !== 'undefined') {
+    window.MatchDetector = MatchDetector;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MatchDetector;
+}
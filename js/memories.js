@@ -72,8 +72,15 @@ const MemorySystem = {
     /**
      * Generate random positions for memory tiles
      * Avoids corners and edges for easier matching
+     * @param {number} gridSize - Board width/height
+     * @param {number} [count] - How many memory tiles to place (defaults to all memories)
+     * @param {Array} [mask] - Board shape from Layouts.build(); memories only go on its cells
      */
-    generateMemoryPositions(gridSize) {
+    generateMemoryPositions(gridSize, count = this.totalMemories, mask = null) {
+        if (mask) {
+            return this.generateMaskedPositions(mask, count);
+        }
+
         const positions = [];
         const usedPositions = new Set();
 
@@ -83,18 +90,18 @@ const MemorySystem = {
         const innerSize = maxPos - minPos + 1;
 
         // Ensure memories are spread across the board, avoiding edges
-        for (let i = 0; i < this.totalMemories; i++) {
+        for (let i = 0; i < count; i++) {
             let attempts = 0;
             let row, col, posKey;
 
             do {
                 // Bias toward inner positions (80% inner for easier matching)
-                if (Math.random() < 0.8) {
-                    row = minPos + Math.floor(Math.random() * innerSize);
-                    col = minPos + Math.floor(Math.random() * innerSize);
+                if (Random.next() < 0.8) {
+                    row = minPos + Random.int(innerSize);
+                    col = minPos + Random.int(innerSize);
                 } else {
-                    row = Math.floor(Math.random() * gridSize);
-                    col = Math.floor(Math.random() * gridSize);
+                    row = Random.int(gridSize);
+                    col = Random.int(gridSize);
                 }
                 posKey = `${row},${col}`;
                 attempts++;
@@ -111,6 +118,36 @@ const MemorySystem = {
         return positions;
     },
 
+    /**
+     * Memory positions on a shaped board: playable cells only, with the same
+     * 80% bias toward inner cells (all four neighbors playable)
+     */
+    generateMaskedPositions(mask, count) {
+        const cells = [];
+        mask.forEach((row, r) => row.forEach((playable, c) => {
+            if (playable) cells.push({ row: r, col: c });
+        }));
+        const inner = cells.filter(({ row, col }) =>
+            mask[row - 1]?.[col] && mask[row + 1]?.[col] && mask[row]?.[col - 1] && mask[row]?.[col + 1]);
+
+        const positions = [];
+        const usedPositions = new Set();
+        const unused = cell => !usedPositions.has(`${cell.row},${cell.col}`);
+
+        for (let i = 0; i < Math.min(count, cells.length); i++) {
+            let free = (Random.next() < 0.8 ? inner : cells).filter(unused);
+            if (free.length === 0) {
+                free = cells.filter(unused);
+            }
+
+            const pos = Random.pick(free);
+            usedPositions.add(`${pos.row},${pos.col}`);
+            positions.push({ row: pos.row, col: pos.col, memoryId: i });
+        }
+
+        return positions;
+    },
+
     /**
      * Reveal the next memory in chronological sequence
      * (ignores memoryId - always reveals next in order)
@@ -214,6 +251,17 @@ const MemorySystem = {
         this.updateCounter();
     },
 
+    /**
+     * Restore progress from a saved game (the first `count` memories are revealed)
+     */
+    restore(count) {
+        this.revealedCount = Math.max(0, Math.min(count, this.totalMemories));
+        this.memories.forEach((memory, index) => {
+            memory.revealed = index < this.revealedCount;
+        });
+        this.updateCounter();
+    },
+
     /**
      * Populate victory gallery with staggered entrance animations
      */
@@ -257,5 +305,11 @@ const MemorySystem = {
     }
 };
 
-// Export
-window.MemorySystem = MemorySystem;
+// Export for both browser and module environments
+if (typeof window !== 'undefined') {
+    window.MemorySystem = MemorySystem;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MemorySystem;
+}
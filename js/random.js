@@ -0,0 +1,121 @@
+/* ============================================
+   SEEDED RANDOM - Anniversary Candy Crush
+   ============================================ */
+
+/**
+ * Deterministic pseudo-random number generator (mulberry32).
+ * Every random game decision goes through here so that a board can be
+ * reproduced exactly from its seed.
+ */
+const Random = {
+    seed: 0,
+    state: 0,
+
+    /**
+     * Seed the generator
+     * @param {number|string} [seed] - Numeric or text seed; a fresh one is picked when omitted
+     * @returns {number} - The normalized seed in use
+     */
+    setSeed(seed) {
+        this.seed = this.normalizeSeed(seed);
+        this.state = this.seed;
+        return this.seed;
+    },
+
+    /**
+     * Turn any seed value into an unsigned 32-bit integer
+     * Text seeds are hashed (FNV-1a) so "our-first-date" works as well as 1234
+     * @param {number|string} [seed] - Seed value
+     * @returns {number} - Unsigned 32-bit seed
+     */
+    normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return Math.floor(Math.abs(seed)) >>> 0;
+        }
+
+        if (typeof seed === 'string' && seed.trim() !== '') {
+            const text = seed.trim();
+            if (/^\d+$/.test(text)) {
+                return Number(text) >>> 0;
+            }
+
+            let hash = 0x811c9dc5;
+            for (let i = 0; i < text.length; i++) {
+                hash ^= text.charCodeAt(i);
+                hash = Math.imul(hash, 0x01000193);
+            }
+            return hash >>> 0;
+        }
+
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    },
+
+    /**
+     * Next float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    },
+
+    /**
+     * Random integer in [0, max)
+     */
+    int(max) {
+        return Math.floor(this.next() * max);
+    },
+
+    /**
+     * Random element of an array
+     */
+    pick(array) {
+        return array[this.int(array.length)];
+    },
+
+    /**
+     * Random element of an array, each chosen in proportion to its weight
+     * @param {Array} array - Items to choose from
+     * @param {Array} weights - Non-negative weight per item
+     */
+    pickWeighted(array, weights) {
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        if (total <= 0) return this.pick(array);
+
+        let roll = this.next() * total;
+        for (let i = 0; i < array.length; i++) {
+            roll -= weights[i];
+            if (roll < 0) return array[i];
+        }
+        return array[array.length - 1];
+    },
+
+    /**
+     * Snapshot of the generator position (for saves and undo)
+     */
+    getState() {
+        return { seed: this.seed, state: this.state };
+    },
+
+    /**
+     * Restore a snapshot taken with getState()
+     */
+    setState(snapshot) {
+        this.seed = snapshot.seed >>> 0;
+        this.state = snapshot.state >>> 0;
+    }
+};
+
+// Start with an unpredictable seed until the game picks one
+Random.setSeed();
+
+// Export for both browser and module environments
+if (typeof window !== 'undefined') {
+    window.Random = Random;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Random;
+}
@@ -0,0 +1,263 @@
+/* ============================================
+   REPLAY - Anniversary Candy Crush
+   ============================================ */
+
+/**
+ * Records a game as it is played and plays recordings back.
+ *
+ * A recording is the config fingerprint, the board seed of each level and
+ * every swap, undo and bonus answer, each stamped with the ms since the game
+ * started:
+ *
+ *   { version: 1, fingerprint, recordedAt, seeds: [seed, ...],
+ *     events: [[t, row1, col1, row2, col2], [t, 'undo'], [t, 'bonus'], [t, 'end']] }
+ *
+ * With the same config and seeds the game is deterministic, so playing the
+ * events back through the real game (Autoplay drives it, with Replay as the
+ * source of moves) rebuilds the same boards, photos and score. Time-attack
+ * games replay the moves, but their clock runs live.
+ */
+const Replay = {
+    version: 1,
+    maxGap: 4000, // Longest pause kept when playing back (ms)
+    speeds: [0.5, 1, 2, 4],
+
+    // Recording
+    recording: null,
+    startedAt: 0,
+
+    // Playback: { recording, index, lastAt, speed, isPaused, stepPending }
+    watching: null,
+    onChange: null, // Called when playback starts, stops, pauses or changes speed
+
+    /**
+     * Start recording a new game
+     * @param {string} fingerprint - SaveGame.fingerprint() of the config
+     */
+    begin(fingerprint) {
+        this.recording = {
+            version: this.version,
+            fingerprint,
+            recordedAt: new Date().toISOString(),
+            seeds: [],
+            events: []
+        };
+        this.startedAt = Date.now();
+    },
+
+    /**
+     * Carry on recording a saved game (timings continue from the last event)
+     * @param {Object|null} recording - From a save, or null when it has none
+     */
+    resume(recording) {
+        this.recording = this.isValid(recording) ? recording : null;
+        const last = this.recording ? this.recording.events[this.recording.events.length - 1] : null;
+        this.startedAt = Date.now() - (last ? last[0] : 0);
+    },
+
+    /**
+     * Note the board seed a level was dealt with
+     */
+    recordSeed(levelIndex, seed) {
+        if (this.recording) {
+            this.recording.seeds[levelIndex] = seed;
+        }
+    },
+
+    /**
+     * Add an event: a swap (pos1, pos2) or 'undo', 'bonus' or 'end'
+     */
+    record(...event) {
+        if (!this.recording) return;
+
+        const t = Math.round(Date.now() - this.startedAt);
+        if (typeof event[0] === 'string') {
+            this.recording.events.push([t, event[0]]);
+        } else {
+            const [pos1, pos2] = event;
+            this.recording.events.push([t, pos1.row, pos1.col, pos2.row, pos2.col]);
+        }
+    },
+
+    /**
+     * Whether a value has the shape of a recording
+     */
+    isValid(recording) {
+        if (!recording || typeof recording !== 'object') return false;
+        if (recording.version !== this.version || typeof recording.fingerprint !== 'string') return false;
+        if (!Array.isArray(recording.seeds) || !Array.isArray(recording.events)) return false;
+
+        return recording.events.every(event => Array.isArray(event) && Number.isFinite(event[0]) && (
+            (event.length === 2 && ['undo', 'bonus', 'end'].includes(event[1])) ||
+            (event.length === 5 && event.slice(1).every(Number.isInteger))
+        ));
+    },
+
+    /**
+     * Recording as a JSON file's text
+     */
+    serialize(recording = this.recording) {
+        return JSON.stringify(recording);
+    },
+
+    /**
+     * Read a recording from a JSON file's text
+     * @throws {Error} When the text is not a recording
+     */
+    parse(text) {
+        let recording;
+        try {
+            recording = JSON.parse(text);
+        } catch {
+            throw new Error('This file is not a replay');
+        }
+        if (!this.isValid(recording)) {
+            throw new Error('This file is not a replay');
+        }
+        return recording;
+    },
+
+    // ==========================================
+    // PLAYBACK
+    // ==========================================
+
+    /**
+     * Start playing a recording back (the caller starts Autoplay with Replay as its source)
+     */
+    watch(recording) {
+        this.watching = {
+            recording,
+            index: 0,
+            lastAt: null,
+            speed: 1,
+            isPaused: false,
+            stepPending: false
+        };
+        this.changed();
+    },
+
+    /**
+     * The board seed to deal a level with while watching (null otherwise)
+     */
+    seedFor(levelIndex) {
+        return this.watching ? this.watching.recording.seeds[levelIndex] ?? null : null;
+    },
+
+    /**
+     * The next swap or undo once its time has come (the board is ready for it)
+     * @param {number} [now] - Current time in ms
+     * @returns {Object|null} - { swap: [pos1, pos2] } or { undo: true }, or null to wait
+     */
+    nextAction(now = Date.now()) {
+        const watching = this.watching;
+        if (!watching) return null;
+
+        const events = watching.recording.events;
+        const event = events[watching.index];
+        if (!event) {
+            this.finish();
+            return null;
+        }
+
+        // A prompt answer with no prompt up: a time-attack clock that drifted
+        if (event[1] === 'bonus' || event[1] === 'end') {
+            watching.index++;
+            return null;
+        }
+
+        if (watching.lastAt === null) watching.lastAt = now;
+        const previous = watching.index > 0 ? events[watching.index - 1][0] : 0;
+        const gap = Math.min(this.maxGap, event[0] - previous) / watching.speed;
+        if (!watching.stepPending && (watching.isPaused || now - watching.lastAt < gap)) {
+            return null;
+        }
+
+        watching.stepPending = false;
+        watching.index++;
+        watching.lastAt = now;
+
+        if (event[1] === 'undo') {
+            return { undo: true };
+        }
+        return { swap: [{ row: event[1], col: event[2] }, { row: event[3], col: event[4] }] };
+    },
+
+    /**
+     * How to answer the out-of-moves prompt
+     * @returns {boolean|null} - true for more moves, false for "I'm done", null when the recording is over
+     */
+    takeBonus() {
+        const watching = this.watching;
+        if (!watching) return null;
+
+        const event = watching.recording.events[watching.index];
+        if (!event) {
+            this.finish();
+            return null;
+        }
+
+        // A time-attack clock that ran out sooner than it did in the recording: top it up
+        if (event[1] !== 'bonus' && event[1] !== 'end') {
+            return true;
+        }
+
+        watching.index++;
+        return event[1] === 'bonus';
+    },
+
+    /**
+     * Pause or carry on
+     */
+    togglePause() {
+        if (!this.watching) return;
+        this.watching.isPaused = !this.watching.isPaused;
+        this.changed();
+    },
+
+    /**
+     * Play the next move now (paused or not)
+     */
+    step() {
+        if (this.watching) {
+            this.watching.stepPending = true;
+        }
+    },
+
+    /**
+     * Move on to the next playback speed
+     */
+    nextSpeed() {
+        if (!this.watching) return;
+        const index = this.speeds.indexOf(this.watching.speed);
+        this.watching.speed = this.speeds[(index + 1) % this.speeds.length];
+        this.changed();
+    },
+
+    /**
+     * Stop playing back (the game is left where it is, for the player to carry on)
+     */
+    finish() {
+        if (!this.watching) return;
+        this.watching = null;
+        Autoplay.stop();
+        this.changed();
+    },
+
+    /**
+     * Let the controls know something changed
+     */
+    changed() {
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+};
+
+// Export for both browser and module environments
+if (typeof window !== 'undefined') {
+    window.Replay = Replay;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Replay;
+}
@@ -0,0 +1,122 @@
+/* ============================================
+   SAVE & RESUME - Anniversary Candy Crush
+   ============================================ */
+
+/**
+ * Snapshots of an in-progress game in localStorage, so closing the tab
+ * halfway through does not mean starting over.
+ *
+ * Each snapshot carries a fingerprint of the config it was played with;
+ * editing my-config.js (photos, board size or shape, jelly, ice and locks,
+ * moves or timer, levels, tiles, match patterns) makes old snapshots invalid instead of
+ * restoring a board that no longer fits.
+ */
+const SaveGame = {
+    storageKey: 'anniversary-candy-crush:save',
+    version: 1,
+
+    /**
+     * Fingerprint of the parts of the config a saved board depends on
+     * @param {Object} config - gameConfig
+     * @param {Array} memoryList - Memories in game format
+     * @returns {string} - Hex hash
+     */
+    fingerprint(config, memoryList) {
+        return Utils.hashString(JSON.stringify({
+            gridSize: config.gridSize,
+            layout: config.layout || null,
+            blockers: config.blockers || null,
+            locks: config.locks || null,
+            mode: config.mode || 'moves',
+            moves: config.startingMoves,
+            timer: config.mode === 'timed' ? config.timer || null : null,
+            levels: config.levels || [],
+            tileSet: config.tileSet || null,
+            matchPatterns: config.matchPatterns || [],
+            memories: memoryList.map(m => [m.image, m.text])
+        }));
+    },
+
+    /**
+     * Store a snapshot
+     * @param {Object} snapshot - Game state (see Game.createSnapshot)
+     * @param {string} fingerprint - Config fingerprint
+     * @returns {boolean} - False when storage is unavailable or full
+     */
+    save(snapshot, fingerprint) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                version: this.version,
+                fingerprint,
+                savedAt: Date.now(),
+                ...snapshot
+            }));
+            return true;
+        } catch {
+            return false;
+        }
+    },
+
+    /**
+     * Read the stored snapshot if it matches the current config
+     * Stale or unreadable snapshots are removed
+     * @param {string} fingerprint - Config fingerprint
+     * @returns {Object|null} - Snapshot, or null when there is nothing to resume
+     */
+    load(fingerprint) {
+        let raw;
+        try {
+            raw = localStorage.getItem(this.storageKey);
+        } catch {
+            return null;
+        }
+        if (!raw) return null;
+
+        const snapshot = Utils.safeJSONParse(raw);
+        if (!this.isValid(snapshot) || snapshot.fingerprint !== fingerprint) {
+            this.clear();
+            return null;
+        }
+
+        return snapshot;
+    },
+
+    /**
+     * Whether a snapshot has the shape this version writes
+     * (the board matches its rows and cols, with holes stored as false and
+     * cells emptied below a locked tile as null)
+     */
+    isValid(snapshot) {
+        if (!snapshot || snapshot.version !== this.version) return false;
+
+        const { board, rows, cols } = snapshot;
+        if (!Number.isInteger(rows) || !Number.isInteger(cols)) return false;
+        if (!Array.isArray(board) || board.length !== rows) return false;
+
+        return board.every(row => Array.isArray(row) && row.length === cols &&
+                row.every(tile => tile === false || tile === null || typeof tile?.type === 'string')) &&
+            Number.isInteger(snapshot.moves) &&
+            Number.isInteger(snapshot.revealedCount) &&
+            Number.isInteger(snapshot.level);
+    },
+
+    /**
+     * Forget the stored snapshot
+     */
+    clear() {
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch {
+            // Storage unavailable - nothing to clear
+        }
+    }
+};
+
+// Export for both browser and module environments
+if (typeof window !== 'undefined') {
+    window.SaveGame = SaveGame;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SaveGame;
+}
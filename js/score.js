@@ -0,0 +1,108 @@
+/* ============================================
+   SCORING - Anniversary Candy Crush
+   ============================================ */
+
+/**
+ * Points for clears, specials and special combinations.
+ *
+ * A clear is worth its tiles plus bonuses for the specials it creates
+ * (longer matches make stronger specials) and the specials it sets off.
+ * Each cascade within one move raises the multiplier by one, so the third
+ * chain reaction of a move scores triple.
+ */
+const Score = {
+    total: 0,
+
+    // Points per cleared tile
+    tilePoints: 20,
+
+    // Bonus for making a special (4 in a row, L/T, 5 in a row)
+    createdBonus: {
+        'striped-h': 60,
+        'striped-v': 60,
+        'wrapped': 120,
+        'color-bomb': 200
+    },
+
+    // Bonus for setting a special off
+    activatedBonus: {
+        'striped-h': 100,
+        'striped-v': 100,
+        'wrapped': 150,
+        'color-bomb': 250
+    },
+
+    // Bonus for swapping two specials (or a color bomb) together
+    combinationBonus: {
+        'striped-striped': 400,
+        'striped-wrapped': 800,
+        'wrapped-wrapped': 1000,
+        'color-bomb': 600,
+        'bomb-striped': 1500,
+        'bomb-wrapped': 2000,
+        'bomb-bomb': 5000
+    },
+
+    /**
+     * Start a new game
+     */
+    reset() {
+        this.total = 0;
+    },
+
+    /**
+     * Multiplier for the Nth clear of a move (1 for the swap itself)
+     */
+    multiplier(cascade) {
+        return Math.max(1, cascade);
+    },
+
+    /**
+     * Score one clear from a match or cascade
+     * @param {Object} clear - { tiles, created, activated, cascade }
+     *   tiles: number of cleared tiles, created: specials made ([{ type }]),
+     *   activated: specials set off ([{ type }]), cascade: 1 for the swap, 2+ for chain reactions
+     * @returns {Object} - { points, multiplier }
+     */
+    scoreClear({ tiles, created = [], activated = [], cascade = 1 }) {
+        let base = tiles * this.tilePoints;
+        for (const special of created) {
+            base += this.createdBonus[special.type] || 0;
+        }
+        for (const special of activated) {
+            base += this.activatedBonus[special.type] || 0;
+        }
+
+        const multiplier = this.multiplier(cascade);
+        const points = base * multiplier;
+        this.total += points;
+
+        return { points, multiplier };
+    },
+
+    /**
+     * Score a special combination swap
+     * @param {string} combinationType - From MatchDetector.getCombinationType
+     * @param {number} tiles - Tiles the combination cleared
+     * @param {Array} [activated] - Other specials caught in the blast
+     * @returns {Object} - { points, multiplier }
+     */
+    scoreCombination(combinationType, tiles, activated = []) {
+        let points = tiles * this.tilePoints + (this.combinationBonus[combinationType] || 0);
+        for (const special of activated) {
+            points += this.activatedBonus[special.type] || 0;
+        }
+
+        this.total += points;
+        return { points, multiplier: 1 };
+    }
+};
+
+// Export for both browser and module environments
+if (typeof window !== 'undefined') {
+    window.Score = Score;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Score;
+}
@@ -0,0 +1,120 @@
+/* ============================================
+   TILE SETS - Anniversary Candy Crush
+   ============================================ */
+
+/**
+ * The candy types on the board. By default five soft-colored gems; my-config.js
+ * can declare its own set of 4-7 tiles, each drawn from an image in
+ * customize/tiles/, an emoji or an inline SVG, with a label for screen readers.
+ *
+ * Every type also gets a palette slot (palette-0 ... palette-6 in game.css)
+ * so custom tiles keep distinct background colors.
+ */
+const TileSet = {
+    minTypes: 4,
+    maxTypes: 7,
+    defaultCount: 5,
+
+    // Built-in tiles - the first five are the classic set
+    defaults: [
+        { name: 'heart', label: 'Heart' },
+        { name: 'diamond', label: 'Diamond' },
+        { name: 'rose', label: 'Rose' },
+        { name: 'star', label: 'Star' },
+        { name: 'ring', label: 'Ring' },
+        { name: 'flower', label: 'Flower' },
+        { name: 'moon', label: 'Moon' }
+    ],
+
+    // Tile class names the board already uses for something else
+    reserved: [
+        'tile', 'empty', 'hole', 'selected', 'hinting', 'matched', 'swapping', 'falling', 'spawning',
+        'shuffling', 'dragging', 'invalid-swap', 'memory-tile', 'locked', 'striped-h', 'striped-v', 'wrapped',
+        'color-bomb', 'clearing-row', 'clearing-column', 'exploding', 'color-blast', 'clearing-cross',
+        'clearing-giant-cross', 'mega-exploding'
+    ],
+
+    types: [],
+
+    /**
+     * Build the tile set
+     * @param {Object} [config] - { count, tiles: [{ name, label, image, emoji, svg }] }
+     *   (image paths already point into customize/tiles/)
+     * @returns {Array} - Types in play: [{ name, label, image, emoji, palette }]
+     */
+    init(config) {
+        const options = config && typeof config === 'object' ? config : {};
+        const custom = Array.isArray(options.tiles)
+            ? options.tiles.filter(tile => tile && typeof tile === 'object')
+            : [];
+        const count = Math.max(this.minTypes, Math.min(this.maxTypes,
+            Number.isInteger(options.count) ? options.count : (custom.length || this.defaultCount)));
+
+        const used = new Set(this.reserved);
+        const types = custom.slice(0, count).map(tile => {
+            const name = this.uniqueName(tile.name || tile.label, used);
+            const image = this.imageFor(tile);
+            return {
+                name,
+                label: String(tile.label || tile.name || name),
+                image,
+                emoji: image ? '' : String(tile.emoji || '')
+            };
+        });
+
+        // Short custom sets are topped up with built-in tiles
+        for (const tile of this.defaults) {
+            if (types.length >= count) break;
+            if (used.has(tile.name)) continue;
+            used.add(tile.name);
+            types.push({ ...tile, image: '', emoji: '' });
+        }
+
+        this.types = types.map((tile, palette) => ({ ...tile, palette }));
+        return this.types;
+    },
+
+    /**
+     * Type names in play
+     */
+    names() {
+        return this.types.map(tile => tile.name);
+    },
+
+    /**
+     * A class-safe name not used by another type
+     */
+    uniqueName(raw, used) {
+        const base = String(raw || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'tile';
+
+        let name = base;
+        for (let n = 2; used.has(name); n++) {
+            name = `${base}-${n}`;
+        }
+        used.add(name);
+        return name;
+    },
+
+    /**
+     * Image source for a tile: its file, or inline SVG as a data URL
+     * (drawn through an <img>, so markup in the SVG never runs)
+     */
+    imageFor(tile) {
+        if (tile.image) return String(tile.image);
+
+        const svg = typeof tile.svg === 'string' ? tile.svg.trim() : '';
+        if (svg.startsWith('<svg')) {
+            return 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
+        }
+        return '';
+    }
+};
+
+// Export for both browser and module environments
+if (typeof window !== 'undefined') {
+    window.TileSet = TileSet;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TileSet;
+}
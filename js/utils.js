@@ -269,6 +269,21 @@ const Utils = {
         }
     },
 
+    /**
+     * Short, stable hash of a string (FNV-1a, 8 hex digits)
+     * Not cryptographic - for fingerprints and cache keys only
+     * @param {string} str - String to hash
+     * @returns {string} - Hex hash
+     */
+    hashString(str) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    },
+
     /**
      * Create a frozen (immutable) copy of an object
      * Prevents accidental mutations
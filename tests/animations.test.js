@@ -72,6 +72,38 @@ describe('Animations', () => {
         });
     });
 
+    describe('dragTile', () => {
+        test('offsets the tile and marks it as dragging', () => {
+            const tile = document.querySelector('.tile');
+
+            Animations.dragTile(tile, 12, 0);
+
+            expect(tile.classList.contains('dragging')).toBe(true);
+            expect(tile.style.transform).toBe('translate(12px, 0px)');
+        });
+    });
+
+    describe('releaseTile', () => {
+        test('snaps the tile back by default', () => {
+            const tile = document.querySelector('.tile');
+            Animations.dragTile(tile, 12, 0);
+
+            Animations.releaseTile(tile);
+
+            expect(tile.classList.contains('dragging')).toBe(false);
+            expect(tile.style.transform).toBe('');
+        });
+
+        test('keeps the offset for a swap animation to take over', () => {
+            const tile = document.querySelector('.tile');
+            Animations.dragTile(tile, 0, -20);
+
+            Animations.releaseTile(tile, false);
+
+            expect(tile.style.transform).toBe('translate(0px, -20px)');
+        });
+    });
+
     describe('swapTiles', () => {
         test('adds swapping class to both tiles', async () => {
             jest.useFakeTimers();
@@ -150,6 +182,21 @@ describe('Animations', () => {
             await promise;
         });
 
+        test('waits for its chain reaction wave before starting', async () => {
+            jest.useFakeTimers();
+            const tile = document.querySelector('.tile');
+
+            const promise = Animations.removeTile(tile, 'exploding', 300);
+            expect(tile.classList.contains('exploding')).toBe(false);
+
+            jest.advanceTimersByTime(300);
+            await Promise.resolve();
+            expect(tile.classList.contains('exploding')).toBe(true);
+
+            jest.runAllTimers();
+            await promise;
+        });
+
         test('removes animation class after delay', async () => {
             jest.useFakeTimers();
             const tile = document.querySelector('.tile');
@@ -283,23 +330,21 @@ describe('Animations', () => {
         });
     });
 
-    describe('shuffleBoard', () => {
-        test('applies transform animation to board', () => {
-            const board = document.getElementById('game-board');
-
-            // Just call the function - it sets transition synchronously
-            Animations.shuffleBoard(board);
+    describe('shuffleTiles', () => {
+        test('starts each tile at its old cell and glides it home', async () => {
+            jest.useFakeTimers();
+            const tile = document.querySelector('.tile');
 
-            expect(board.style.transition).toBe('transform 300ms ease-in-out');
-        });
+            const promise = Animations.shuffleTiles([{ tile, rows: 2, cols: -1 }]);
 
-        test('sets transform initially', () => {
-            const board = document.getElementById('game-board');
+            expect(tile.classList.contains('shuffling')).toBe(true);
+            expect(tile.style.transform).toBe('translate(0, 0)');
 
-            Animations.shuffleBoard(board);
+            jest.runAllTimers();
+            await promise;
 
-            // Transform should be set (doesn't matter the exact value)
-            expect(board.style.transform).toBeTruthy();
+            expect(tile.classList.contains('shuffling')).toBe(false);
+            expect(tile.style.transform).toBe('');
         });
     });
 
@@ -460,6 +505,33 @@ describe('Animations', () => {
         });
     });
 
+    describe('scorePopup', () => {
+        test('shows the points over the board', () => {
+            const board = document.getElementById('game-board');
+            const tile = document.querySelector('.tile');
+
+            Animations.scorePopup(tile, 60);
+
+            const popup = board.querySelector('.score-popup');
+            expect(popup.textContent).toBe('+60');
+            expect(popup.querySelector('.score-multiplier')).toBeNull();
+        });
+
+        test('adds the cascade multiplier and removes itself', () => {
+            jest.useFakeTimers();
+            const board = document.getElementById('game-board');
+            const tile = document.querySelector('.tile');
+
+            Animations.scorePopup(tile, 240, 3);
+
+            expect(board.querySelector('.score-multiplier').textContent).toBe('x3');
+
+            jest.advanceTimersByTime(900);
+
+            expect(board.querySelector('.score-popup')).toBeNull();
+        });
+    });
+
     describe('createSparkles', () => {
         test('creates sparkle elements', () => {
             const board = document.getElementById('game-board');
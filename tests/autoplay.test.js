@@ -0,0 +1,258 @@
+/**
+ * Autoplay Tests
+ * Tests for the demo bot that plays the real game
+ */
+
+global.Random = require('../js/random.js');
+global.MatchDetector = require('../js/match.js');
+global.Engine = require('../js/engine.js');
+const Autoplay = require('../js/autoplay.js');
+
+function screen() {
+    const element = document.createElement('div');
+    document.body.appendChild(element);
+    return element;
+}
+
+describe('Autoplay', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        document.body.innerHTML = '';
+
+        global.Game = {
+            screens: {
+                start: screen(),
+                victory: screen(),
+                level: screen(),
+                bonus: screen()
+            },
+            elements: {
+                levelStart: document.createElement('button'),
+                bonusYes: document.createElement('button'),
+                bonusNo: document.createElement('button')
+            },
+            isPlaying: true,
+            isPaused: false,
+            isProcessing: false,
+            startGame: jest.fn(),
+            restartGame: jest.fn(),
+            attemptSwap: jest.fn(),
+            undo: jest.fn()
+        };
+        global.MemorySystem = { overlay: screen(), hideMemory: jest.fn() };
+        global.Grid = {
+            data: createPatternGrid([
+                ['heart', 'star', 'heart'],
+                ['star', 'heart', 'star'],
+                ['rose', 'ring', 'rose']
+            ])
+        };
+
+        Autoplay.init();
+    });
+
+    afterEach(() => {
+        Autoplay.stop();
+        jest.useRealTimers();
+    });
+
+    describe('init', () => {
+        test('keeps the pace sensible', () => {
+            Autoplay.init({ pace: 10, photoTime: -5, loop: false });
+
+            expect(Autoplay.pace).toBe(200);
+            expect(Autoplay.photoTime).toBe(0);
+            expect(Autoplay.loop).toBe(false);
+        });
+
+        test('three quick taps on the start-screen heart start the demo', () => {
+            document.body.innerHTML = '<div class="start-content"><div class="heart-decoration"></div></div>';
+            Autoplay.init();
+            const heart = document.querySelector('.heart-decoration');
+
+            heart.click();
+            heart.click();
+            expect(Autoplay.isRunning).toBe(false);
+
+            heart.click();
+            expect(Autoplay.isRunning).toBe(true);
+        });
+    });
+
+    describe('pickMove', () => {
+        test('picks the move the hint would show first', () => {
+            const move = Autoplay.pickMove(Grid.data);
+
+            expect(move).toEqual(Engine.rankMoves(Grid.data)[0].move);
+        });
+
+        test('returns null without a legal swap', () => {
+            const board = createPatternGrid([
+                ['heart', 'star'],
+                ['rose', 'ring']
+            ]);
+
+            expect(Autoplay.pickMove(board)).toBeNull();
+        });
+    });
+
+    describe('step', () => {
+        test('swaps through the game when the board is ready', () => {
+            expect(Autoplay.step()).toBe('swap');
+            expect(Game.attemptSwap).toHaveBeenCalledWith(...Autoplay.pickMove(Grid.data));
+        });
+
+        test('waits while a turn is being played', () => {
+            Game.isProcessing = true;
+
+            expect(Autoplay.step()).toBe('wait');
+            expect(Game.attemptSwap).not.toHaveBeenCalled();
+        });
+
+        test('starts the game and opens each level', () => {
+            Game.screens.start.classList.add('active');
+            expect(Autoplay.step()).toBe('start');
+            expect(Game.startGame).toHaveBeenCalled();
+
+            Game.screens.start.classList.remove('active');
+            Game.screens.level.classList.add('active');
+            const go = jest.fn();
+            Game.elements.levelStart.addEventListener('click', go);
+            expect(Autoplay.step()).toBe('level');
+            expect(go).toHaveBeenCalled();
+        });
+
+        test('leaves screens that are already fading out alone', () => {
+            Game.screens.bonus.classList.add('active');
+            Game.screens.bonus.style.opacity = '0';
+            Game.isPlaying = false;
+
+            expect(Autoplay.step()).toBe('wait');
+        });
+
+        test('keeps each photo up for photoTime before closing it', () => {
+            Autoplay.photoTime = 2000;
+            MemorySystem.overlay.classList.add('active');
+
+            expect(Autoplay.step(1000)).toBe('photo');
+            expect(Autoplay.step(2500)).toBe('photo');
+            expect(Autoplay.step(3000)).toBe('close');
+            expect(MemorySystem.hideMemory).toHaveBeenCalledTimes(1);
+        });
+
+        test('takes the bonus moves', () => {
+            Game.screens.bonus.classList.add('active');
+            const yes = jest.fn();
+            Game.elements.bonusYes.addEventListener('click', yes);
+
+            expect(Autoplay.step()).toBe('bonus');
+            expect(yes).toHaveBeenCalled();
+        });
+
+        test('starts over after the victory screen, or stops without loop', () => {
+            Autoplay.photoTime = 0;
+            Game.screens.victory.classList.add('active');
+            expect(Autoplay.step()).toBe('restart');
+            expect(Game.restartGame).toHaveBeenCalled();
+
+            Autoplay.loop = false;
+            Autoplay.start();
+            expect(Autoplay.step()).toBe('stop');
+            expect(Autoplay.isRunning).toBe(false);
+        });
+    });
+
+    describe('with a driver', () => {
+        let driver;
+
+        beforeEach(() => {
+            driver = {
+                watching: { speed: 2 },
+                nextAction: jest.fn().mockReturnValue(null),
+                takeBonus: jest.fn().mockReturnValue(true),
+                finish: jest.fn()
+            };
+            Autoplay.start(driver);
+        });
+
+        test("plays the driver's swaps and undos", () => {
+            driver.nextAction.mockReturnValueOnce({ swap: [{ row: 1, col: 1 }, { row: 1, col: 2 }] })
+                .mockReturnValueOnce({ undo: true });
+
+            expect(Autoplay.step(0)).toBe('swap');
+            expect(Game.attemptSwap).toHaveBeenCalledWith({ row: 1, col: 1 }, { row: 1, col: 2 });
+            expect(Autoplay.step(0)).toBe('undo');
+            expect(Game.undo).toHaveBeenCalledWith(true);
+            expect(Autoplay.step(0)).toBe('wait');
+        });
+
+        test('answers the prompt as the driver says', () => {
+            Game.screens.bonus.classList.add('active');
+            const no = jest.fn();
+            Game.elements.bonusNo.addEventListener('click', no);
+            driver.takeBonus.mockReturnValueOnce(false);
+
+            expect(Autoplay.step(0)).toBe('done');
+            expect(no).toHaveBeenCalled();
+        });
+
+        test('shows photos for photoTime at the driver speed', () => {
+            Autoplay.photoTime = 2000;
+            MemorySystem.overlay.classList.add('active');
+
+            expect(Autoplay.step(0)).toBe('photo');
+            expect(Autoplay.step(1000)).toBe('close');
+        });
+
+        test('stops at the victory screen and lets the driver know', () => {
+            Autoplay.photoTime = 0;
+            Game.screens.victory.classList.add('active');
+
+            expect(Autoplay.step(0)).toBe('stop');
+            expect(Autoplay.isRunning).toBe(false);
+            expect(driver.finish).toHaveBeenCalled();
+            expect(Game.restartGame).not.toHaveBeenCalled();
+        });
+
+        test('checks in every tickRate ms and leaves input to the replay controls', () => {
+            jest.advanceTimersByTime(Autoplay.tickRate);
+            expect(driver.nextAction).toHaveBeenCalledTimes(1);
+
+            expect(Autoplay.stopHandler).toBeNull();
+        });
+    });
+
+    describe('start and stop', () => {
+        test('steps at the configured pace', () => {
+            Autoplay.init({ pace: 500 });
+            Autoplay.start();
+
+            jest.advanceTimersByTime(499);
+            expect(Game.attemptSwap).not.toHaveBeenCalled();
+
+            jest.advanceTimersByTime(1);
+            expect(Game.attemptSwap).toHaveBeenCalledTimes(1);
+
+            jest.advanceTimersByTime(500);
+            expect(Game.attemptSwap).toHaveBeenCalledTimes(2);
+        });
+
+        test('stops stepping once stopped', () => {
+            Autoplay.start();
+            Autoplay.stop();
+
+            jest.advanceTimersByTime(5000);
+            expect(Game.attemptSwap).not.toHaveBeenCalled();
+        });
+
+        test('ignores its own clicks but stops on a real key press', () => {
+            Autoplay.start();
+
+            document.dispatchEvent(new KeyboardEvent('keydown', { key: 'a' }));
+            expect(Autoplay.isRunning).toBe(true);
+
+            Autoplay.stopHandler({ isTrusted: true });
+            expect(Autoplay.isRunning).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,81 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Countdown Tests
+ * Tests for the time-attack clock
+ */
+
+const Countdown = require('../js/countdown.js');
+
+describe('Countdown', () => {
+    afterEach(() => {
+        Countdown.stop();
+    });
+
+    describe('init', () => {
+        test('uses the defaults without settings', () => {
+            Countdown.init();
+
+            expect(Countdown.limit).toBe(120);
+            expect(Countdown.cascadeBonus).toBe(2);
+            expect(Countdown.memoryBonus).toBe(5);
+            expect(Countdown.extraSeconds).toBe(30);
+        });
+
+        test('keeps settings in range', () => {
+            Countdown.init({ seconds: 3, cascadeBonus: -1, memoryBonus: 'lots', extraSeconds: 45 });
+
+            expect(Countdown.limit).toBe(10);
+            expect(Countdown.cascadeBonus).toBe(0);
+            expect(Countdown.memoryBonus).toBe(5);
+            expect(Countdown.extraSeconds).toBe(45);
+        });
+    });
+
+    describe('tick', () => {
+        test('counts down in real time and reports whole seconds', () => {
+            const onTick = jest.fn();
+            Countdown.start(10, { onTick });
+            const start = Countdown.lastTick;
+
+            Countdown.tick(start + 2500);
+
+            expect(Countdown.remaining).toBe(7500);
+            expect(onTick).toHaveBeenCalledWith(8);
+        });
+
+        test('skips the time spent paused', () => {
+            let paused = true;
+            Countdown.start(10, { isPaused: () => paused });
+            const start = Countdown.lastTick;
+
+            Countdown.tick(start + 4000);
+            paused = false;
+            Countdown.tick(start + 5000);
+
+            expect(Countdown.remaining).toBe(9000);
+        });
+
+        test('expires once, and bonus seconds bring it back', () => {
+            const onExpire = jest.fn();
+            Countdown.start(1, { onExpire });
+            const start = Countdown.lastTick;
+
+            Countdown.tick(start + 1500);
+            Countdown.tick(start + 2000);
+            expect(Countdown.remaining).toBe(0);
+            expect(onExpire).toHaveBeenCalledTimes(1);
+
+            Countdown.add(30);
+            Countdown.tick(start + 3000);
+            expect(Countdown.seconds()).toBe(29);
+        });
+    });
+
+    test('formats seconds as m:ss', () => {
+        expect(Countdown.format(125)).toBe('2:05');
+        expect(Countdown.format(9)).toBe('0:09');
+    });
+});
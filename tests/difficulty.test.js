@@ -0,0 +1,65 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Difficulty Tests
+ * Tests for spawn settings and the adaptive helper bias
+ */
+
+const Difficulty = require('../js/difficulty.js');
+
+describe('Difficulty', () => {
+    const standing = { moves: 40, hidden: 4, startMoves: 40, memories: 4 };
+
+    describe('init', () => {
+        test('uses the defaults without settings', () => {
+            Difficulty.init();
+
+            expect(Difficulty.helperBias).toBe(0.4);
+            expect(Difficulty.adaptive).toBe(false);
+            expect(Difficulty.weights).toEqual({});
+        });
+
+        test('clamps the bias and drops bad weights', () => {
+            Difficulty.init({ helperBias: 2, weights: { heart: 2, star: -1, ring: 'lots', rose: 0 } });
+
+            expect(Difficulty.helperBias).toBe(1);
+            expect(Difficulty.weights).toEqual({ heart: 2, rose: 0 });
+        });
+    });
+
+    describe('biasFor', () => {
+        test('keeps the configured bias when not adaptive', () => {
+            Difficulty.init({ helperBias: 0.3 });
+
+            expect(Difficulty.biasFor({ ...standing, moves: 1 })).toBe(0.3);
+        });
+
+        test('keeps the configured bias on pace', () => {
+            Difficulty.init({ helperBias: 0.4, adaptive: true });
+
+            expect(Difficulty.biasFor(standing)).toBeCloseTo(0.4);
+        });
+
+        test('rises toward the maximum when falling behind', () => {
+            Difficulty.init({ helperBias: 0.4, adaptive: true });
+
+            expect(Difficulty.biasFor({ ...standing, moves: 20 })).toBeCloseTo(0.6);
+            expect(Difficulty.biasFor({ ...standing, moves: 0 })).toBeCloseTo(Difficulty.maxBias);
+        });
+
+        test('eases off toward the minimum when far ahead', () => {
+            Difficulty.init({ helperBias: 0.4, adaptive: true });
+
+            expect(Difficulty.biasFor({ ...standing, hidden: 1 })).toBeCloseTo(Difficulty.minBias);
+            expect(Difficulty.biasFor({ ...standing, hidden: 2 })).toBeLessThan(0.4);
+        });
+
+        test('keeps the configured bias once every memory is found', () => {
+            Difficulty.init({ helperBias: 0.4, adaptive: true });
+
+            expect(Difficulty.biasFor({ ...standing, hidden: 0, moves: 0 })).toBe(0.4);
+        });
+    });
+});
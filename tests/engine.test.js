@@ -0,0 +1,862 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Engine Tests
+ * Whole-turn tests against the real rules, without a DOM
+ */
+
+global.Random = require('../js/random.js');
+global.MatchDetector = require('../js/match.js');
+const Engine = require('../js/engine.js');
+
+describe('Engine', () => {
+    beforeEach(() => {
+        Random.setSeed(12345);
+    });
+
+    test('runs without a DOM', () => {
+        expect(typeof document).toBe('undefined');
+        expect(typeof Engine.playTurn).toBe('function');
+    });
+
+    describe('generateBoard', () => {
+        test('fills the board without starting matches', () => {
+            const board = Engine.generateBoard(8, ['heart', 'diamond', 'rose', 'star', 'ring']);
+
+            expect(board.length).toBe(8);
+            expect(board.every(row => row.length === 8 && row.every(Boolean))).toBe(true);
+            expect(MatchDetector.findAllMatches(board).matches.length).toBe(0);
+        });
+
+        test('works with any tile set of 4-7 types', () => {
+            for (const types of [['coffee', 'dog', 'ticket', 'pizza'],
+                ['a', 'b', 'c', 'd', 'e', 'f', 'g']]) {
+                const state = Engine.createState({ size: 7, tileTypes: types });
+
+                expect(state.board.flat().every(tile => types.includes(tile.type))).toBe(true);
+                expect(MatchDetector.findAllMatches(state.board).matches.length).toBe(0);
+                expect(Engine.hasPossibleMoves(state.board)).toBe(true);
+            }
+        });
+
+        test('avoids every match pattern among the tiles already placed', () => {
+            const board = createPatternGrid([
+                ['heart', 'heart', 'star'],
+                ['heart', 'star', 'ring'],
+            ]);
+            board[1].length = 1;
+
+            // (1,1) would finish a 2x2 square; tiles to the right and below do not exist yet
+            expect(Engine.wouldCreateInitialMatch(board, 1, 1, 'heart')).toBe(true);
+            expect(Engine.wouldCreateInitialMatch(board, 1, 1, 'star')).toBe(false);
+            expect(Engine.wouldCreateInitialMatch(board, 0, 0, 'heart')).toBe(false);
+        });
+
+        test('marks memory tiles', () => {
+            const board = Engine.generateBoard(6, ['heart', 'star', 'ring'], [
+                { row: 2, col: 3, memoryId: 4 }
+            ]);
+
+            expect(board[2][3].isMemory).toBe(true);
+            expect(board[2][3].memoryId).toBe(4);
+            expect(board[0][0].isMemory).toBe(false);
+        });
+
+        test('leaves holes where the mask has none', () => {
+            const mask = [
+                [true, true, true, true, false],
+                [true, false, true, true, true],
+                [true, true, true, true, true],
+                [true, true, true, true, true]
+            ];
+            const board = Engine.generateBoard(4, ['heart', 'diamond', 'rose', 'star'], [], mask);
+
+            expect(board.length).toBe(4);
+            expect(board.every(row => row.length === 5)).toBe(true);
+            expect(board[0][4]).toBe(false);
+            expect(board[1][1]).toBe(false);
+            expect(board.flat().filter(Boolean).length).toBe(18);
+            expect(Engine.maskOf(board)).toEqual(mask);
+        });
+
+        test('is reproducible from a seed', () => {
+            Random.setSeed('share-me');
+            const first = Engine.generateBoard(8, ['heart', 'diamond', 'rose', 'star', 'ring']);
+            Random.setSeed('share-me');
+            const second = Engine.generateBoard(8, ['heart', 'diamond', 'rose', 'star', 'ring']);
+
+            expect(second).toEqual(first);
+        });
+    });
+
+    describe('applyGravity', () => {
+        test('drops tiles into gaps and reports each fall', () => {
+            const board = createPatternGrid([
+                ['heart', 'star'],
+                ['ring', 'rose'],
+                ['star', 'heart'],
+            ]);
+            board[2][0] = null;
+
+            const event = Engine.applyGravity(board);
+
+            expect(event.type).toBe('fall');
+            expect(board[2][0].type).toBe('ring');
+            expect(board[1][0].type).toBe('heart');
+            expect(board[0][0]).toBeNull();
+            expect(event.falls).toEqual([
+                expect.objectContaining({ from: { row: 1, col: 0 }, to: { row: 2, col: 0 }, distance: 1 }),
+                expect.objectContaining({ from: { row: 0, col: 0 }, to: { row: 1, col: 0 }, distance: 1 }),
+            ]);
+        });
+
+        test('drops tiles past holes', () => {
+            const board = createPatternGrid([
+                ['heart', 'star'],
+                ['ring', 'rose'],
+                ['star', 'heart'],
+            ]);
+            board[1][0] = false;
+            board[2][0] = null;
+
+            Engine.applyGravity(board);
+
+            expect(board[2][0].type).toBe('heart');
+            expect(board[1][0]).toBe(false);
+            expect(board[0][0]).toBeNull();
+        });
+    });
+
+    describe('spawnTiles', () => {
+        test('fills every empty cell with a plain tile', () => {
+            const board = createPatternGrid([
+                ['heart', 'star'],
+                ['ring', 'rose'],
+            ]);
+            board[0][0] = null;
+            board[0][1] = null;
+
+            const event = Engine.spawnTiles(board, ['heart', 'star']);
+
+            expect(event.type).toBe('spawn');
+            expect(event.tiles.length).toBe(2);
+            expect(board[0][0]).toEqual(expect.objectContaining({ special: null, isMemory: false }));
+            expect(['heart', 'star']).toContain(board[0][1].type);
+        });
+
+        test('never fills a hole', () => {
+            const board = createPatternGrid([
+                ['heart', 'star'],
+                ['ring', 'rose'],
+            ]);
+            board[0][0] = false;
+            board[1][0] = null;
+
+            const event = Engine.spawnTiles(board, ['heart', 'star']);
+
+            expect(event.tiles).toEqual([expect.objectContaining({ row: 1, col: 0, index: 0 })]);
+            expect(board[0][0]).toBe(false);
+        });
+
+        test('follows spawn weights', () => {
+            const board = createPatternGrid([
+                ['heart', 'star', 'ring'],
+                ['ring', 'rose', 'heart'],
+                ['star', 'heart', 'rose'],
+            ]);
+            Engine.spawnWeights = { heart: 0, star: 0 };
+
+            for (let i = 0; i < 10; i++) {
+                board[0] = [null, null, null];
+                Engine.spawnTiles(board, ['heart', 'star', 'ring']);
+                expect(board[0].map(tile => tile.type)).toEqual(['ring', 'ring', 'ring']);
+            }
+
+            Engine.spawnWeights = {};
+        });
+    });
+
+    describe('helpfulTypeForPosition', () => {
+        test('returns type of nearby memory tile', () => {
+            const board = createMockGrid(4, 'star');
+            board[2][2] = { type: 'heart', special: null, isMemory: true, memoryId: 0 };
+
+            expect(Engine.helpfulTypeForPosition(board, 2, 3)).toBe('heart');
+        });
+
+        test('returns null when no nearby memory tiles', () => {
+            const board = createMockGrid(4);
+
+            expect(Engine.helpfulTypeForPosition(board, 2, 2)).toBeNull();
+        });
+    });
+
+    describe('board notation', () => {
+        const types = ['heart', 'diamond', 'rose', 'star', 'ring'];
+
+        test('gives each tile type a letter of its own', () => {
+            expect(Engine.tileLetters(types)).toEqual({ heart: 'h', diamond: 'd', rose: 'r', star: 's', ring: 'i' });
+            expect(Engine.tileLetters(['rose', 'ring', 'rr'])).toEqual({ rose: 'r', ring: 'i', rr: 'a' });
+        });
+
+        test('writes and reads back specials, memory tiles, locks, holes and empty cells', () => {
+            const board = createPatternGrid([
+                ['heart', 'star', 'ring'],
+                ['ring', 'rose', 'heart'],
+                ['star', 'diamond', 'rose'],
+            ]);
+            board[0][0].special = 'striped-h';
+            board[0][1].special = 'color-bomb';
+            board[1][0] = { ...board[1][0], isMemory: true, memoryId: 2, locked: true };
+            board[1][2].special = 'wrapped';
+            board[2][0].special = 'striped-v';
+            board[2][1] = null;
+            board[2][2] = false;
+
+            const text = Engine.formatBoard(board, types);
+
+            expect(text).toBe([
+                '# h=heart d=diamond r=rose s=star i=ring',
+                'h- s@ i',
+                'i*2! r h+',
+                's| _ .'
+            ].join('\n'));
+            expect(Engine.parseBoard(text, types)).toEqual(
+                board.map(row => row.map(tile => tile && { locked: false, ...tile }))
+            );
+        });
+
+        test('numbers bare memory marks after the numbered ones', () => {
+            const board = Engine.parseBoard('h* d*0\ns r*', types);
+
+            expect(board[0][0]).toMatchObject({ isMemory: true, memoryId: 1 });
+            expect(board[0][1]).toMatchObject({ isMemory: true, memoryId: 0 });
+            expect(board[1][1]).toMatchObject({ isMemory: true, memoryId: 2 });
+            expect(board[1][0]).toMatchObject({ isMemory: false, memoryId: null, locked: false });
+        });
+
+        test('lets a legend comment set the letters', () => {
+            const board = Engine.parseBoard('# x=heart\n  x h  \n\n  s x  ', types);
+
+            expect(board.map(row => row.map(tile => tile.type))).toEqual([['heart', 'heart'], ['star', 'heart']]);
+        });
+
+        test('says where the text can\'t be read', () => {
+            expect(() => Engine.parseBoard('# just a comment', types)).toThrow('Board text has no rows');
+            expect(() => Engine.parseBoard('h d\nh', types)).toThrow('Board row 2 has 1 cells, expected 2');
+            expect(() => Engine.parseBoard('h d\nh q', types)).toThrow('Board row 2, column 2: can\'t read "q"');
+            expect(() => Engine.parseBoard('h d!*', types)).toThrow('Board row 1, column 2');
+        });
+    });
+
+    describe('layers', () => {
+        const board = () => createPatternGrid([
+            ['heart', 'star', 'ring'],
+            ['ring', 'rose', 'heart'],
+            ['star', 'heart', 'rose'],
+        ]);
+
+        test('draws jelly and ice from rows of letters, skipping holes', () => {
+            const cells = board();
+            cells[1][1] = false;
+
+            const layers = Engine.generateLayers(cells, ['J.I', '.J', 'i']);
+
+            expect(layers[0][0]).toEqual({ type: 'jelly', hits: 1 });
+            expect(layers[0][2]).toEqual({ type: 'ice', hits: 2 });
+            expect(layers[1][1]).toBeNull();
+            expect(layers[2][0]).toEqual({ type: 'ice', hits: 2 });
+            expect(Engine.countLayers(layers)).toBe(3);
+        });
+
+        test('scatters counts from the seed', () => {
+            Random.setSeed(7);
+            const first = Engine.generateLayers(board(), { jelly: 4, ice: 2 });
+            Random.setSeed(7);
+            const second = Engine.generateLayers(board(), { jelly: 4, ice: 2 });
+
+            expect(second).toEqual(first);
+            expect(first.flat().filter(layer => layer?.type === 'jelly').length).toBe(4);
+            expect(first.flat().filter(layer => layer?.type === 'ice').length).toBe(2);
+            expect(Engine.countLayers(Engine.generateLayers(board(), { jelly: 50 }))).toBe(9);
+        });
+
+        test('jelly takes one clear and ice two', () => {
+            const layers = Engine.generateLayers(board(), ['JI']);
+
+            const first = Engine.hitLayers(layers, [{ row: 0, col: 0 }, { row: 0, col: 1 }, { row: 2, col: 2 }]);
+            expect(first).toEqual({
+                type: 'layer-hit',
+                hits: [
+                    { row: 0, col: 0, layer: 'jelly', hits: 0, cleared: true },
+                    { row: 0, col: 1, layer: 'ice', hits: 1, cleared: false }
+                ]
+            });
+
+            Engine.hitLayers(layers, [{ row: 0, col: 1 }]);
+            expect(Engine.countLayers(layers)).toBe(0);
+        });
+
+        test('stay in their cells while tiles fall through', () => {
+            const blockers = ['JJJJJJ', 'IIIIII', 'JJJJJJ', 'JJJJJJ', 'JJJJJJ', 'JJJJJJ'];
+            const state = Engine.createState({ size: 6, moves: 10, blockers });
+            const [best] = Engine.rankMoves(state.board);
+
+            const { events } = Engine.playTurn(state, ...best.move);
+            const hit = events.find(event => event.type === 'layer-hit');
+
+            expect(hit.hits.length).toBeGreaterThan(0);
+            expect(events.indexOf(hit)).toBe(events.findIndex(event => event.type === 'clear') + 1);
+            expect(state.layers[1].every(layer => layer === null || layer.type === 'ice')).toBe(true);
+            expect(Engine.countLayers(state.layers)).toBeLessThan(36);
+        });
+    });
+
+    describe('locks', () => {
+        test('locks the last memory tiles first, then candies from the seed', () => {
+            const board = Engine.generateBoard(6, ['heart', 'diamond', 'rose', 'star'], [
+                { row: 1, col: 1, memoryId: 0 },
+                { row: 2, col: 2, memoryId: 1 },
+                { row: 3, col: 3, memoryId: 2 }
+            ]);
+            Random.setSeed(3);
+
+            const locked = Engine.lockTiles(board, { memories: 2, candies: 4 });
+
+            expect(locked.slice(0, 2)).toEqual([{ row: 3, col: 3 }, { row: 2, col: 2 }]);
+            expect(board[1][1].locked).toBe(false);
+            expect(board.flat().filter(tile => tile.locked).length).toBe(6);
+            expect(Engine.lockTiles(board, null)).toEqual([]);
+        });
+
+        test('a clear breaks the lock and leaves the tile', () => {
+            const board = createPatternGrid([
+                ['heart', 'heart', 'heart'],
+            ]);
+            board[0][1].locked = true;
+            board[0][1].isMemory = true;
+            board[0][1].memoryId = 0;
+
+            const event = Engine.clearTiles(board, [{ row: 0, col: 0 }, { row: 0, col: 1 }, { row: 0, col: 2 }]);
+
+            expect(board[0][1]).toEqual(expect.objectContaining({ type: 'heart', locked: false }));
+            expect(event.positions).toEqual([{ row: 0, col: 0 }, { row: 0, col: 2 }]);
+            expect(event.unlocked).toEqual([{ row: 0, col: 1, tile: board[0][1] }]);
+            expect(event.tiles.map(tile => tile.type)).toEqual(['heart', 'heart']);
+            expect(event.memories).toEqual([]);
+        });
+
+        test('locked tiles do not fall and hold up the tiles above', () => {
+            const board = createPatternGrid([
+                ['heart'],
+                ['star'],
+                ['ring'],
+            ]);
+            board[1][0].locked = true;
+            board[2][0] = null;
+
+            Engine.applyGravity(board);
+
+            expect(board[0][0].type).toBe('heart');
+            expect(board[1][0].type).toBe('star');
+            expect(board[2][0]).toBeNull();
+        });
+
+        test('no tile spawns below a locked tile until the lock breaks', () => {
+            const board = createPatternGrid([
+                ['heart'],
+                ['star'],
+                ['ring'],
+            ]);
+            board[0][0] = null;
+            board[1][0].locked = true;
+            board[2][0] = null;
+
+            const event = Engine.spawnTiles(board, ['heart', 'rose']);
+
+            expect(event.tiles).toEqual([expect.objectContaining({ row: 0, col: 0 })]);
+            expect(board[2][0]).toBeNull();
+
+            board[1][0].locked = false;
+            Engine.applyGravity(board);
+            Engine.spawnTiles(board, ['heart', 'rose']);
+
+            expect(board[2][0].type).toBe('star');
+            expect(board.every(row => row.every(Boolean))).toBe(true);
+        });
+
+        test('no special is made on a locked cell', () => {
+            const board = createPatternGrid([
+                ['heart', 'heart', 'heart'],
+            ]);
+            board[0][1].locked = true;
+
+            const specials = [{ row: 0, col: 1, type: 'striped-h', candyType: 'heart' }];
+
+            expect(Engine.specialsToCreate(specials, board)).toEqual([]);
+            expect(Engine.specialsToCreate(specials)).toEqual(specials);
+        });
+    });
+
+    describe('clearTiles', () => {
+        test('empties cells and reports memory tiles', () => {
+            const board = createPatternGrid([
+                ['heart', 'heart', 'heart'],
+            ]);
+            board[0][1].isMemory = true;
+            board[0][1].memoryId = 2;
+
+            const event = Engine.clearTiles(board, [
+                { row: 0, col: 0 }, { row: 0, col: 1 }, { row: 0, col: 2 }
+            ]);
+
+            expect(board[0]).toEqual([null, null, null]);
+            expect(event.memories).toEqual([{ memoryId: 2, row: 0, col: 1 }]);
+        });
+    });
+
+    describe('planClear', () => {
+        test('adds the effect of a special candy caught in a match', () => {
+            const board = createPatternGrid([
+                ['heart', 'heart', 'heart', 'star'],
+                ['star', 'ring', 'rose', 'ring'],
+            ]);
+            board[0][0].special = 'striped-v';
+
+            const { positions, activated } = Engine.planClear(board, [
+                { row: 0, col: 0 }, { row: 0, col: 1 }, { row: 0, col: 2 }
+            ]);
+
+            expect(activated).toEqual([{ pos: { row: 0, col: 0 }, type: 'striped-v', wave: 0 }]);
+            expect(positions).toContainEqual(expect.objectContaining({ row: 1, col: 0 }));
+            expect(positions.length).toBe(4);
+        });
+    });
+
+    describe('playTurn', () => {
+        function createState(pattern, extra = {}) {
+            return {
+                size: pattern.length,
+                tileTypes: ['heart', 'diamond', 'rose', 'star', 'ring'],
+                board: createPatternGrid(pattern),
+                moves: 10,
+                totalMemories: 1,
+                revealedCount: 0,
+                shuffles: 0,
+                ...extra
+            };
+        }
+
+        const pattern = [
+            ['star', 'heart', 'heart', 'ring', 'diamond'],
+            ['heart', 'diamond', 'rose', 'star', 'ring'],
+            ['ring', 'star', 'diamond', 'rose', 'star'],
+            ['diamond', 'rose', 'star', 'ring', 'heart'],
+            ['star', 'ring', 'heart', 'diamond', 'rose'],
+        ];
+
+        test('rejects a swap that makes no match', () => {
+            const state = createState(pattern);
+            const before = Engine.cloneBoard(state.board);
+
+            const result = Engine.playTurn(state, { row: 2, col: 2 }, { row: 2, col: 3 });
+
+            expect(result.valid).toBe(false);
+            expect(state.board).toEqual(before);
+            expect(state.moves).toBe(10);
+        });
+
+        test('rejects non-adjacent swaps', () => {
+            const state = createState(pattern);
+
+            expect(Engine.playTurn(state, { row: 0, col: 0 }, { row: 2, col: 0 }).valid).toBe(false);
+        });
+
+        test('rejects a swap with a locked tile', () => {
+            const state = createState(pattern);
+            state.board[1][0].locked = true;
+
+            expect(Engine.isValidSwap(state.board, { row: 0, col: 0 }, { row: 1, col: 0 })).toBe(false);
+            expect(Engine.playTurn(state, { row: 0, col: 0 }, { row: 1, col: 0 }).valid).toBe(false);
+        });
+
+        test('plays a whole turn as a list of events', () => {
+            const state = createState(pattern);
+
+            const { valid, events } = Engine.playTurn(state, { row: 0, col: 0 }, { row: 1, col: 0 });
+            const types = events.map(e => e.type);
+
+            expect(valid).toBe(true);
+            expect(state.moves).toBe(9);
+            expect(types.slice(0, 4)).toEqual(['swap', 'clear', 'fall', 'spawn']);
+            expect(events[1].positions).toEqual(expect.arrayContaining([
+                { row: 0, col: 0, wave: 0 }, { row: 0, col: 1, wave: 0 }, { row: 0, col: 2, wave: 0 }
+            ]));
+            expect(events[1].cascade).toBe(1);
+        });
+
+        test('leaves a full board with no matches behind', () => {
+            const state = createState(pattern);
+
+            Engine.playTurn(state, { row: 0, col: 0 }, { row: 1, col: 0 });
+
+            expect(state.board.every(row => row.every(Boolean))).toBe(true);
+            expect(MatchDetector.findAllMatches(state.board).matches.length).toBe(0);
+        });
+
+        test('collects memory tiles', () => {
+            const state = createState(pattern);
+            state.board[0][2].isMemory = true;
+            state.board[0][2].memoryId = 0;
+
+            const { events } = Engine.playTurn(state, { row: 0, col: 0 }, { row: 1, col: 0 });
+
+            expect(events).toContainEqual({ type: 'memory-collected', memoryId: 0, row: 0, col: 2 });
+            expect(state.revealedCount).toBe(1);
+            expect(Engine.isComplete(state)).toBe(true);
+        });
+
+        test('creates a special candy from a 4-match where the swap landed', () => {
+            const state = createState([
+                ['star', 'heart', 'heart', 'heart', 'diamond'],
+                ['heart', 'diamond', 'rose', 'star', 'ring'],
+                ['ring', 'star', 'diamond', 'rose', 'star'],
+                ['diamond', 'rose', 'star', 'ring', 'heart'],
+                ['star', 'ring', 'heart', 'diamond', 'rose'],
+            ]);
+
+            const { events } = Engine.playTurn(state, { row: 0, col: 0 }, { row: 1, col: 0 });
+
+            // The heart moved up into (0,0), so the stripe runs vertically
+            expect(events).toContainEqual(expect.objectContaining({
+                type: 'special-created',
+                row: 0,
+                col: 0,
+                special: 'striped-v',
+                candyType: 'heart'
+            }));
+        });
+
+        test('color bomb clears every candy of the swapped color', () => {
+            const state = createState(pattern);
+            state.board[2][2].special = 'color-bomb';
+
+            const { valid, events } = Engine.playTurn(state, { row: 2, col: 2 }, { row: 1, col: 2 });
+            const clear = events.find(e => e.type === 'clear');
+
+            expect(valid).toBe(true);
+            // The bomb plus all four roses
+            expect(clear.positions.length).toBe(5);
+        });
+
+        test('fires special combinations', () => {
+            const state = createState(pattern);
+            state.board[2][2].special = 'striped-h';
+            state.board[2][3].special = 'striped-v';
+
+            const { valid, events } = Engine.playTurn(state, { row: 2, col: 2 }, { row: 2, col: 3 });
+            const clear = events.find(e => e.type === 'clear');
+
+            expect(valid).toBe(true);
+            expect(events[1].type).toBe('combination');
+            // Row 2 plus columns 2 and 3 of a 5x5 board
+            expect(clear.positions.length).toBe(5 + 4 + 4);
+            // The combination is the first clear, so any cascade scores from x2
+            expect(clear.cascade).toBe(1);
+            expect(events.filter(e => e.type === 'clear').map(e => e.cascade))
+                .toEqual(events.filter(e => e.type === 'clear').map((e, i) => i + 1));
+        });
+
+        test('color bomb + striped keeps memory tiles and locks on the candies it converts', () => {
+            const state = createState(pattern);
+            state.board[2][2].special = 'color-bomb';
+            state.board[1][2].special = 'striped-h';
+            Object.assign(state.board[3][1], { isMemory: true, memoryId: 0 });
+            state.board[4][4].locked = true;
+
+            const { valid, events } = Engine.playTurn(state, { row: 2, col: 2 }, { row: 1, col: 2 });
+            const clear = events.find(e => e.type === 'clear');
+
+            expect(valid).toBe(true);
+            expect(events).toContainEqual({ type: 'memory-collected', memoryId: 0, row: 3, col: 1 });
+            expect(state.revealedCount).toBe(1);
+            expect(clear.unlocked).toContainEqual(expect.objectContaining({ row: 4, col: 4 }));
+        });
+
+        test('same seed plays the same turn', () => {
+            Random.setSeed(7);
+            const first = createState(pattern);
+            const firstEvents = Engine.playTurn(first, { row: 0, col: 0 }, { row: 1, col: 0 }).events;
+
+            Random.setSeed(7);
+            const second = createState(pattern);
+            const secondEvents = Engine.playTurn(second, { row: 0, col: 0 }, { row: 1, col: 0 }).events;
+
+            expect(secondEvents).toEqual(firstEvents);
+            expect(second.board).toEqual(first.board);
+        });
+    });
+
+    describe('resolveChain', () => {
+        const pattern = [
+            ['heart', 'heart', 'heart', 'star'],
+            ['star', 'ring', 'rose', 'ring'],
+            ['ring', 'rose', 'star', 'diamond'],
+            ['rose', 'star', 'diamond', 'heart'],
+        ];
+
+        test('keeps setting off specials hit by other specials', () => {
+            const board = createPatternGrid(pattern);
+            board[0][0].special = 'striped-v';  // hit by the match
+            board[3][0].special = 'striped-h';  // hit by the column
+            board[3][3].special = 'wrapped';    // hit by the row
+
+            const { positions, activated } = Engine.planClear(board, [
+                { row: 0, col: 0 }, { row: 0, col: 1 }, { row: 0, col: 2 }
+            ]);
+
+            expect(activated.map(a => [a.type, a.wave])).toEqual([
+                ['striped-v', 0], ['striped-h', 1], ['wrapped', 2]
+            ]);
+            expect(positions).toContainEqual(expect.objectContaining({ row: 2, col: 2, wave: 3 }));
+        });
+
+        test('reports each cell once, in the first wave that reaches it', () => {
+            const board = createPatternGrid(pattern);
+            board[0][0].special = 'striped-v';
+            board[3][0].special = 'striped-h';
+
+            const { positions } = Engine.planClear(board, [
+                { row: 0, col: 0 }, { row: 0, col: 1 }, { row: 0, col: 2 }
+            ]);
+            const keys = positions.map(p => `${p.row},${p.col}`);
+
+            expect(new Set(keys).size).toBe(keys.length);
+            expect(positions.find(p => p.row === 0 && p.col === 0).wave).toBe(0);
+            expect(positions.find(p => p.row === 3 && p.col === 2).wave).toBe(2);
+        });
+
+        test('does not fire consumed specials', () => {
+            const board = createPatternGrid(pattern);
+            board[1][1].special = 'wrapped';
+
+            const { activated } = Engine.resolveChain(board, [{ row: 1, col: 1 }], new Set(['1,1']));
+
+            expect(activated).toEqual([]);
+        });
+
+        test('chains through specials caught in a combination', () => {
+            const board = createPatternGrid(pattern);
+            board[1][1].special = 'striped-h';
+            board[1][2].special = 'striped-v';
+            board[3][2].special = 'striped-h';  // in the column blast
+            board[3][0].special = 'wrapped';    // in that candy's row
+
+            const { activated } = Engine.planCombination(board, {
+                pos1: { row: 1, col: 1 },
+                pos2: { row: 1, col: 2 },
+                special1: 'striped-h',
+                special2: 'striped-v',
+                combinationType: 'striped-striped'
+            });
+
+            expect(activated.map(a => [a.type, a.wave])).toEqual([['striped-h', 0], ['wrapped', 1]]);
+        });
+    });
+
+    describe('shuffle', () => {
+        const types = ['heart', 'diamond', 'rose', 'star', 'ring'];
+
+        function deadBoard() {
+            // Diagonal stripes of five colors: no match and no move
+            return createPatternGrid(Array.from({ length: 6 }, (_, row) =>
+                Array.from({ length: 6 }, (_, col) => types[(row * 2 + col) % 5])));
+        }
+
+        test('leaves a board with a move and no match', () => {
+            for (let seed = 1; seed <= 20; seed++) {
+                Random.setSeed(seed);
+                const board = deadBoard();
+
+                Engine.shuffle(board);
+
+                expect(MatchDetector.findAllMatches(board).matches).toEqual([]);
+                expect(Engine.hasPossibleMoves(board)).toBe(true);
+            }
+        });
+
+        test('keeps memory tiles and specials in place', () => {
+            const board = deadBoard();
+            board[2][3].isMemory = true;
+            board[2][3].memoryId = 1;
+            board[4][0].special = 'wrapped';
+            const memory = board[2][3];
+            const special = board[4][0];
+
+            const { moves } = Engine.shuffle(board);
+
+            expect(board[2][3]).toBe(memory);
+            expect(board[4][0]).toBe(special);
+            moves.forEach(({ from, to }) => {
+                expect([from, to]).not.toContainEqual({ row: 2, col: 3 });
+                expect([from, to]).not.toContainEqual({ row: 4, col: 0 });
+            });
+        });
+
+        test('keeps locked tiles in place', () => {
+            const board = deadBoard();
+            board[1][1].locked = true;
+            const locked = board[1][1];
+
+            Engine.shuffle(board);
+
+            expect(board[1][1]).toBe(locked);
+        });
+
+        test('reports where every moved candy went and keeps the same candies', () => {
+            const board = deadBoard();
+            const before = Engine.cloneBoard(board);
+            const count = b => b.flat().map(t => t.type).sort();
+
+            const { moves } = Engine.shuffle(board);
+
+            expect(moves.length).toBeGreaterThan(0);
+            moves.forEach(({ from, to, tile }) => {
+                expect(board[to.row][to.col]).toBe(tile);
+                expect(before[from.row][from.col].type).toBe(tile.type);
+            });
+            expect(count(board)).toEqual(count(before));
+        });
+
+        test('copes with a small board in a few attempts', () => {
+            const board = createPatternGrid([
+                ['heart', 'star', 'ring'],
+                ['star', 'ring', 'heart'],
+                ['ring', 'heart', 'star'],
+            ]);
+
+            const { attempts } = Engine.shuffle(board);
+
+            expect(attempts).toBeLessThanOrEqual(Engine.shuffleAttempts);
+            expect(MatchDetector.findAllMatches(board).matches).toEqual([]);
+            expect(Engine.hasPossibleMoves(board)).toBe(true);
+        });
+    });
+
+    describe('evaluateMove', () => {
+        const pattern = [
+            ['star', 'heart', 'heart', 'ring', 'diamond'],
+            ['heart', 'diamond', 'rose', 'star', 'ring'],
+            ['ring', 'star', 'diamond', 'rose', 'star'],
+            ['diamond', 'rose', 'star', 'ring', 'heart'],
+            ['star', 'ring', 'heart', 'diamond', 'rose'],
+        ];
+
+        test('counts the tiles a swap clears without touching the board', () => {
+            const board = createPatternGrid(pattern);
+            const before = Engine.cloneBoard(board);
+
+            const result = Engine.evaluateMove(board, { row: 0, col: 0 }, { row: 1, col: 0 });
+
+            expect(result).toEqual({
+                move: [{ row: 0, col: 0 }, { row: 1, col: 0 }],
+                score: 3,
+                tiles: 3,
+                memories: 0,
+                created: [],
+                activated: 0,
+                combination: null
+            });
+            expect(board).toEqual(before);
+        });
+
+        test('values memory tiles, specials made and combinations', () => {
+            const board = createPatternGrid(pattern);
+            board[0][1].isMemory = true;
+            board[0][1].memoryId = 0;
+
+            expect(Engine.evaluateMove(board, { row: 0, col: 0 }, { row: 1, col: 0 }).memories).toBe(1);
+
+            const four = createPatternGrid([
+                ['star', 'heart', 'heart', 'heart'],
+                ['heart', 'diamond', 'rose', 'star'],
+                ['ring', 'star', 'diamond', 'rose'],
+                ['diamond', 'rose', 'star', 'ring'],
+            ]);
+            expect(Engine.evaluateMove(four, { row: 0, col: 0 }, { row: 1, col: 0 }).created).toEqual(['striped-v']);
+
+            const specials = createPatternGrid(pattern);
+            specials[2][2].special = 'striped-h';
+            specials[2][3].special = 'striped-v';
+            expect(Engine.evaluateMove(specials, { row: 2, col: 2 }, { row: 2, col: 3 }).combination)
+                .toBe('striped-striped');
+        });
+    });
+
+    describe('rankMoves', () => {
+        test('puts the move that collects a memory first', () => {
+            const board = createPatternGrid([
+                ['star', 'heart', 'heart', 'ring', 'diamond'],
+                ['heart', 'diamond', 'rose', 'star', 'ring'],
+                ['ring', 'star', 'diamond', 'rose', 'star'],
+                ['diamond', 'rose', 'star', 'ring', 'rose'],
+                ['star', 'ring', 'heart', 'rose', 'diamond'],
+            ]);
+            const moves = Engine.rankMoves(board);
+            const last = moves[moves.length - 1].move;
+
+            board[last[1].row][last[1].col].isMemory = true;
+            board[last[1].row][last[1].col].memoryId = 0;
+            const ranked = Engine.rankMoves(board);
+
+            expect(moves.length).toBeGreaterThan(1);
+            expect(ranked[0].memories).toBe(1);
+            expect(ranked.map(m => m.score)).toEqual([...ranked.map(m => m.score)].sort((a, b) => b - a));
+        });
+
+        test('returns nothing when no swap is legal', () => {
+            const board = createPatternGrid([
+                ['heart', 'star'],
+                ['ring', 'rose'],
+            ]);
+
+            expect(Engine.rankMoves(board)).toEqual([]);
+        });
+    });
+
+    describe('createState', () => {
+        test('starts a playable game', () => {
+            const state = Engine.createState({
+                size: 6,
+                moves: 20,
+                memoryPositions: [{ row: 1, col: 1, memoryId: 0 }]
+            });
+
+            expect(state.moves).toBe(20);
+            expect(state.totalMemories).toBe(1);
+            expect(Engine.hasPossibleMoves(state.board)).toBe(true);
+        });
+
+        test('shapes the board from a mask', () => {
+            const mask = [
+                [true, true, true, true, true, true],
+                [true, true, false, false, true, true],
+                [true, true, true, true, true, true],
+                [true, true, true, true, true, true],
+                [true, true, true, true, true, true]
+            ];
+            const state = Engine.createState({ size: 5, moves: 10, mask });
+
+            expect(state.board[1][2]).toBe(false);
+            expect(state.board[4].length).toBe(6);
+
+            const [best] = Engine.rankMoves(state.board);
+            const result = Engine.playTurn(state, ...best.move);
+            expect(result.valid).toBe(true);
+            expect(Engine.maskOf(state.board)).toEqual(mask);
+            expect(state.board.flat().every(cell => cell !== null)).toBe(true);
+        });
+    });
+});
@@ -15,16 +15,44 @@ function setupMockDOM() {
         <div id="victory-screen" class="screen"></div>
         <div id="bonus-modal" class="screen"></div>
         <div id="game-board"></div>
-        <span id="moves-count">50</span>
+        <div class="header-item">
+            <span id="moves-label">Moves</span>
+            <span id="moves-count">50</span>
+        </div>
+        <p id="nudge"></p>
         <button id="mute-button">
             <span class="music-on">🔊</span>
             <span class="music-off" style="display:none">🔇</span>
         </button>
         <button id="hint-button">Hint</button>
+        <button id="undo-button">Undo</button>
+        <button id="continue-button" hidden>Continue</button>
         <button id="start-button">Start</button>
         <button id="replay-button">Replay</button>
+        <h2 id="bonus-title">Need More Moves?</h2>
         <button id="bonus-yes">Yes</button>
         <button id="bonus-no">No</button>
+        <button id="replay-open">Watch a replay</button>
+        <input id="replay-file" type="file">
+        <p id="replay-status"></p>
+        <button id="replay-save">Save a replay</button>
+        <div id="replay-controls" hidden>
+            <button id="replay-pause">Pause</button>
+            <button id="replay-step">Step</button>
+            <button id="replay-speed">1x</button>
+            <button id="replay-stop">Take over</button>
+        </div>
+        <div id="level-modal" class="overlay">
+            <p class="level-number"></p>
+            <h2 class="level-name"></h2>
+            <p class="level-intro"></p>
+            <p class="level-goal"></p>
+            <button id="level-start">Go</button>
+        </div>
+        <h2 id="level-title">Our Love Story</h2>
+        <span id="level-objective"></span>
+        <span id="score-count">0</span>
+        <span id="final-score">0</span>
         <div class="start-content">
             <h1 class="title">Title</h1>
             <p class="subtitle">Subtitle</p>
@@ -56,6 +84,8 @@ global.MemorySystem = {
 };
 
 global.Grid = {
+    allTileTypes: ['heart', 'diamond', 'rose', 'star', 'ring'],
+    setTileSet: jest.fn(),
     init: jest.fn(),
     generate: jest.fn(),
     hasPossibleMoves: jest.fn().mockReturnValue(true),
@@ -63,13 +93,22 @@ global.Grid = {
     data: createMockGrid(8),
     getTileElement: jest.fn().mockReturnValue(document.createElement('div')),
     getTileData: jest.fn().mockReturnValue({ type: 'heart', special: null }),
-    swapTiles: jest.fn().mockResolvedValue(undefined),
-    removeMatches: jest.fn().mockResolvedValue([]),
-    applyGravity: jest.fn().mockResolvedValue(undefined),
-    spawnNewTiles: jest.fn().mockResolvedValue(undefined),
-    createSpecialCandy: jest.fn(),
+    tileTypes: ['heart', 'diamond', 'rose', 'star', 'ring'],
+    renderSwap: jest.fn().mockResolvedValue(undefined),
+    renderClear: jest.fn().mockResolvedValue(undefined),
+    renderFall: jest.fn().mockResolvedValue(undefined),
+    renderSpawn: jest.fn().mockResolvedValue(undefined),
+    renderShuffle: jest.fn().mockResolvedValue(undefined),
+    renderSpecial: jest.fn(),
     clearHints: jest.fn(),
     showHint: jest.fn(),
+    showCursor: jest.fn(),
+    firstCell: jest.fn().mockReturnValue({ row: 0, col: 0 }),
+    importBoard: jest.fn(),
+    layers: [],
+    setLayers: jest.fn(),
+    renderLayerHits: jest.fn(),
+    lockTiles: jest.fn().mockReturnValue([]),
 };
 
 global.Animations = {
@@ -77,6 +116,9 @@ global.Animations = {
     wait: jest.fn().mockResolvedValue(undefined),
     selectTile: jest.fn(),
     deselectTile: jest.fn(),
+    dragTile: jest.fn(),
+    scorePopup: jest.fn(),
+    releaseTile: jest.fn(),
     invalidSwap: jest.fn().mockResolvedValue(undefined),
     backgroundPulse: jest.fn(),
     screenShake: jest.fn(),
@@ -86,12 +128,15 @@ global.Animations = {
 };
 
 global.MatchDetector = {
+    addPatterns: jest.fn().mockReturnValue([]),
     areAdjacent: jest.fn().mockReturnValue(true),
     wouldMatch: jest.fn().mockReturnValue(true),
     isSpecialCombination: jest.fn().mockReturnValue(null),
     findAllMatches: jest.fn().mockReturnValue({ matches: [], specials: [] }),
+    findPossibleMatch: jest.fn().mockReturnValue([{ row: 0, col: 0 }, { row: 0, col: 1 }]),
     getSpecialClearPositions: jest.fn().mockReturnValue([]),
     getSpecialCombinationClearPositions: jest.fn().mockReturnValue([]),
+    getColorBombTransforms: jest.fn().mockReturnValue([]),
 };
 
 global.gameConfig = {
@@ -108,6 +153,24 @@ global.gameConfig = {
 
 global.memories = [];
 
+// Seeded RNG (real module)
+require('../js/random.js');
+
+// Board rules (real module, uses the mocks above)
+require('../js/engine.js');
+require('../js/difficulty.js');
+require('../js/tiles.js');
+require('../js/layouts.js');
+
+// Level progression, scoring and saves (real modules)
+require('../js/levels.js');
+require('../js/score.js');
+require('../js/countdown.js');
+require('../js/utils.js');
+require('../js/save.js');
+require('../js/replay.js');
+require('../js/autoplay.js');
+
 // Load Game module
 const gameCode = fs.readFileSync(path.join(__dirname, '../js/game.js'), 'utf8');
 
@@ -115,6 +178,7 @@ describe('Game', () => {
     beforeEach(() => {
         setupMockDOM();
         jest.clearAllMocks();
+        localStorage.clear();
 
         // Re-evaluate game code in fresh context
         eval(gameCode);
@@ -235,7 +299,7 @@ describe('Game', () => {
             jest.runAllTimers();
             await promise;
 
-            expect(Grid.init).toHaveBeenCalledWith(Game.elements.board, 8);
+            expect(Grid.init).toHaveBeenCalledWith(Game.elements.board, 8, Grid.allTileTypes, null);
             expect(Grid.generate).toHaveBeenCalled();
         });
 
@@ -260,6 +324,17 @@ describe('Game', () => {
             expect(Game.maxMoves).toBe(50);
         });
 
+        test('seeds the RNG from config', async () => {
+            gameConfig.seed = 1234;
+            jest.useFakeTimers();
+            const promise = Game.startGame();
+            jest.runAllTimers();
+            await promise;
+
+            expect(Random.seed).toBe(1234);
+            delete gameConfig.seed;
+        });
+
         test('starts ambient particles', async () => {
             jest.useFakeTimers();
             const promise = Game.startGame();
@@ -270,6 +345,655 @@ describe('Game', () => {
         });
     });
 
+    describe('chain reactions', () => {
+        test('plays each special in step with its wave', () => {
+            jest.useFakeTimers();
+            Grid.waveDelay = 150;
+
+            Game.playChainEffects([
+                { pos: { row: 0, col: 0 }, type: 'striped-h', wave: 0 },
+                { pos: { row: 0, col: 4 }, type: 'wrapped', wave: 2 }
+            ]);
+
+            jest.advanceTimersByTime(0);
+            expect(AudioManager.playSound).toHaveBeenCalledTimes(1);
+
+            jest.advanceTimersByTime(300);
+            expect(AudioManager.playSound).toHaveBeenCalledTimes(2);
+            expect(Animations.screenShake).toHaveBeenCalledTimes(2);
+
+            delete Grid.waveDelay;
+        });
+    });
+
+    describe('tile set', () => {
+        afterEach(() => {
+            delete gameConfig.tileSet;
+        });
+
+        test('hands the configured tiles to the grid', () => {
+            gameConfig.tileSet = { count: 4, tiles: [{ name: 'coffee', label: 'Coffee cup', emoji: '☕' }] };
+
+            Game.init();
+
+            const types = Grid.setTileSet.mock.calls[0][0];
+            expect(types.map(t => t.name)).toEqual(['coffee', 'heart', 'diamond', 'rose']);
+            expect(types[0].label).toBe('Coffee cup');
+        });
+    });
+
+    describe('difficulty', () => {
+        afterEach(() => {
+            delete gameConfig.difficulty;
+            Difficulty.init();
+            Engine.spawnWeights = {};
+            Engine.helperBias = 0.4;
+        });
+
+        test('applies spawn weights from the config', () => {
+            gameConfig.difficulty = { weights: { heart: 3, star: 0 } };
+
+            Game.init();
+
+            expect(Engine.spawnWeights).toEqual({ heart: 3, star: 0 });
+        });
+
+        test('registers extra match patterns from the config', () => {
+            gameConfig.matchPatterns = [{ name: 'big-t', shape: ['XX*XX', '..X..', '..X..'], special: 'color-bomb' }];
+
+            Game.init();
+
+            expect(MatchDetector.addPatterns).toHaveBeenCalledWith(gameConfig.matchPatterns);
+            delete gameConfig.matchPatterns;
+        });
+
+        test('raises the helper bias as moves run short in adaptive mode', () => {
+            gameConfig.difficulty = { helperBias: 0.4, adaptive: true };
+            Game.init();
+            Game.maxMoves = 50;
+            Game.moves = 50;
+            MemorySystem.totalMemories = 5;
+            Levels.init([], { gridSize: 8, moves: 50, memories: 5, tileTypes: Grid.allTileTypes });
+
+            Game.updateDifficulty();
+            expect(Engine.helperBias).toBeCloseTo(0.4);
+
+            Game.moves = 10;
+            Game.updateDifficulty();
+            expect(Engine.helperBias).toBeGreaterThan(0.6);
+
+            delete MemorySystem.totalMemories;
+        });
+    });
+
+    describe('levels', () => {
+        beforeEach(() => {
+            gameConfig.levels = [
+                { name: 'How We Met', gridSize: 6, moves: 20, tileTypes: 4, memories: 1 },
+                { name: 'Our Home', memories: 1, objective: { type: 'collect', color: 'heart', count: 3 } }
+            ];
+            Game.init();
+        });
+
+        afterEach(() => {
+            delete gameConfig.levels;
+        });
+
+        async function startAndBegin(promise) {
+            await Promise.resolve();
+            jest.runAllTimers();
+            // Let the intro card open, then start the level
+            for (let i = 0; i < 10 && !Game.screens.level.classList.contains('active'); i++) {
+                await Promise.resolve();
+                jest.runAllTimers();
+            }
+            Game.elements.levelStart.click();
+            jest.runAllTimers();
+            await promise;
+        }
+
+        test('builds the board from the level definition', async () => {
+            jest.useFakeTimers();
+            await startAndBegin(Game.startGame());
+
+            expect(Grid.init).toHaveBeenCalledWith(Game.elements.board, 6, ['heart', 'diamond', 'rose', 'star'], null);
+            expect(MemorySystem.generateMemoryPositions).toHaveBeenCalledWith(6, 1, null);
+            expect(Game.moves).toBe(20);
+            expect(Game.elements.levelTitle.textContent).toBe('How We Met');
+        });
+
+        test('shows an intro card with the objective', async () => {
+            jest.useFakeTimers();
+            const promise = Game.startGame();
+            await startAndBegin(promise);
+
+            expect(Game.screens.level.querySelector('.level-number').textContent).toBe('Chapter 1 of 2');
+            expect(Game.screens.level.querySelector('.level-goal').textContent).toBe('Find 1 memory');
+        });
+
+        test('moves on to the next level when the objective is met', async () => {
+            jest.useFakeTimers();
+            await startAndBegin(Game.startGame());
+            Levels.recordMemory();
+
+            await startAndBegin(Game.completeLevel());
+
+            expect(Levels.currentIndex).toBe(1);
+            expect(Game.moves).toBe(50);
+            expect(Game.elements.levelObjective.textContent).toBe('heart 0/3');
+        });
+
+        test('shows victory after the last level', async () => {
+            Levels.advance();
+            const victory = jest.spyOn(Game, 'showVictory').mockResolvedValue(undefined);
+
+            await Game.completeLevel();
+
+            expect(victory).toHaveBeenCalled();
+        });
+
+        test('counts cleared tiles toward the objective', () => {
+            Levels.advance();
+
+            Game.recordCleared([{ type: 'heart', special: null }, { type: 'heart', special: null }]);
+
+            expect(Levels.progress.collected.heart).toBe(2);
+            expect(Game.elements.levelObjective.textContent).toBe('heart 2/3');
+        });
+
+        test('counts cleared jelly and ice toward a blockers objective', () => {
+            Levels.levels[0].objective = { type: 'blockers' };
+            Levels.setBlockers(2);
+            const event = {
+                type: 'layer-hit',
+                hits: [
+                    { row: 0, col: 0, layer: 'jelly', hits: 0, cleared: true },
+                    { row: 0, col: 1, layer: 'ice', hits: 1, cleared: false }
+                ]
+            };
+
+            Game.playLayerHits(event);
+
+            expect(Grid.renderLayerHits).toHaveBeenCalledWith(event);
+            expect(Game.elements.levelObjective.textContent).toBe('Jelly & ice 1/2');
+        });
+
+        test('offsets a configured seed for later levels', () => {
+            gameConfig.seed = 100;
+
+            expect(Game.seedRandom(0)).toBe(100);
+            expect(Game.seedRandom(2)).toBe(102);
+            delete gameConfig.seed;
+        });
+    });
+
+    describe('save and resume', () => {
+        function playedSnapshot() {
+            Game.init();
+            Grid.size = 8;
+            Grid.rows = 2;
+            Grid.cols = 2;
+            Grid.tileTypes = ['heart', 'star'];
+            Grid.data = createPatternGrid([
+                ['heart', 'star'],
+                ['star', 'heart'],
+            ]);
+            Grid.data[0][1].special = 'striped-v';
+            Grid.data[1][0].isMemory = true;
+            Grid.data[1][0].memoryId = 3;
+            Game.moves = 12;
+            Game.maxMoves = 50;
+            Game.bonusMovesTaken = 10;
+            MemorySystem.revealedCount = 2;
+            Score.total = 900;
+            Random.setSeed(99);
+            Random.next();
+            Game.saveProgress();
+            return Game.createSnapshot();
+        }
+
+        beforeEach(() => {
+            Grid.loadBoard = jest.fn();
+            MemorySystem.restore = jest.fn();
+        });
+
+        afterEach(() => {
+            Grid.data = createMockGrid(8);
+            delete Grid.size;
+            delete Grid.rows;
+            delete Grid.cols;
+            Grid.tileTypes = Grid.allTileTypes;
+        });
+
+        test('hides the continue button without a save', () => {
+            Game.init();
+
+            expect(Game.elements.continueButton.hidden).toBe(true);
+        });
+
+        test('offers to continue a saved game', () => {
+            playedSnapshot();
+
+            Game.init();
+
+            expect(Game.elements.continueButton.hidden).toBe(false);
+            expect(Game.savedGame.moves).toBe(12);
+        });
+
+        test('offers to continue a square layout smaller than gridSize', () => {
+            gameConfig.layout = { rows: 6, cols: 6 };
+            Game.init();
+            Game.isPlaying = true;
+            Grid.size = 8;
+            Grid.rows = 6;
+            Grid.cols = 6;
+            Grid.data = createMockGrid(6);
+            MemorySystem.revealedCount = 0;
+            Game.saveProgress();
+
+            Game.init();
+
+            expect(Game.elements.continueButton.hidden).toBe(false);
+            delete gameConfig.layout;
+            delete MemorySystem.revealedCount;
+        });
+
+        test('ignores a save made with a different config', () => {
+            playedSnapshot();
+            gameConfig.startingMoves = 40;
+
+            Game.init();
+
+            expect(Game.elements.continueButton.hidden).toBe(true);
+            expect(localStorage.getItem(SaveGame.storageKey)).toBeNull();
+            gameConfig.startingMoves = 50;
+        });
+
+        test('restores the board, moves, memories, score and RNG', () => {
+            const snapshot = playedSnapshot();
+            const nextRandom = Random.next();
+            Random.setSeed(1);
+            Score.reset();
+
+            Game.restoreSnapshot(SaveGame.load(Game.configFingerprint()));
+
+            expect(Grid.init).toHaveBeenCalledWith(Game.elements.board, 2, ['heart', 'star'], [[true, true], [true, true]]);
+            expect(Grid.loadBoard).toHaveBeenCalledWith(snapshot.board);
+            expect(Grid.loadBoard.mock.calls[0][0][0][1].special).toBe('striped-v');
+            expect(MemorySystem.restore).toHaveBeenCalledWith(2);
+            expect(Game.moves).toBe(12);
+            expect(Game.bonusMovesTaken).toBe(10);
+            expect(Score.total).toBe(900);
+            expect(Random.next()).toBe(nextRandom);
+            expect(Game.isPlaying).toBe(true);
+        });
+
+        test('saves after every settled turn', async () => {
+            MemorySystem.totalMemories = 3;
+            Game.init();
+            Game.isPlaying = true;
+            const save = jest.spyOn(SaveGame, 'save');
+
+            await Game.attemptSwap({ row: 0, col: 0 }, { row: 0, col: 1 });
+
+            expect(save).toHaveBeenCalled();
+            save.mockRestore();
+            delete MemorySystem.totalMemories;
+        });
+
+        test('a demo leaves the saved game alone', async () => {
+            playedSnapshot();
+            const saved = localStorage.getItem(SaveGame.storageKey);
+            Autoplay.isRunning = true;
+
+            Game.moves = 3;
+            Game.saveProgress();
+            await Game.showVictory();
+
+            expect(localStorage.getItem(SaveGame.storageKey)).toBe(saved);
+            Autoplay.isRunning = false;
+        });
+
+        test('a demo the player takes over leaves the saved game alone', async () => {
+            playedSnapshot();
+            const saved = localStorage.getItem(SaveGame.storageKey);
+            Autoplay.isRunning = true;
+            await Game.startGame();
+            Autoplay.isRunning = false;
+
+            Game.saveProgress();
+            await Game.attemptSwap({ row: 0, col: 0 }, { row: 0, col: 1 });
+            await Game.showVictory();
+            expect(localStorage.getItem(SaveGame.storageKey)).toBe(saved);
+
+            // Until the player starts a game of their own
+            await Game.startGame();
+            expect(SaveGame.load(Game.configFingerprint()).moves).toBe(Game.maxMoves);
+        });
+
+        test('clears the save on victory and on a new game', async () => {
+            playedSnapshot();
+
+            await Game.showVictory();
+
+            expect(localStorage.getItem(SaveGame.storageKey)).toBeNull();
+        });
+    });
+
+    describe('undo', () => {
+        beforeEach(() => {
+            Grid.loadBoard = jest.fn();
+            MemorySystem.restore = jest.fn();
+            MemorySystem.totalMemories = 3;
+            Game.init();
+            Game.isPlaying = true;
+            Grid.rows = 2;
+            Grid.cols = 2;
+            Grid.tileTypes = ['heart', 'star'];
+            Grid.data = createPatternGrid([
+                ['heart', 'star'],
+                ['star', 'heart'],
+            ]);
+            Grid.data[0][1].special = 'striped-v';
+            Game.moves = 12;
+            Score.total = 500;
+            Random.setSeed(7);
+        });
+
+        afterEach(() => {
+            Grid.data = createMockGrid(8);
+            delete Grid.size;
+            delete Grid.rows;
+            delete Grid.cols;
+            Grid.tileTypes = Grid.allTileTypes;
+            delete MemorySystem.totalMemories;
+            delete gameConfig.undos;
+        });
+
+        test('has nothing to undo before a swap', () => {
+            expect(Game.canUndo()).toBe(false);
+            expect(Game.elements.undoButton.disabled).toBe(true);
+        });
+
+        test('puts back the board, moves, score and RNG from before the swap', async () => {
+            const board = Engine.cloneBoard(Grid.data);
+            const nextRandom = Random.next();
+            Random.setSeed(7);
+
+            await Game.attemptSwap({ row: 0, col: 0 }, { row: 0, col: 1 });
+            Score.total = 800;
+            Random.next();
+            expect(Game.moves).toBe(11);
+            expect(Game.elements.undoButton.disabled).toBe(false);
+
+            Game.undo();
+
+            expect(Grid.loadBoard).toHaveBeenCalledWith(board);
+            expect(Game.moves).toBe(12);
+            expect(Score.total).toBe(500);
+            expect(Random.next()).toBe(nextRandom);
+            expect(Game.undosLeft).toBe(2);
+            expect(Game.elements.undoButton.textContent).toBe('Undo (2)');
+        });
+
+        test('only takes back the last swap', async () => {
+            await Game.attemptSwap({ row: 0, col: 0 }, { row: 0, col: 1 });
+            Game.undo();
+            Game.undo();
+
+            expect(Game.undosLeft).toBe(2);
+            expect(Game.canUndo()).toBe(false);
+        });
+
+        test('keeps memories found on the undone move', async () => {
+            Grid.data[1][0].isMemory = true;
+            Grid.data[1][0].memoryId = 0;
+            Grid.data[1][1].isMemory = true;
+            Grid.data[1][1].memoryId = 1;
+            MatchDetector.findAllMatches
+                .mockReturnValueOnce({ matches: [{ row: 1, col: 0 }, { row: 0, col: 0 }, { row: 0, col: 1 }], specials: [] });
+            MemorySystem.revealMemory.mockImplementationOnce(async () => {
+                MemorySystem.revealedCount = 1;
+                return true;
+            });
+
+            await Game.attemptSwap({ row: 0, col: 0 }, { row: 0, col: 1 });
+            Game.undo();
+
+            const restored = Grid.loadBoard.mock.calls[0][0];
+            expect(restored[1][0]).toMatchObject({ type: 'star', isMemory: false, memoryId: null });
+            expect(restored[1][1]).toMatchObject({ isMemory: true, memoryId: 1 });
+            expect(MemorySystem.restore).toHaveBeenCalledWith(1);
+            expect(Levels.progress.memories).toBe(1);
+            delete MemorySystem.revealedCount;
+        });
+
+        test('stops once the per-game limit is used up', async () => {
+            gameConfig.undos = 1;
+            Game.init();
+            Game.isPlaying = true;
+
+            await Game.attemptSwap({ row: 0, col: 0 }, { row: 0, col: 1 });
+            Game.undo();
+            await Game.attemptSwap({ row: 0, col: 0 }, { row: 0, col: 1 });
+
+            expect(Game.undosLeft).toBe(0);
+            expect(Game.canUndo()).toBe(false);
+            expect(Game.elements.undoButton.textContent).toBe('Undo (0)');
+        });
+
+        test('a limit of 0 hides the button', () => {
+            gameConfig.undos = 0;
+            Game.init();
+
+            expect(Game.elements.undoButton.hidden).toBe(true);
+        });
+    });
+
+    describe('replays', () => {
+        beforeEach(() => {
+            MemorySystem.totalMemories = 3;
+            Game.init();
+            Game.isPlaying = true;
+            Game.moves = 20;
+            Replay.begin(Game.configFingerprint());
+        });
+
+        afterEach(() => {
+            Replay.finish();
+            Replay.recording = null;
+            delete MemorySystem.totalMemories;
+        });
+
+        test('records each swap the game accepts, undos and bonus answers', async () => {
+            await Game.attemptSwap({ row: 0, col: 0 }, { row: 0, col: 1 });
+            MatchDetector.wouldMatch.mockReturnValueOnce(false);
+            await Game.attemptSwap({ row: 2, col: 2 }, { row: 3, col: 2 });
+            Game.undo();
+            Game.addBonusMoves();
+
+            expect(Replay.recording.events.map(event => event.slice(1))).toEqual([
+                [0, 0, 0, 1],
+                ['undo'],
+                ['bonus']
+            ]);
+        });
+
+        test('plays back an undo, so the swaps after it land on the same board', async () => {
+            const loadBoard = Grid.loadBoard;
+            Grid.loadBoard = jest.fn(board => { Grid.data = Engine.cloneBoard(board); });
+            Grid.data = createPatternGrid([
+                ['heart', 'star', 'rose'],
+                ['ring', 'diamond', 'heart'],
+                ['star', 'rose', 'ring'],
+            ]);
+            const start = Engine.cloneBoard(Grid.data);
+
+            await Game.attemptSwap({ row: 0, col: 0 }, { row: 0, col: 1 });
+            Game.undo();
+            await Game.attemptSwap({ row: 1, col: 1 }, { row: 1, col: 2 });
+            const played = Engine.cloneBoard(Grid.data);
+            const recording = Replay.recording;
+
+            // Watch it from the same starting board
+            Replay.recording = null;
+            Game.init();
+            Game.isPlaying = true;
+            Game.moves = 20;
+            Game.screens.start.classList.remove('active');
+            Grid.data = Engine.cloneBoard(start);
+            Replay.watch(recording);
+            Autoplay.driver = Replay;
+            const attemptSwap = Game.attemptSwap.bind(Game);
+            let turn = Promise.resolve();
+            jest.spyOn(Game, 'attemptSwap').mockImplementation((pos1, pos2) => (turn = attemptSwap(pos1, pos2)));
+
+            const steps = [];
+            for (let now = 10000; now <= 30000; now += 10000) {
+                steps.push(Autoplay.step(now));
+                await turn;
+            }
+
+            expect(steps).toEqual(['swap', 'undo', 'swap']);
+            expect(Grid.data).toEqual(played);
+            Game.attemptSwap.mockRestore();
+            Autoplay.driver = null;
+            Grid.loadBoard = loadBoard;
+            Grid.data = createMockGrid(8);
+        });
+
+        test('saves the recording with the game', () => {
+            Grid.rows = 8;
+            Grid.cols = 8;
+            MemorySystem.revealedCount = 0;
+            Game.seedRandom(0);
+            Game.saveProgress();
+
+            expect(SaveGame.load(Game.configFingerprint()).replay).toEqual(Replay.recording);
+            delete Grid.rows;
+            delete Grid.cols;
+            delete MemorySystem.revealedCount;
+        });
+
+        test('deals levels from the recorded seeds while watching', () => {
+            Replay.watch({ version: 1, fingerprint: '', seeds: [5, 6], events: [] });
+
+            expect(Game.seedRandom(1)).toBe(6);
+            expect(Replay.recording.seeds[1]).toBe(6);
+        });
+
+        test('plays back a replay file made with the same config', async () => {
+            const text = JSON.stringify({ ...Replay.recording, seeds: [1], events: [[100, 0, 0, 0, 1]] });
+
+            await Game.importReplay({ text: async () => text });
+
+            expect(Replay.watching).not.toBeNull();
+            expect(Autoplay.isRunning).toBe(true);
+            expect(Game.elements.replayControls.hidden).toBe(false);
+            expect(Game.elements.replayPause.textContent).toBe('Pause');
+        });
+
+        test('turns away a replay made with other settings', async () => {
+            const text = JSON.stringify({ ...Replay.recording, fingerprint: 'other' });
+
+            await Game.importReplay({ text: async () => text });
+
+            expect(Replay.watching).toBeNull();
+            expect(Game.elements.replayStatus.textContent).toBe('This replay was recorded with different settings');
+        });
+
+        test('ignores taps on the board while a replay plays', async () => {
+            Replay.watch({ version: 1, fingerprint: '', seeds: [], events: [] });
+            const tile = document.createElement('div');
+            tile.classList.add('tile');
+            tile.dataset.row = '0';
+            tile.dataset.col = '0';
+            Game.elements.board.appendChild(tile);
+
+            await Game.handleTileClick({ target: tile });
+
+            expect(Game.selectedTile).toBeNull();
+        });
+
+        test('keeps the undo button and U to the replay while one plays', async () => {
+            await Game.attemptSwap({ row: 0, col: 0 }, { row: 0, col: 1 });
+            Replay.watch({ version: 1, fingerprint: '', seeds: [], events: [] });
+            Game.updateUndoButton();
+
+            Game.elements.undoButton.click();
+            document.dispatchEvent(new KeyboardEvent('keydown', { key: 'u', bubbles: true }));
+
+            expect(Game.elements.undoButton.disabled).toBe(true);
+            expect(Game.undosLeft).toBe(3);
+            expect(Game.canUndo(true)).toBe(true);
+        });
+
+        test('downloads the game as a replay file', () => {
+            URL.createObjectURL = jest.fn().mockReturnValue('blob:replay');
+            URL.revokeObjectURL = jest.fn();
+            const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+            Game.exportReplay();
+
+            expect(URL.createObjectURL).toHaveBeenCalledWith(expect.any(Blob));
+            expect(click).toHaveBeenCalled();
+            click.mockRestore();
+            delete URL.createObjectURL;
+            delete URL.revokeObjectURL;
+        });
+    });
+
+    describe('loadBoard', () => {
+        beforeEach(() => {
+            Game.init();
+            Game.isPlaying = true;
+            Replay.begin(Game.configFingerprint());
+        });
+
+        afterEach(() => {
+            Replay.recording = null;
+        });
+
+        test('puts a board from text into play and stops recording', () => {
+            Game.undoSnapshot = Game.createSnapshot();
+            Game.selectedTile = { row: 1, col: 1 };
+
+            expect(Game.loadBoard('h d\ns r')).toBe(true);
+            expect(Grid.importBoard).toHaveBeenCalledWith('h d\ns r');
+            expect(Replay.recording).toBeNull();
+            expect(Game.undoSnapshot).toBeNull();
+            expect(Game.selectedTile).toBeNull();
+            expect(Game.canUndo()).toBe(false);
+        });
+
+        test('starts the level over with the imported board\'s memories and blockers', () => {
+            Levels.levels[0].memories = 3;
+            Levels.progress = { memories: 2, score: 900, collected: { heart: 4 }, blockers: 5, blockerTotal: 8 };
+            Grid.layers = [];
+            Grid.data = createPatternGrid([
+                ['heart', 'diamond'],
+                ['star', 'rose'],
+            ]);
+            Grid.data[1][0].isMemory = true;
+
+            Game.loadBoard('h d\ns* r');
+
+            // Two of the three memories are already counted, leaving the one on the board
+            expect(Levels.progress).toEqual({ memories: 2, score: 0, collected: {}, blockers: 0, blockerTotal: 0 });
+            expect(Levels.describeProgress()).toBe('Memories 2/3');
+            expect(Levels.isComplete()).toBe(false);
+            Grid.data = createMockGrid(8);
+        });
+
+        test('waits while the board is busy', () => {
+            Game.isProcessing = true;
+
+            expect(Game.loadBoard('h d\ns r')).toBe(false);
+            expect(Grid.importBoard).not.toHaveBeenCalled();
+            Game.isProcessing = false;
+        });
+    });
+
     describe('handleTileClick', () => {
         beforeEach(() => {
             Game.init();
@@ -334,6 +1058,206 @@ describe('Game', () => {
             expect(Game.selectedTile).toBeNull();
             expect(Animations.deselectTile).toHaveBeenCalled();
         });
+
+        test('ignores holes in a shaped board', async () => {
+            const tile = Game.elements.board.querySelector('.tile');
+            tile.classList.add('hole');
+
+            await Game.handleTileClick({ target: tile });
+
+            expect(Game.selectedTile).toBeNull();
+            expect(Animations.selectTile).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('keyboard input', () => {
+        function key(name) {
+            return new KeyboardEvent('keydown', { key: name, bubbles: true, cancelable: true });
+        }
+
+        beforeEach(() => {
+            Game.init();
+            Game.isPlaying = true;
+            Game.isPaused = false;
+            Game.isProcessing = false;
+            Game.selectedTile = null;
+            Game.cursor = { row: 2, col: 3 };
+            Game.screens.game.classList.add('active');
+            Grid.getTileData.mockImplementation((row, col) =>
+                (row >= 0 && row < 8 && col >= 0 && col < 8 ? { type: 'heart', special: null } : null));
+            jest.spyOn(Game, 'attemptSwap').mockResolvedValue(undefined);
+        });
+
+        afterEach(() => {
+            Game.attemptSwap.mockRestore();
+            Grid.getTileData.mockReset();
+            Grid.getTileData.mockReturnValue({ type: 'heart', special: null });
+        });
+
+        test('arrow keys move the cursor', () => {
+            Game.elements.board.dispatchEvent(key('ArrowRight'));
+            Game.elements.board.dispatchEvent(key('ArrowDown'));
+
+            expect(Game.cursor).toEqual({ row: 3, col: 4 });
+            expect(Grid.showCursor).toHaveBeenLastCalledWith(3, 4);
+        });
+
+        test('the cursor stops at the board edge', () => {
+            Game.cursor = { row: 0, col: 0 };
+
+            Game.elements.board.dispatchEvent(key('ArrowUp'));
+
+            expect(Game.cursor).toEqual({ row: 0, col: 0 });
+        });
+
+        test('Enter selects the tile under the cursor', () => {
+            Game.elements.board.dispatchEvent(key('Enter'));
+
+            expect(Game.selectedTile).toEqual({ row: 2, col: 3 });
+            expect(Animations.selectTile).toHaveBeenCalled();
+        });
+
+        test('an arrow after selecting swaps in that direction', () => {
+            Game.selectedTile = { row: 2, col: 3 };
+
+            Game.elements.board.dispatchEvent(key('ArrowLeft'));
+
+            expect(Game.attemptSwap).toHaveBeenCalledWith({ row: 2, col: 3 }, { row: 2, col: 2 });
+            expect(Game.selectedTile).toBeNull();
+            expect(Game.cursor).toEqual({ row: 2, col: 2 });
+        });
+
+        test('Escape drops the selection', () => {
+            Game.selectedTile = { row: 2, col: 3 };
+
+            Game.elements.board.dispatchEvent(key('Escape'));
+
+            expect(Game.selectedTile).toBeNull();
+            expect(Game.attemptSwap).not.toHaveBeenCalled();
+        });
+
+        test('H shows a hint and M toggles music', () => {
+            document.dispatchEvent(key('h'));
+            document.dispatchEvent(key('M'));
+
+            expect(Grid.showHint).toHaveBeenCalled();
+            expect(AudioManager.toggleMute).toHaveBeenCalled();
+        });
+
+        test('shortcuts are ignored outside the game screen', () => {
+            Game.screens.game.classList.remove('active');
+
+            Game.handleShortcut(key('h'));
+
+            expect(Grid.showHint).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('drag input', () => {
+        let tile;
+
+        function pointer(type, x, y, extra = {}) {
+            const event = new Event(type, { bubbles: true });
+            Object.assign(event, { clientX: x, clientY: y, pointerId: 1, pointerType: 'touch', button: 0, ...extra });
+            return event;
+        }
+
+        beforeEach(() => {
+            Game.init();
+            Game.isPlaying = true;
+            Game.isPaused = false;
+            Game.isProcessing = false;
+            Game.selectedTile = null;
+            Game.drag = null;
+            Game.suppressClick = false;
+            Grid.getTileData.mockImplementation((row, col) =>
+                (row >= 0 && row < 8 && col >= 0 && col < 8 ? { type: 'heart', special: null } : null));
+            jest.spyOn(Game, 'attemptSwap').mockResolvedValue(undefined);
+
+            tile = document.createElement('div');
+            tile.classList.add('tile');
+            tile.dataset.row = '2';
+            tile.dataset.col = '3';
+            tile.getBoundingClientRect = () => ({ width: 60, height: 60 });
+            Game.elements.board.appendChild(tile);
+        });
+
+        afterEach(() => {
+            Game.attemptSwap.mockRestore();
+            Grid.getTileData.mockReset();
+            Grid.getTileData.mockReturnValue({ type: 'heart', special: null });
+        });
+
+        test('swaps with the neighbour once the drag passes the threshold', () => {
+            tile.dispatchEvent(pointer('pointerdown', 100, 100));
+            tile.dispatchEvent(pointer('pointermove', 130, 104));
+
+            expect(Game.attemptSwap).toHaveBeenCalledWith({ row: 2, col: 3 }, { row: 2, col: 4 });
+            expect(Animations.releaseTile).toHaveBeenCalledWith(tile, false);
+            expect(Game.drag).toBeNull();
+        });
+
+        test('follows the dominant axis', () => {
+            tile.dispatchEvent(pointer('pointerdown', 100, 100));
+            tile.dispatchEvent(pointer('pointermove', 90, 70));
+
+            expect(Game.attemptSwap).toHaveBeenCalledWith({ row: 2, col: 3 }, { row: 1, col: 3 });
+        });
+
+        test('moves the tile with the pointer before the threshold', () => {
+            tile.dispatchEvent(pointer('pointerdown', 100, 100));
+            tile.dispatchEvent(pointer('pointermove', 112, 100));
+
+            expect(Animations.dragTile).toHaveBeenCalledWith(tile, 12, 0);
+            expect(Game.attemptSwap).not.toHaveBeenCalled();
+        });
+
+        test('snaps back and swallows the click when released early', () => {
+            tile.dispatchEvent(pointer('pointerdown', 100, 100));
+            tile.dispatchEvent(pointer('pointermove', 112, 100));
+            tile.dispatchEvent(pointer('pointerup', 112, 100));
+            tile.dispatchEvent(new Event('click', { bubbles: true }));
+
+            expect(Animations.releaseTile).toHaveBeenCalledWith(tile, true);
+            expect(Game.attemptSwap).not.toHaveBeenCalled();
+            expect(Animations.selectTile).not.toHaveBeenCalled();
+        });
+
+        test('never starts a drag from a hole', () => {
+            tile.classList.add('hole');
+            tile.dispatchEvent(pointer('pointerdown', 100, 100));
+            tile.dispatchEvent(pointer('pointermove', 130, 104));
+
+            expect(Game.drag).toBeNull();
+            expect(Animations.dragTile).not.toHaveBeenCalled();
+            expect(Game.attemptSwap).not.toHaveBeenCalled();
+        });
+
+        test('does not drag off the edge of the board', () => {
+            tile.dataset.col = '7';
+            tile.dispatchEvent(pointer('pointerdown', 100, 100));
+            tile.dispatchEvent(pointer('pointermove', 150, 100));
+
+            expect(Game.attemptSwap).not.toHaveBeenCalled();
+            expect(Animations.dragTile).toHaveBeenCalledWith(tile, 0, 0);
+        });
+
+        test('a tap still selects the tile', () => {
+            tile.dispatchEvent(pointer('pointerdown', 100, 100));
+            tile.dispatchEvent(pointer('pointerup', 101, 100));
+            tile.dispatchEvent(new Event('click', { bubbles: true }));
+
+            expect(Game.selectedTile).toEqual({ row: 2, col: 3 });
+        });
+
+        test('ignores drags while a move is processing', () => {
+            Game.isProcessing = true;
+            tile.dispatchEvent(pointer('pointerdown', 100, 100));
+            tile.dispatchEvent(pointer('pointermove', 150, 100));
+
+            expect(Game.drag).toBeNull();
+            expect(Game.attemptSwap).not.toHaveBeenCalled();
+        });
     });
 
     describe('updateMovesDisplay', () => {
@@ -415,6 +1339,147 @@ describe('Game', () => {
 
             expect(Game.elements.movesCount.textContent).toBe('10');
         });
+
+        test('shuffles a board left without moves before play goes on', async () => {
+            Grid.hasPossibleMoves.mockReturnValueOnce(false);
+
+            await Game.addBonusMoves();
+
+            expect(Grid.shuffle).toHaveBeenCalled();
+            expect(Game.isPaused).toBe(false);
+        });
+
+        test('leaves a playable board alone', async () => {
+            await Game.addBonusMoves();
+
+            expect(Grid.shuffle).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('timed mode', () => {
+        beforeEach(() => {
+            gameConfig.mode = 'timed';
+            gameConfig.timer = { seconds: 90, extraSeconds: 20 };
+            Game.init();
+        });
+
+        afterEach(() => {
+            Countdown.stop();
+            delete gameConfig.mode;
+            delete gameConfig.timer;
+        });
+
+        test('labels the counter and the bonus prompt for time', () => {
+            expect(document.getElementById('moves-label').textContent).toBe('Time');
+            expect(document.getElementById('bonus-title').textContent).toBe('Need More Time?');
+            expect(Game.elements.bonusYes.textContent).toBe('+20 Seconds ❤');
+        });
+
+        test('shows the clock and spends no moves', () => {
+            Game.moves = 30;
+            Countdown.remaining = 75000;
+
+            Game.useMove();
+
+            expect(Game.moves).toBe(30);
+            expect(Game.elements.movesCount.textContent).toBe('1:15');
+        });
+
+        test('offers more time when the clock runs out', () => {
+            Game.isPlaying = true;
+            Countdown.remaining = 0;
+
+            Game.handleTimeUp();
+
+            expect(Game.isOutOfMoves()).toBe(true);
+            expect(Game.screens.bonus.classList.contains('active')).toBe(true);
+        });
+
+        test('waits for the turn to settle before offering more time', () => {
+            Game.isPlaying = true;
+            Game.isProcessing = true;
+
+            Game.handleTimeUp();
+
+            expect(Game.isPaused).toBe(false);
+        });
+
+        test('the bonus adds seconds instead of moves', async () => {
+            Game.moves = 0;
+            Countdown.remaining = 0;
+
+            await Game.addBonusMoves();
+
+            expect(Countdown.seconds()).toBe(20);
+            expect(Game.moves).toBe(0);
+            expect(Game.isOutOfMoves()).toBe(false);
+        });
+
+        test('shuffles a stuck board once the extra seconds are added', async () => {
+            Game.isPlaying = true;
+            Countdown.remaining = 0;
+            Game.handleTimeUp();
+            Grid.hasPossibleMoves.mockReturnValueOnce(false);
+
+            await Game.addBonusMoves();
+
+            expect(Grid.shuffle).toHaveBeenCalled();
+            expect(Countdown.seconds()).toBe(20);
+        });
+    });
+
+    describe('zen mode', () => {
+        beforeEach(() => {
+            gameConfig.mode = 'zen';
+            gameConfig.zen = { nudgeAfter: 3 };
+            Game.init();
+            Game.isPlaying = true;
+        });
+
+        afterEach(() => {
+            delete gameConfig.mode;
+            delete gameConfig.zen;
+        });
+
+        test('hides the moves counter', () => {
+            expect(Game.elements.movesCount.closest('.header-item').hidden).toBe(true);
+        });
+
+        test('never runs out of moves', async () => {
+            Game.moves = 0;
+
+            await Game.attemptSwap({ row: 0, col: 0 }, { row: 0, col: 1 });
+
+            expect(Game.moves).toBe(0);
+            expect(Game.isOutOfMoves()).toBe(false);
+            expect(Game.screens.bonus.classList.contains('active')).toBe(false);
+        });
+
+        test('nudges after a stretch of moves without a memory', async () => {
+            Levels.levels[0].memories = 2;
+
+            for (let i = 0; i < 2; i++) {
+                await Game.attemptSwap({ row: 0, col: 0 }, { row: 0, col: 1 });
+            }
+            expect(Game.elements.nudge.classList.contains('visible')).toBe(false);
+
+            await Game.attemptSwap({ row: 0, col: 0 }, { row: 0, col: 1 });
+            expect(Game.elements.nudge.classList.contains('visible')).toBe(true);
+            expect(Game.elements.nudge.textContent).toBe(Game.nudges[0]);
+        });
+
+        test('finding a memory starts the count again', async () => {
+            Levels.levels[0].memories = 2;
+            Game.movesSinceMemory = 2;
+            Grid.data[0][2] = { type: 'heart', special: null, isMemory: true, memoryId: 0 };
+            MatchDetector.findAllMatches
+                .mockReturnValueOnce({ matches: [{ row: 0, col: 0 }, { row: 0, col: 1 }, { row: 0, col: 2 }], specials: [] });
+
+            await Game.attemptSwap({ row: 0, col: 0 }, { row: 0, col: 1 });
+
+            expect(Game.movesSinceMemory).toBe(0);
+            expect(Game.elements.nudge.classList.contains('visible')).toBe(false);
+        });
     });
 
     describe('showVictory', () => {
@@ -447,6 +1512,14 @@ describe('Game', () => {
             expect(MemorySystem.populateGallery).toHaveBeenCalled();
         });
 
+        test('shows the final score', async () => {
+            Score.total = 4321;
+
+            await Game.showVictory();
+
+            expect(Game.elements.finalScore.textContent).toBe((4321).toLocaleString());
+        });
+
         test('celebrates victory', async () => {
             await Game.showVictory();
 
@@ -523,77 +1596,109 @@ describe('Game', () => {
         });
     });
 
-    describe('processMatches', () => {
+    describe('attemptSwap', () => {
         beforeEach(() => {
             Game.init();
             Game.isPlaying = true;
+            Score.reset();
+            Grid.data = createMockGrid(8);
             MatchDetector.findAllMatches.mockReturnValue({ matches: [], specials: [] });
         });
 
-        test('processes until no more matches', async () => {
-            // First call returns matches, second returns none
-            MatchDetector.findAllMatches
-                .mockReturnValueOnce({
-                    matches: [{ row: 0, col: 0 }, { row: 0, col: 1 }, { row: 0, col: 2 }],
-                    specials: []
-                })
-                .mockReturnValueOnce({ matches: [], specials: [] });
+        test('refuses a swap the engine does not allow', async () => {
+            Game.moves = 10;
+            MatchDetector.wouldMatch.mockReturnValueOnce(false);
 
-            await Game.processMatches();
+            await Game.attemptSwap({ row: 0, col: 0 }, { row: 0, col: 1 });
 
-            expect(MatchDetector.findAllMatches).toHaveBeenCalledTimes(2);
+            expect(Animations.invalidSwap).toHaveBeenCalled();
+            expect(Grid.renderSwap).not.toHaveBeenCalled();
+            expect(Game.moves).toBe(10);
+            expect(Game.isProcessing).toBe(false);
         });
 
-        test('plays match sound for matches', async () => {
+        test('shows the engine playing the turn', async () => {
             MatchDetector.findAllMatches
                 .mockReturnValueOnce({
-                    matches: [{ row: 0, col: 0 }],
+                    matches: [{ row: 0, col: 0 }, { row: 0, col: 1 }, { row: 0, col: 2 }],
                     specials: []
-                })
-                .mockReturnValueOnce({ matches: [], specials: [] });
+                });
 
-            await Game.processMatches();
+            await Game.attemptSwap({ row: 0, col: 0 }, { row: 0, col: 1 });
 
+            expect(Grid.renderSwap).toHaveBeenCalledWith(expect.objectContaining({ type: 'swap' }));
+            expect(Grid.renderClear).toHaveBeenCalledWith(expect.objectContaining({ type: 'clear', cascade: 1 }));
+            expect(Grid.renderFall).toHaveBeenCalled();
+            expect(Grid.renderSpawn).toHaveBeenCalled();
             expect(AudioManager.playSound).toHaveBeenCalledWith('match');
         });
 
-        test('removes matched tiles', async () => {
+        test('passes the swap only to the first clear', async () => {
             MatchDetector.findAllMatches
                 .mockReturnValueOnce({
-                    matches: [{ row: 0, col: 0 }, { row: 0, col: 1 }],
+                    matches: [{ row: 0, col: 0 }, { row: 0, col: 1 }, { row: 0, col: 2 }],
                     specials: []
-                })
-                .mockReturnValueOnce({ matches: [], specials: [] });
+                });
 
-            await Game.processMatches();
+            await Game.attemptSwap({ row: 1, col: 0 }, { row: 0, col: 0 });
 
-            expect(Grid.removeMatches).toHaveBeenCalled();
+            expect(MatchDetector.findAllMatches.mock.calls[0][1]).toEqual({ pos1: { row: 1, col: 0 }, pos2: { row: 0, col: 0 } });
+            expect(MatchDetector.findAllMatches.mock.calls[1][1]).toBeNull();
         });
 
-        test('applies gravity after removing', async () => {
+        test('scores each cascade with a growing multiplier', async () => {
+            const three = [{ row: 0, col: 0 }, { row: 0, col: 1 }, { row: 0, col: 2 }];
             MatchDetector.findAllMatches
-                .mockReturnValueOnce({
-                    matches: [{ row: 0, col: 0 }],
-                    specials: []
-                })
-                .mockReturnValueOnce({ matches: [], specials: [] });
+                .mockReturnValueOnce({ matches: three, specials: [] })
+                .mockReturnValueOnce({ matches: three, specials: [] });
 
-            await Game.processMatches();
+            await Game.attemptSwap({ row: 0, col: 0 }, { row: 1, col: 0 });
 
-            expect(Grid.applyGravity).toHaveBeenCalled();
+            // 3 tiles x 20 points, then the same again doubled
+            expect(Score.total).toBe(60 + 120);
+            expect(Animations.scorePopup).toHaveBeenLastCalledWith(expect.anything(), 120, 2);
+            expect(Game.elements.scoreCount.textContent).toBe('180');
         });
 
-        test('spawns new tiles after gravity', async () => {
+        test('shows the popup at the middle of the clear', async () => {
+            const tile = document.createElement('div');
+            Grid.getTileElement.mockReturnValue(tile);
             MatchDetector.findAllMatches
                 .mockReturnValueOnce({
-                    matches: [{ row: 0, col: 0 }],
+                    matches: [{ row: 4, col: 1 }, { row: 4, col: 2 }, { row: 4, col: 3 }],
                     specials: []
-                })
-                .mockReturnValueOnce({ matches: [], specials: [] });
+                });
+
+            await Game.attemptSwap({ row: 4, col: 1 }, { row: 5, col: 1 });
+
+            expect(Grid.getTileElement).toHaveBeenCalledWith(4, 2);
+            expect(Animations.scorePopup).toHaveBeenCalledWith(tile, 60, 1);
+        });
+
+        test('adds the combination bonus', async () => {
+            const combination = {
+                pos1: { row: 0, col: 0 },
+                pos2: { row: 0, col: 1 },
+                combinationType: 'striped-striped'
+            };
+            MatchDetector.isSpecialCombination.mockReturnValueOnce(combination);
+            MatchDetector.getSpecialCombinationClearPositions.mockReturnValueOnce([
+                { row: 0, col: 0 }, { row: 0, col: 1 }
+            ]);
+
+            await Game.attemptSwap({ row: 0, col: 0 }, { row: 0, col: 1 });
+
+            expect(Score.total).toBe(2 * 20 + 400);
+            expect(AudioManager.playSound).toHaveBeenCalledWith('special');
+            expect(Animations.screenShake).toHaveBeenCalledWith('heavy');
+        });
+
+        test('shows the shuffle the engine makes when no moves are left', async () => {
+            const shuffle = { type: 'shuffle', attempts: 1, moves: [] };
 
-            await Game.processMatches();
+            await Game.playEvents([shuffle]);
 
-            expect(Grid.spawnNewTiles).toHaveBeenCalled();
+            expect(Grid.renderShuffle).toHaveBeenCalledWith(shuffle);
         });
     });
 });
@@ -13,17 +13,25 @@ global.Animations = {
     removeTile: jest.fn().mockResolvedValue(undefined),
     fallTiles: jest.fn().mockResolvedValue(undefined),
     spawnTiles: jest.fn().mockResolvedValue(undefined),
-    shuffleBoard: jest.fn().mockResolvedValue(undefined),
+    shuffleTiles: jest.fn().mockResolvedValue(undefined),
     showHint: jest.fn(),
     wait: jest.fn().mockResolvedValue(undefined),
 };
 
-// Mock MatchDetector (required by Grid)
+// Mock MatchDetector (required by Grid); board generation uses the real patterns
+const RealMatchDetector = require('../js/match.js');
 global.MatchDetector = {
     findPossibleMatch: jest.fn().mockReturnValue([{ row: 0, col: 0 }, { row: 0, col: 1 }]),
     findAllMatches: jest.fn().mockReturnValue({ matches: [], specials: [] }),
+    matchesAt: (...args) => RealMatchDetector.matchesAt(...args),
 };
 
+// Seeded RNG (real module - used for deterministic boards)
+require('../js/random.js');
+
+// Board rules (real module, uses the mocks above)
+require('../js/engine.js');
+
 // Load Grid module
 const gridCode = fs.readFileSync(path.join(__dirname, '../js/grid.js'), 'utf8');
 eval(gridCode);
@@ -74,6 +82,42 @@ describe('Grid', () => {
             expect(mockBoard.innerHTML).toBe('');
         });
 
+        test('sizes the CSS grid to the board', () => {
+            Grid.init(mockBoard, 6);
+
+            expect(mockBoard.style.gridTemplateColumns).toBe('repeat(6, 1fr)');
+            expect(mockBoard.style.gridTemplateRows).toBe('repeat(6, 1fr)');
+        });
+
+        test('shapes the board from a mask', () => {
+            const mask = [
+                [false, true, true, true, true],
+                [true, true, true, true, true],
+                [true, true, true, true, false]
+            ];
+            Grid.init(mockBoard, 3, ['heart', 'star', 'ring', 'rose'], mask);
+            Grid.generate();
+
+            expect(mockBoard.style.gridTemplateColumns).toBe('repeat(5, 1fr)');
+            expect(mockBoard.style.gridTemplateRows).toBe('repeat(3, 1fr)');
+            expect(Grid.data[0][0]).toBe(false);
+            expect(Grid.tiles[0][0].classList.contains('hole')).toBe(true);
+            expect(Grid.isCell(2, 4)).toBe(false);
+            expect(Grid.getNeighbors(1, 0)).toEqual([{ row: 2, col: 0 }, { row: 1, col: 1 }]);
+            expect(Grid.firstCell()).toEqual({ row: 0, col: 1 });
+        });
+
+        test('limits the tile types in play', () => {
+            Grid.init(mockBoard, 6, ['heart', 'star', 'ring']);
+            Grid.generate();
+
+            const types = new Set(Grid.data.flat().map(tile => tile.type));
+            expect([...types].every(type => ['heart', 'star', 'ring'].includes(type))).toBe(true);
+
+            Grid.init(mockBoard, 6);
+            expect(Grid.tileTypes).toEqual(Grid.allTileTypes);
+        });
+
         test('initializes empty 2D arrays', () => {
             Grid.init(mockBoard, 4);
 
@@ -105,6 +149,15 @@ describe('Grid', () => {
                 expect(Grid.tileTypes).toContain(type);
             }
         });
+
+        test('follows the seeded RNG', () => {
+            Random.setSeed(42);
+            const first = Array.from({ length: 20 }, () => Grid.getRandomType());
+            Random.setSeed(42);
+            const second = Array.from({ length: 20 }, () => Grid.getRandomType());
+
+            expect(second).toEqual(first);
+        });
     });
 
     describe('generate', () => {
@@ -112,6 +165,19 @@ describe('Grid', () => {
             Grid.init(mockBoard, 4);
         });
 
+        test('same seed generates the same board', () => {
+            Random.setSeed('nice-board');
+            Grid.generate();
+            const first = Grid.data.map(row => row.map(tile => tile.type));
+
+            Grid.init(mockBoard, 4);
+            Random.setSeed('nice-board');
+            Grid.generate();
+            const second = Grid.data.map(row => row.map(tile => tile.type));
+
+            expect(second).toEqual(first);
+        });
+
         test('creates tiles for entire grid', () => {
             Grid.generate();
 
@@ -196,6 +262,47 @@ describe('Grid', () => {
         });
     });
 
+    describe('layers', () => {
+        beforeEach(() => {
+            Grid.init(mockBoard, 3);
+            Grid.loadBoard(createPatternGrid([
+                ['heart', 'star', 'ring'],
+                ['ring', 'rose', 'heart'],
+                ['star', 'heart', 'rose'],
+            ]));
+        });
+
+        test('draws layers behind the tiles, in their own cells', () => {
+            Grid.setLayers(Engine.generateLayers(Grid.data, ['J.I']));
+
+            const layers = mockBoard.querySelectorAll('.cell-layer');
+            expect(layers.length).toBe(2);
+            expect(mockBoard.firstElementChild.classList.contains('cell-layer')).toBe(true);
+            expect(mockBoard.querySelector('.cell-layer.ice').style.gridColumn).toBe('3');
+            expect(Grid.tiles[0][0].classList.contains('cell-layer')).toBe(false);
+            expect(Grid.tiles[0][0].getAttribute('aria-label')).toBe('heart, on jelly');
+        });
+
+        test('wears layers down and removes them when cleared', () => {
+            Grid.setLayers(Engine.generateLayers(Grid.data, ['J.I']));
+
+            Grid.renderLayerHits(Engine.hitLayers(Grid.layers, [{ row: 0, col: 0 }, { row: 0, col: 2 }]));
+
+            expect(mockBoard.querySelectorAll('.cell-layer').length).toBe(1);
+            expect(mockBoard.querySelector('.cell-layer.ice').dataset.hits).toBe('1');
+        });
+
+        test('keep their cell when the tile above falls', async () => {
+            Grid.setLayers([[null, null, null], [null, null, null], [{ type: 'jelly', hits: 1 }, null, null]]);
+            Grid.data[2][0] = null;
+
+            await Grid.renderFall(Engine.applyGravity(Grid.data));
+
+            expect(Grid.layers[2][0]).toEqual({ type: 'jelly', hits: 1 });
+            expect(Grid.data[2][0].type).toBe('ring');
+        });
+    });
+
     describe('getNeighbors', () => {
         beforeEach(() => {
             Grid.init(mockBoard, 4);
@@ -290,166 +397,149 @@ describe('Grid', () => {
         });
     });
 
-    describe('swapTiles', () => {
+    describe('renderSwap', () => {
         beforeEach(() => {
             Grid.init(mockBoard, 4);
             Grid.generate();
         });
 
-        test('swaps data between two positions', async () => {
-            const originalData1 = { ...Grid.data[0][0] };
-            const originalData2 = { ...Grid.data[0][1] };
+        test('draws each tile where it landed', async () => {
+            Grid.data[0][0] = { type: 'heart', special: null, isMemory: false, memoryId: null };
+            Grid.data[0][1] = { type: 'star', special: 'striped-h', isMemory: false, memoryId: null };
 
-            await Grid.swapTiles({ row: 0, col: 0 }, { row: 0, col: 1 });
+            await Grid.renderSwap(Engine.swap(Grid.data, { row: 0, col: 0 }, { row: 0, col: 1 }));
 
-            expect(Grid.data[0][0].type).toBe(originalData2.type);
-            expect(Grid.data[0][1].type).toBe(originalData1.type);
+            expect(Grid.tiles[0][0].classList.contains('star')).toBe(true);
+            expect(Grid.tiles[0][0].classList.contains('striped-h')).toBe(true);
+            expect(Grid.tiles[0][1].classList.contains('heart')).toBe(true);
         });
 
-        test('calls animation when animate is true', async () => {
-            await Grid.swapTiles({ row: 0, col: 0 }, { row: 0, col: 1 }, true);
+        test('animates the swap', async () => {
+            await Grid.renderSwap(Engine.swap(Grid.data, { row: 0, col: 0 }, { row: 0, col: 1 }));
 
-            expect(Animations.swapTiles).toHaveBeenCalled();
-        });
-
-        test('skips animation when animate is false', async () => {
-            await Grid.swapTiles({ row: 0, col: 0 }, { row: 0, col: 1 }, false);
-
-            expect(Animations.swapTiles).not.toHaveBeenCalled();
+            expect(Animations.swapTiles).toHaveBeenCalledWith(Grid.tiles[0][0], Grid.tiles[0][1]);
         });
     });
 
-    describe('removeMatches', () => {
+    describe('renderClear', () => {
         beforeEach(() => {
             Grid.init(mockBoard, 4);
             Grid.generate();
         });
 
-        test('clears data for matched positions', async () => {
-            const matches = [
+        test('empties the cleared cells', async () => {
+            await Grid.renderClear(Engine.clearTiles(Grid.data, [
                 { row: 0, col: 0 },
                 { row: 0, col: 1 },
                 { row: 0, col: 2 }
-            ];
+            ]));
 
-            await Grid.removeMatches(matches);
-
-            expect(Grid.data[0][0]).toBeNull();
-            expect(Grid.data[0][1]).toBeNull();
-            expect(Grid.data[0][2]).toBeNull();
+            for (let col = 0; col < 3; col++) {
+                expect(Grid.tiles[0][col].classList.contains('empty')).toBe(true);
+            }
+            expect(Grid.tiles[0][3].classList.contains('empty')).toBe(false);
         });
 
-        test('returns memory tiles that were removed', async () => {
-            Grid.data[1][1] = { type: 'heart', special: null, isMemory: true, memoryId: 5 };
+        test('only unlocks a locked tile', async () => {
+            Grid.data[0][1].locked = true;
+            Grid.updateTileAppearance(Grid.tiles[0][1], Grid.data[0][1]);
+            expect(Grid.tiles[0][1].classList.contains('locked')).toBe(true);
 
-            const matches = [{ row: 1, col: 1 }];
-            const memoryTiles = await Grid.removeMatches(matches);
+            await Grid.renderClear(Engine.clearTiles(Grid.data, [{ row: 0, col: 0 }, { row: 0, col: 1 }]));
 
-            expect(memoryTiles.length).toBe(1);
-            expect(memoryTiles[0].memoryId).toBe(5);
+            expect(Grid.tiles[0][1].classList.contains('locked')).toBe(false);
+            expect(Grid.tiles[0][1].classList.contains(Grid.data[0][1].type)).toBe(true);
+            expect(Animations.removeTile).toHaveBeenCalledTimes(1);
         });
 
         test('calls remove animation for each tile', async () => {
-            const matches = [
-                { row: 0, col: 0 },
-                { row: 0, col: 1 }
-            ];
-
-            await Grid.removeMatches(matches);
+            await Grid.renderClear(Engine.clearTiles(Grid.data, [{ row: 0, col: 0 }, { row: 0, col: 1 }]));
 
             expect(Animations.removeTile).toHaveBeenCalledTimes(2);
         });
+
+        test('staggers chain reaction waves', async () => {
+            await Grid.renderClear(Engine.clearTiles(Grid.data, [
+                { row: 0, col: 0, wave: 0 },
+                { row: 1, col: 0, wave: 2, animation: 'clearing-row' }
+            ]));
+
+            expect(Animations.removeTile).toHaveBeenCalledWith(Grid.tiles[0][0], 'matched', 0);
+            expect(Animations.removeTile).toHaveBeenCalledWith(Grid.tiles[1][0], 'clearing-row', 2 * Grid.waveDelay);
+        });
     });
 
-    describe('applyGravity', () => {
+    describe('renderFall', () => {
         beforeEach(() => {
             Grid.init(mockBoard, 4);
             Grid.generate();
         });
 
-        test('moves tiles down to fill gaps', async () => {
-            // Create a gap
-            const originalTopTile = { ...Grid.data[0][0] };
+        test('draws fallen tiles in their new cells', async () => {
+            const top = Grid.data[1][0];
             Grid.data[2][0] = null;
 
-            await Grid.applyGravity();
+            await Grid.renderFall(Engine.applyGravity(Grid.data));
 
-            // Top tiles should have moved down
-            expect(Grid.data[2][0]).not.toBeNull();
+            expect(Grid.tiles[2][0].classList.contains(top.type)).toBe(true);
+            expect(Grid.tiles[0][0].classList.contains('empty')).toBe(true);
         });
 
         test('calls fall animation when tiles move', async () => {
             Grid.data[3][0] = null; // Create gap at bottom
 
-            await Grid.applyGravity();
+            await Grid.renderFall(Engine.applyGravity(Grid.data));
 
             expect(Animations.fallTiles).toHaveBeenCalled();
         });
 
         test('does not call animation when no gaps', async () => {
             // Grid is full, no gaps
-            await Grid.applyGravity();
+            await Grid.renderFall(Engine.applyGravity(Grid.data));
 
             expect(Animations.fallTiles).not.toHaveBeenCalled();
         });
     });
 
-    describe('spawnNewTiles', () => {
+    describe('renderSpawn', () => {
         beforeEach(() => {
             Grid.init(mockBoard, 4);
             Grid.generate();
         });
 
-        test('fills null positions with new tiles', async () => {
+        test('draws the new tiles', async () => {
             Grid.data[0][0] = null;
             Grid.data[1][1] = null;
+            Grid.updateTileAppearance(Grid.tiles[0][0], null);
 
-            await Grid.spawnNewTiles();
+            await Grid.renderSpawn(Engine.spawnTiles(Grid.data, Grid.tileTypes));
 
-            expect(Grid.data[0][0]).not.toBeNull();
-            expect(Grid.data[1][1]).not.toBeNull();
+            expect(Grid.tiles[0][0].classList.contains('empty')).toBe(false);
+            expect(Grid.tiles[0][0].classList.contains(Grid.data[0][0].type)).toBe(true);
+            expect(Grid.tiles[1][1].classList.contains(Grid.data[1][1].type)).toBe(true);
         });
 
-        test('new tiles have valid types', async () => {
+        test('staggers the spawn animation', async () => {
             Grid.data[0][0] = null;
+            Grid.data[1][0] = null;
 
-            await Grid.spawnNewTiles();
+            await Grid.renderSpawn(Engine.spawnTiles(Grid.data, Grid.tileTypes));
 
-            expect(Grid.tileTypes).toContain(Grid.data[0][0].type);
-        });
-
-        test('new tiles are not memory tiles', async () => {
-            Grid.data[0][0] = null;
-
-            await Grid.spawnNewTiles();
-
-            expect(Grid.data[0][0].isMemory).toBe(false);
-            expect(Grid.data[0][0].memoryId).toBeNull();
+            expect(Animations.spawnTiles).toHaveBeenCalledWith([
+                { tile: Grid.tiles[0][0], delay: 0 },
+                { tile: Grid.tiles[1][0], delay: 50 }
+            ]);
         });
     });
 
-    describe('createSpecialCandy', () => {
+    describe('renderSpecial', () => {
         beforeEach(() => {
             Grid.init(mockBoard, 4);
             Grid.generate();
         });
 
-        test('creates striped candy', () => {
-            Grid.createSpecialCandy(1, 1, 'striped-h', 'heart');
-
-            expect(Grid.data[1][1].special).toBe('striped-h');
-            expect(Grid.data[1][1].type).toBe('heart');
-        });
-
-        test('creates wrapped candy', () => {
-            Grid.createSpecialCandy(2, 2, 'wrapped', 'star');
-
-            expect(Grid.data[2][2].special).toBe('wrapped');
-            expect(Grid.data[2][2].type).toBe('star');
-        });
-
-        test('updates tile appearance', () => {
-            Grid.createSpecialCandy(1, 1, 'wrapped', 'diamond');
+        test('draws the special candy', () => {
+            Grid.renderSpecial(Engine.createSpecial(Grid.data, 1, 1, 'wrapped', 'diamond'));
 
             const tile = Grid.getTileElement(1, 1);
             expect(tile.classList.contains('wrapped')).toBe(true);
@@ -476,23 +566,74 @@ describe('Grid', () => {
         });
     });
 
+    describe('shuffle', () => {
+        test('redraws moved tiles and animates them from their old cells', async () => {
+            Grid.init(mockBoard, 4);
+            Grid.generate();
+            const moved = { type: 'ring', special: null, isMemory: false, memoryId: null };
+            jest.spyOn(Engine, 'shuffle').mockReturnValue({
+                type: 'shuffle',
+                attempts: 1,
+                moves: [{ from: { row: 0, col: 0 }, to: { row: 2, col: 1 }, tile: moved }]
+            });
+
+            await Grid.shuffle();
+
+            expect(Grid.tiles[2][1].classList.contains('ring')).toBe(true);
+            expect(Animations.shuffleTiles).toHaveBeenCalledWith([
+                { tile: Grid.tiles[2][1], rows: -2, cols: -1 }
+            ]);
+            Engine.shuffle.mockRestore();
+        });
+    });
+
     describe('showHint', () => {
+        const ranked = [
+            { move: [{ row: 0, col: 0 }, { row: 0, col: 1 }], score: 30 },
+            { move: [{ row: 1, col: 0 }, { row: 2, col: 0 }], score: 10 },
+            { move: [{ row: 3, col: 2 }, { row: 3, col: 3 }], score: 5 },
+            { move: [{ row: 2, col: 2 }, { row: 2, col: 3 }], score: 3 },
+        ];
+
         beforeEach(() => {
             Grid.init(mockBoard, 4);
             Grid.generate();
+            Grid.lastHint = null;
+            jest.spyOn(Engine, 'rankMoves').mockReturnValue(ranked);
         });
 
-        test('shows hint animation for available move', () => {
-            MatchDetector.findPossibleMatch.mockReturnValue([{ row: 0, col: 0 }, { row: 0, col: 1 }]);
+        afterEach(() => {
+            Engine.rankMoves.mockRestore();
+        });
 
+        test('shows the best move first', () => {
             const result = Grid.showHint();
 
             expect(result).toBe(true);
-            expect(Animations.showHint).toHaveBeenCalled();
+            expect(Animations.showHint).toHaveBeenCalledWith(Grid.tiles[0][0], Grid.tiles[0][1]);
+        });
+
+        test('cycles through the top moves on repeated presses', () => {
+            Grid.showHint();
+            Grid.showHint();
+            Grid.showHint();
+            Grid.showHint();
+
+            expect(Animations.showHint.mock.calls.map(([tile]) => tile)).toEqual([
+                Grid.tiles[0][0], Grid.tiles[1][0], Grid.tiles[3][2], Grid.tiles[0][0]
+            ]);
+        });
+
+        test('starts from the best move again once the board changes', () => {
+            Grid.showHint();
+            Grid.data[3][3] = { ...Grid.data[3][3], special: 'wrapped' };
+            Grid.showHint();
+
+            expect(Animations.showHint).toHaveBeenLastCalledWith(Grid.tiles[0][0], Grid.tiles[0][1]);
         });
 
         test('returns false when no moves available', () => {
-            MatchDetector.findPossibleMatch.mockReturnValue(null);
+            Engine.rankMoves.mockReturnValue([]);
 
             const result = Grid.showHint();
 
@@ -519,6 +660,102 @@ describe('Grid', () => {
         });
     });
 
+    describe('loadBoard', () => {
+        test('draws saved tiles including specials, memory tiles and locks', () => {
+            Grid.init(mockBoard, 2);
+
+            Grid.loadBoard([
+                [{ type: 'heart', special: 'striped-h' }, { type: 'star', locked: true }],
+                [{ type: 'ring', isMemory: true, memoryId: 1 }, { type: 'rose', special: null }]
+            ]);
+
+            expect(Grid.data[0][0]).toEqual({ type: 'heart', special: 'striped-h', isMemory: false, memoryId: null, locked: false });
+            expect(Grid.data[1][0]).toEqual({ type: 'ring', special: null, isMemory: true, memoryId: 1, locked: false });
+            expect(Grid.tiles[0][0].classList.contains('striped-h')).toBe(true);
+            expect(Grid.tiles[0][1].classList.contains('locked')).toBe(true);
+            expect(Grid.tiles[1][0].classList.contains('memory-tile')).toBe(true);
+            expect(mockBoard.children.length).toBe(4);
+        });
+
+        test('keeps cells left empty below a locked tile', () => {
+            Grid.init(mockBoard, 2);
+
+            Grid.loadBoard([
+                [{ type: 'heart' }, { type: 'star' }],
+                [{ type: 'ring', locked: true }, null]
+            ]);
+
+            expect(Grid.data[1][1]).toBeNull();
+            expect(Grid.tiles[1][1].classList.contains('empty')).toBe(true);
+        });
+    });
+
+    describe('exportBoard / importBoard', () => {
+        test('writes the board as text and reads it back', () => {
+            Grid.init(mockBoard, 2);
+            Grid.loadBoard([
+                [{ type: 'heart', special: 'wrapped' }, { type: 'star', locked: true }],
+                [{ type: 'ring', isMemory: true, memoryId: 0 }, { type: 'rose' }]
+            ]);
+            const text = Grid.exportBoard();
+
+            expect(text.split('\n').slice(1)).toEqual(['h+ s!', 'i*0 r']);
+
+            Grid.init(mockBoard, 4);
+            Grid.generate();
+            const board = Grid.importBoard(text);
+
+            expect(Grid.data).toEqual(board);
+            expect(Grid.rows).toBe(2);
+            expect(Grid.tiles[1][0].classList.contains('memory-tile')).toBe(true);
+        });
+
+        test('takes the shape of the text, holes and all', () => {
+            Grid.init(mockBoard, 8);
+            Grid.setLayers([[{ type: 'jelly', hits: 1 }]]);
+
+            Grid.importBoard('h d r\n. s .');
+
+            expect(Grid.rows).toBe(2);
+            expect(Grid.cols).toBe(3);
+            expect(Grid.isCell(1, 0)).toBe(false);
+            expect(Grid.data[1][1].type).toBe('star');
+            expect(Grid.layers[0][0]).toBeNull();
+        });
+
+        test('rejects tiles outside the set', () => {
+            Grid.init(mockBoard, 4);
+            Grid.generate();
+            const before = Grid.data;
+
+            expect(() => Grid.importBoard('# x=cookie\nx h')).toThrow('Unknown tile type "cookie"');
+            expect(Grid.data).toBe(before);
+        });
+    });
+
+    describe('showCursor', () => {
+        beforeEach(() => {
+            Grid.init(mockBoard, 4);
+            Grid.generate();
+        });
+
+        test('marks only the cursor tile', () => {
+            Grid.showCursor(0, 0);
+            Grid.showCursor(2, 1);
+
+            expect(mockBoard.querySelectorAll('[data-cursor]').length).toBe(1);
+            expect(Grid.tiles[2][1].dataset.cursor).toBe('');
+        });
+
+        test('survives appearance updates', () => {
+            Grid.showCursor(1, 1);
+
+            Grid.updateTileAppearance(Grid.tiles[1][1], { type: 'star', special: null, isMemory: false });
+
+            expect('cursor' in Grid.tiles[1][1].dataset).toBe(true);
+        });
+    });
+
     describe('updateTileAppearance', () => {
         beforeEach(() => {
             Grid.init(mockBoard, 4);
@@ -554,31 +791,51 @@ describe('Grid', () => {
         });
     });
 
-    describe('getHelpfulTypeForPosition', () => {
+    describe('tile sets', () => {
+        const types = [
+            { name: 'coffee', label: 'Coffee cup', image: 'customize/tiles/coffee.png', emoji: '', palette: 0 },
+            { name: 'dog', label: 'Biscuit', image: '', emoji: '🐶', palette: 1 },
+            { name: 'heart', label: 'Heart', image: '', emoji: '', palette: 2 },
+            { name: 'star', label: 'Star', image: '', emoji: '', palette: 3 }
+        ];
+        const classic = Grid.allTileTypes;
+
         beforeEach(() => {
+            Grid.setTileSet(types);
             Grid.init(mockBoard, 4);
             Grid.generate();
         });
 
-        test('returns type of nearby memory tile', () => {
-            Grid.data[2][2] = { type: 'heart', special: null, isMemory: true, memoryId: 0 };
+        afterEach(() => {
+            Grid.setTileSet(classic.map((name, palette) => ({ name, label: name, image: '', emoji: '', palette })));
+        });
+
+        test('plays with the tile set types', () => {
+            expect(Grid.allTileTypes).toEqual(['coffee', 'dog', 'heart', 'star']);
+            expect(Grid.data.flat().every(tile => Grid.allTileTypes.includes(tile.type))).toBe(true);
+        });
+
+        test('draws images and emoji with a palette color', () => {
+            const tile = Grid.getTileElement(0, 0);
+
+            Grid.updateTileAppearance(tile, { type: 'coffee', special: null, isMemory: false });
+            expect(tile.classList.contains('palette-0')).toBe(true);
+            expect(tile.querySelector('img.tile-art').getAttribute('src')).toBe('customize/tiles/coffee.png');
 
-            const helpfulType = Grid.getHelpfulTypeForPosition(2, 3);
+            Grid.updateTileAppearance(tile, { type: 'dog', special: null, isMemory: false });
+            expect(tile.querySelector('img')).toBeNull();
+            expect(tile.textContent).toBe('🐶');
 
-            expect(helpfulType).toBe('heart');
+            Grid.updateTileAppearance(tile, { type: 'heart', special: null, isMemory: false });
+            expect(tile.textContent).toBe('');
         });
 
-        test('returns null when no nearby memory tiles', () => {
-            // No memory tiles in grid
-            for (let r = 0; r < 4; r++) {
-                for (let c = 0; c < 4; c++) {
-                    Grid.data[r][c].isMemory = false;
-                }
-            }
+        test('labels tiles for screen readers', () => {
+            const tile = Grid.getTileElement(0, 0);
 
-            const helpfulType = Grid.getHelpfulTypeForPosition(2, 2);
+            Grid.updateTileAppearance(tile, { type: 'dog', special: 'striped-v', isMemory: true });
 
-            expect(helpfulType).toBeNull();
+            expect(tile.getAttribute('aria-label')).toBe('Biscuit, striped down, memory tile');
         });
     });
 });
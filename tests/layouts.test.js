@@ -0,0 +1,70 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Layouts Tests
+ * Board shapes from presets, drawings and rectangles
+ */
+
+const Layouts = require('../js/layouts.js');
+
+describe('Layouts', () => {
+    describe('build', () => {
+        test('no layout means a plain square board', () => {
+            expect(Layouts.build(null)).toBeNull();
+            expect(Layouts.build(undefined)).toBeNull();
+        });
+
+        test('builds the heart preset', () => {
+            const mask = Layouts.build('heart');
+
+            expect(mask.length).toBe(8);
+            expect(mask.every(row => row.length === 9)).toBe(true);
+            expect(mask[0][0]).toBe(false);
+            expect(mask[0][1]).toBe(true);
+            expect(mask[7][4]).toBe(true);
+            expect(Layouts.cellCount(mask)).toBe(46);
+        });
+
+        test('ignores unknown presets', () => {
+            expect(Layouts.build('octagon')).toBeNull();
+        });
+
+        test('builds a rectangle inside the size limits', () => {
+            const mask = Layouts.build({ rows: 6, cols: 9 });
+
+            expect(mask.length).toBe(6);
+            expect(mask.every(row => row.length === 9 && row.every(Boolean))).toBe(true);
+            expect(Layouts.build({ rows: 1, cols: 40 }).length).toBe(Layouts.minSize);
+            expect(Layouts.build({ rows: 'tall', cols: 5 })).toBeNull();
+        });
+
+        test('reads a drawn mask and pads short rows with holes', () => {
+            const mask = Layouts.build([
+                'XXX',
+                'X.X',
+                'XX'
+            ]);
+
+            expect(mask).toEqual([
+                [true, true, true],
+                [true, false, true],
+                [true, true, false]
+            ]);
+        });
+
+        test('rejects drawings with no cells or too many rows', () => {
+            expect(Layouts.build(['...', '   '])).toBeNull();
+            expect(Layouts.build([])).toBeNull();
+            expect(Layouts.build(new Array(13).fill('XXX'))).toBeNull();
+        });
+    });
+
+    describe('cellCount', () => {
+        test('counts playable cells, or the square without a mask', () => {
+            expect(Layouts.cellCount([[true, false], [true, true]])).toBe(3);
+            expect(Layouts.cellCount(null, 8)).toBe(64);
+        });
+    });
+});
@@ -0,0 +1,202 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Levels Tests
+ * Tests for level definitions, objectives and progression
+ */
+
+global.Layouts = require('../js/layouts.js');
+const Levels = require('../js/levels.js');
+
+const defaults = {
+    gridSize: 8,
+    moves: 75,
+    memories: 10,
+    tileTypes: ['heart', 'diamond', 'rose', 'star', 'ring']
+};
+
+describe('Levels', () => {
+    describe('init', () => {
+        test('falls back to one classic level without config', () => {
+            Levels.init([], defaults);
+
+            expect(Levels.isCustom).toBe(false);
+            expect(Levels.levels).toEqual([expect.objectContaining({
+                gridSize: 8,
+                moves: 75,
+                tileTypes: 5,
+                memories: 10,
+                objective: { type: 'memories' }
+            })]);
+        });
+
+        test('fills in defaults for configured levels', () => {
+            Levels.init([{ name: 'How We Met', gridSize: 6, memories: 2 }, {}], defaults);
+
+            expect(Levels.isCustom).toBe(true);
+            expect(Levels.levels[0]).toEqual({
+                name: 'How We Met',
+                intro: '',
+                gridSize: 6,
+                mask: null,
+                blockers: null,
+                locks: null,
+                moves: 75,
+                tileTypes: 5,
+                memories: 2,
+                objective: { type: 'memories' }
+            });
+            expect(Levels.levels[1].name).toBe('Chapter 2');
+        });
+
+        test('shares unclaimed memories between levels, earlier ones first', () => {
+            Levels.init([{ memories: 1 }, {}, {}, {}], defaults);
+
+            expect(Levels.levels.map(l => l.memories)).toEqual([1, 3, 3, 3]);
+
+            Levels.init([{}, {}, {}], { ...defaults, memories: 7 });
+
+            expect(Levels.levels.map(l => l.memories)).toEqual([3, 2, 2]);
+        });
+
+        test('clamps tile type counts', () => {
+            Levels.init([{ tileTypes: 1 }, { tileTypes: 9 }], defaults);
+
+            expect(Levels.levels.map(l => l.tileTypes)).toEqual([3, 5]);
+        });
+
+        test('shapes each board from its layout', () => {
+            Levels.init([{ layout: 'heart', memories: 99 }, { layout: { rows: 5, cols: 7 } }, {}], defaults);
+
+            expect(Levels.levels[0].mask.length).toBe(8);
+            expect(Levels.levels[0].memories).toBe(46);
+            expect(Levels.levels[1].mask.map(row => row.length)).toEqual([7, 7, 7, 7, 7]);
+            expect(Levels.levels[2].mask).toBeNull();
+        });
+
+        test('treats unknown objectives as finding memories', () => {
+            Levels.init([{ objective: { type: 'dance' } }], defaults);
+
+            expect(Levels.current().objective).toEqual({ type: 'memories' });
+        });
+    });
+
+    describe('objectives', () => {
+        test('memories: done once every memory tile is found', () => {
+            Levels.init([{ memories: 2 }], defaults);
+
+            Levels.recordMemory();
+            expect(Levels.isComplete()).toBe(false);
+
+            Levels.recordMemory();
+            expect(Levels.isComplete()).toBe(true);
+        });
+
+        test('score: counts points scored on the level', () => {
+            Levels.init([{ memories: 0, objective: { type: 'score', target: 500 } }], defaults);
+
+            Levels.recordScore(300);
+            expect(Levels.isComplete()).toBe(false);
+            expect(Levels.describeProgress()).toBe('Score 300/500');
+
+            Levels.recordScore(240);
+            expect(Levels.isComplete()).toBe(true);
+        });
+
+        test('collect: counts only the chosen color', () => {
+            Levels.init([{ memories: 0, objective: { type: 'collect', color: 'heart', count: 3 } }], defaults);
+
+            Levels.recordClear([{ type: 'heart' }, { type: 'star' }, { type: 'star' }, null]);
+            Levels.recordClear([{ type: 'heart' }]);
+            expect(Levels.isComplete()).toBe(false);
+            expect(Levels.describeProgress()).toBe('heart 2/3');
+
+            Levels.recordClear([{ type: 'heart' }]);
+            expect(Levels.isComplete()).toBe(true);
+        });
+
+        test('blockers: done once every jelly and ice layer is gone', () => {
+            Levels.init([{ memories: 0, blockers: { jelly: 3 }, objective: { type: 'blockers' } }], defaults);
+
+            expect(Levels.current().blockers).toEqual({ jelly: 3 });
+            expect(Levels.describeObjective()).toBe('Clear all the jelly and ice');
+
+            Levels.setBlockers(3);
+            Levels.recordBlockers(2);
+            expect(Levels.isComplete()).toBe(false);
+            expect(Levels.describeProgress()).toBe('Jelly & ice 2/3');
+
+            Levels.recordBlockers(1);
+            expect(Levels.isComplete()).toBe(true);
+        });
+
+        test('the level memories must be found as well', () => {
+            Levels.init([{ memories: 1, objective: { type: 'score', target: 10 } }], defaults);
+
+            Levels.recordScore(60);
+            expect(Levels.isComplete()).toBe(false);
+
+            Levels.recordMemory();
+            expect(Levels.isComplete()).toBe(true);
+        });
+
+        test('describes objectives for the intro card', () => {
+            Levels.init([
+                { memories: 1 },
+                { memories: 2, objective: { type: 'collect', color: 'rose', count: 20 } },
+                { memories: 0, objective: { type: 'score', target: 3000 } }
+            ], defaults);
+
+            expect(Levels.levels.map(l => Levels.describeObjective(l))).toEqual([
+                'Find 1 memory',
+                'Clear 20 rose candies and find 2 memories',
+                'Score 3000 points'
+            ]);
+        });
+    });
+
+    describe('progression', () => {
+        test('advances through levels and resets progress', () => {
+            Levels.init([{ memories: 1 }, { memories: 1 }], defaults);
+            Levels.recordMemory();
+
+            expect(Levels.hasNext()).toBe(true);
+            expect(Levels.advance()).toBe(Levels.levels[1]);
+            expect(Levels.progress.memories).toBe(0);
+            expect(Levels.hasNext()).toBe(false);
+            expect(Levels.advance()).toBeNull();
+        });
+
+        test('reset goes back to the first level', () => {
+            Levels.init([{}, {}], defaults);
+            Levels.advance();
+
+            Levels.reset();
+
+            expect(Levels.currentIndex).toBe(0);
+        });
+
+        test('restores a saved level and its progress', () => {
+            Levels.init([{}, { memories: 2 }], defaults);
+
+            Levels.restore(1, { memories: 1, score: 300, collected: { heart: 4 } });
+
+            expect(Levels.currentIndex).toBe(1);
+            expect(Levels.progress).toEqual({
+                memories: 1, score: 300, collected: { heart: 4 }, blockers: 0, blockerTotal: 0
+            });
+
+            Levels.restore(7);
+            expect(Levels.currentIndex).toBe(1);
+            expect(Levels.progress.memories).toBe(0);
+        });
+
+        test('picks the first N tile types', () => {
+            Levels.init([{ tileTypes: 3 }], defaults);
+
+            expect(Levels.tileTypesFor(Levels.current(), defaults.tileTypes)).toEqual(['heart', 'diamond', 'rose']);
+        });
+    });
+});
@@ -173,7 +173,7 @@ describe('MatchDetector', () => {
             expect(specials[0].type).toBe('striped-v');
         });
 
-        test('finds match of 5+ and creates wrapped candy', () => {
+        test('finds match of 5+ and creates color bomb', () => {
             // Grid should be square
             const grid = createPatternGrid([
                 ['heart', 'heart', 'heart', 'heart', 'heart'],
@@ -187,7 +187,31 @@ describe('MatchDetector', () => {
 
             expect(matches.length).toBe(5);
             expect(specials.length).toBeGreaterThanOrEqual(1);
-            expect(specials.some(s => s.type === 'wrapped')).toBe(true);
+            expect(specials.some(s => s.type === 'color-bomb')).toBe(true);
+        });
+
+        test('finds vertical match of 5 and creates color bomb', () => {
+            const grid = createPatternGrid([
+                ['heart', 'star', 'ring', 'diamond', 'rose'],
+                ['heart', 'diamond', 'rose', 'star', 'ring'],
+                ['heart', 'star', 'diamond', 'ring', 'star'],
+                ['heart', 'rose', 'star', 'heart', 'diamond'],
+                ['heart', 'ring', 'diamond', 'rose', 'star'],
+            ]);
+
+            const { specials } = MatchDetector.findAllMatches(grid);
+
+            expect(specials).toContainEqual({ row: 2, col: 0, type: 'color-bomb', candyType: 'heart' });
+        });
+
+        test('color bombs never match each other', () => {
+            const grid = createPatternGrid([
+                ['heart', 'star', 'ring'],
+                ['star', 'diamond', 'rose'],
+            ]);
+            grid[0].forEach(tile => { tile.special = 'color-bomb'; });
+
+            expect(MatchDetector.findAllMatches(grid).matches.length).toBe(0);
         });
 
         test('finds multiple matches simultaneously', () => {
@@ -215,7 +239,7 @@ describe('MatchDetector', () => {
         });
     });
 
-    describe('findLTShapes', () => {
+    describe('L and T shapes', () => {
         test('detects L-shape match for wrapped candy', () => {
             const grid = createPatternGrid([
                 ['heart', 'heart', 'heart', 'star'],
@@ -246,6 +270,174 @@ describe('MatchDetector', () => {
         });
     });
 
+    describe('special placement from a swap', () => {
+        // Boards below are shown after the swap has been made
+        const rowOfFour = [
+            ['heart', 'heart', 'heart', 'heart'],
+            ['star', 'diamond', 'rose', 'star'],
+            ['ring', 'star', 'diamond', 'ring'],
+            ['diamond', 'rose', 'star', 'rose'],
+        ];
+
+        test('without a swap, keeps the middle of the match and the match axis', () => {
+            const { specials } = MatchDetector.findAllMatches(createPatternGrid(rowOfFour));
+
+            expect(specials).toEqual([{ row: 0, col: 2, type: 'striped-h', candyType: 'heart' }]);
+        });
+
+        test('puts the striped candy where the moved tile landed, striped along the swap', () => {
+            // The heart at (1,3) moved up into (0,3)
+            const swap = { pos1: { row: 1, col: 3 }, pos2: { row: 0, col: 3 } };
+
+            const { specials } = MatchDetector.findAllMatches(createPatternGrid(rowOfFour), swap);
+
+            expect(specials).toEqual([{ row: 0, col: 3, type: 'striped-v', candyType: 'heart' }]);
+        });
+
+        test('a horizontal swap makes a horizontal stripe, even in a vertical match', () => {
+            const grid = createPatternGrid([
+                ['heart', 'star', 'ring', 'diamond'],
+                ['heart', 'diamond', 'rose', 'star'],
+                ['heart', 'star', 'diamond', 'ring'],
+                ['heart', 'rose', 'star', 'heart'],
+            ]);
+            const swap = { pos1: { row: 3, col: 1 }, pos2: { row: 3, col: 0 } };
+
+            const { specials } = MatchDetector.findAllMatches(grid, swap);
+
+            expect(specials).toEqual([{ row: 3, col: 0, type: 'striped-h', candyType: 'heart' }]);
+        });
+
+        test('uses the other swapped cell when that tile made the match', () => {
+            // The star moved from (0,0) down to (1,0), bringing the heart up
+            const swap = { pos1: { row: 0, col: 0 }, pos2: { row: 1, col: 0 } };
+
+            const { specials } = MatchDetector.findAllMatches(createPatternGrid(rowOfFour), swap);
+
+            expect(specials).toEqual([{ row: 0, col: 0, type: 'striped-v', candyType: 'heart' }]);
+        });
+
+        test('matches away from the swap keep the default placement', () => {
+            const swap = { pos1: { row: 2, col: 0 }, pos2: { row: 3, col: 0 } };
+
+            const { specials } = MatchDetector.findAllMatches(createPatternGrid(rowOfFour), swap);
+
+            expect(specials).toEqual([{ row: 0, col: 2, type: 'striped-h', candyType: 'heart' }]);
+        });
+
+        test('puts color bombs and wrapped candies on the swapped cell', () => {
+            const bomb = createPatternGrid([
+                ['heart', 'heart', 'heart', 'heart', 'heart'],
+                ['star', 'diamond', 'rose', 'ring', 'star'],
+                ['ring', 'star', 'diamond', 'star', 'diamond'],
+                ['diamond', 'rose', 'star', 'ring', 'rose'],
+                ['star', 'ring', 'rose', 'diamond', 'ring'],
+            ]);
+            const wrapped = createPatternGrid([
+                ['heart', 'heart', 'heart', 'star'],
+                ['heart', 'diamond', 'rose', 'ring'],
+                ['heart', 'star', 'diamond', 'rose'],
+                ['star', 'ring', 'star', 'diamond'],
+            ]);
+
+            expect(MatchDetector.findAllMatches(bomb, { pos1: { row: 1, col: 4 }, pos2: { row: 0, col: 4 } }).specials)
+                .toEqual([{ row: 0, col: 4, type: 'color-bomb', candyType: 'heart' }]);
+            expect(MatchDetector.findAllMatches(wrapped, { pos1: { row: 2, col: 1 }, pos2: { row: 2, col: 0 } }).specials)
+                .toContainEqual({ row: 2, col: 0, type: 'wrapped', candyType: 'heart' });
+        });
+    });
+
+    describe('match patterns', () => {
+        afterEach(() => {
+            MatchDetector.resetPatterns();
+        });
+
+        test('registers the built-in patterns, highest priority first', () => {
+            expect(MatchDetector.patterns.map(p => p.name)).toEqual([
+                'line-5', 'l-shape', 't-shape', 'plus', 'line-4', 'square', 'line-3'
+            ]);
+        });
+
+        test('tries every distinct rotation of a shape', () => {
+            const byName = name => MatchDetector.patterns.find(p => p.name === name);
+
+            expect(byName('line-4').orientations.map(o => o.special)).toEqual(['striped-h', 'striped-v']);
+            expect(byName('l-shape').orientations.length).toBe(4);
+            expect(byName('square').orientations.length).toBe(1);
+        });
+
+        test('a 2x2 square clears and makes a striped candy', () => {
+            const grid = createPatternGrid([
+                ['heart', 'heart', 'star', 'ring'],
+                ['heart', 'heart', 'rose', 'star'],
+                ['ring', 'star', 'diamond', 'rose'],
+                ['diamond', 'rose', 'star', 'ring'],
+            ]);
+
+            const { matches, specials } = MatchDetector.findAllMatches(grid);
+
+            expect(matches).toEqual([
+                { row: 0, col: 0 }, { row: 0, col: 1 }, { row: 1, col: 0 }, { row: 1, col: 1 }
+            ]);
+            expect(specials).toEqual([{ row: 0, col: 0, type: 'striped-h', candyType: 'heart' }]);
+            expect(MatchDetector.hasMatchAt(grid, { row: 1, col: 1 })).toBe(true);
+        });
+
+        test('overlapping patterns make one special, from the highest priority', () => {
+            // A line of 4 with a column of 3 hanging off its end: an L, not a stripe as well
+            const grid = createPatternGrid([
+                ['heart', 'heart', 'heart', 'heart'],
+                ['star', 'diamond', 'rose', 'heart'],
+                ['ring', 'star', 'diamond', 'heart'],
+                ['diamond', 'rose', 'star', 'ring'],
+            ]);
+
+            const { matches, specials } = MatchDetector.findAllMatches(grid);
+
+            expect(matches.length).toBe(6);
+            expect(specials).toEqual([{ row: 0, col: 3, type: 'wrapped', candyType: 'heart' }]);
+        });
+
+        test('registered patterns join detection and replace ones with the same name', () => {
+            const grid = createPatternGrid([
+                ['heart', 'heart', 'heart', 'heart', 'heart'],
+                ['star', 'diamond', 'heart', 'ring', 'star'],
+                ['ring', 'star', 'heart', 'star', 'diamond'],
+                ['diamond', 'rose', 'star', 'ring', 'rose'],
+                ['star', 'ring', 'rose', 'diamond', 'ring'],
+            ]);
+
+            MatchDetector.registerPattern({ name: 'big-t', shape: ['XX*XX', '..X..', '..X..'], priority: 50, special: 'wrapped' });
+            expect(MatchDetector.findAllMatches(grid).specials).toEqual([
+                { row: 0, col: 2, type: 'wrapped', candyType: 'heart' }
+            ]);
+
+            MatchDetector.registerPattern({ name: 'line-5', shape: ['XX*XX'], priority: 60, special: 'color-bomb' });
+            expect(MatchDetector.patterns.filter(p => p.name === 'line-5').length).toBe(1);
+            expect(MatchDetector.findAllMatches(grid).specials[0].type).toBe('color-bomb');
+        });
+
+        test('rejects broken definitions', () => {
+            expect(() => MatchDetector.registerPattern({ shape: ['XXX'] })).toThrow('needs a name');
+            expect(() => MatchDetector.registerPattern({ name: 'x', shape: ['XXX'], special: 'fish' })).toThrow('unknown special');
+            expect(() => MatchDetector.registerPattern({ name: 'x', shape: ['XOX'] })).toThrow('X, * and .');
+            expect(() => MatchDetector.registerPattern({ name: 'x', shape: ['X*'] })).toThrow('at least 3 cells');
+            expect(() => MatchDetector.registerPattern({ name: 'x', shape: ['**X'] })).toThrow('at most one *');
+        });
+
+        test('addPatterns skips invalid config entries', () => {
+            const added = MatchDetector.addPatterns([
+                { name: 'big-t', shape: ['XX*XX', '..X..', '..X..'], priority: 50, special: 'color-bomb' },
+                { name: 'broken', shape: 'XXX' },
+                null
+            ]);
+
+            expect(added).toEqual(['big-t']);
+            expect(MatchDetector.addPatterns(undefined)).toEqual([]);
+            expect(MatchDetector.patterns[0].name).toBe('big-t');
+        });
+    });
+
     describe('wouldMatch', () => {
         test('returns true when swap creates a match', () => {
             // Create a grid where swapping creates a horizontal match of 3
@@ -274,6 +466,26 @@ describe('MatchDetector', () => {
             expect(MatchDetector.wouldMatch(grid, { row: 1, col: 1 }, { row: 1, col: 2 })).toBe(false);
         });
 
+        test('holes never swap', () => {
+            const grid = createPatternGrid([
+                ['star', 'heart', 'heart', 'star'],
+                ['heart', 'diamond', 'rose', 'ring'],
+            ]);
+            grid[1][0] = false;
+
+            expect(MatchDetector.wouldMatch(grid, { row: 0, col: 0 }, { row: 1, col: 0 })).toBe(false);
+        });
+
+        test('locked specials do not combine', () => {
+            const grid = createPatternGrid([
+                ['heart', 'star', 'ring'],
+            ]);
+            grid[0][0].special = 'color-bomb';
+            grid[0][0].locked = true;
+
+            expect(MatchDetector.isSpecialCombination(grid, { row: 0, col: 0 }, { row: 0, col: 1 })).toBeNull();
+        });
+
         test('returns true for special candy combinations', () => {
             const grid = createPatternGrid([
                 ['heart', 'star', 'ring'],
@@ -319,6 +531,26 @@ describe('MatchDetector', () => {
             expect(result.length).toBe(2);
         });
 
+        test('never offers a move that swaps a locked tile', () => {
+            const grid = createPatternGrid([
+                ['heart', 'star', 'heart', 'heart'],
+                ['star', 'diamond', 'rose', 'ring'],
+                ['ring', 'star', 'diamond', 'rose'],
+            ]);
+            grid[0][1].locked = true;
+
+            expect(MatchDetector.wouldMatch(grid, { row: 0, col: 0 }, { row: 0, col: 1 })).toBe(false);
+            MatchDetector.findAllPossibleMatches(grid).forEach(move => {
+                expect(move).not.toContainEqual({ row: 0, col: 1 });
+            });
+
+            // A locked tile still counts toward a match made around it
+            grid[0][1].locked = false;
+            grid[0][0].locked = true;
+            grid[1][1].type = 'heart';
+            expect(MatchDetector.wouldMatch(grid, { row: 0, col: 1 }, { row: 1, col: 1 })).toBe(true);
+        });
+
         test('returns null when no moves available', () => {
             // A grid designed with no possible matches - uses 5 colors carefully arranged
             // Each swap would not create 3 in a row
@@ -336,6 +568,39 @@ describe('MatchDetector', () => {
         });
     });
 
+    describe('findAllPossibleMatches', () => {
+        test('lists every legal swap in reading order', () => {
+            const grid = createPatternGrid([
+                ['heart', 'star', 'heart', 'heart'],
+                ['star', 'diamond', 'rose', 'ring'],
+                ['ring', 'star', 'diamond', 'rose'],
+                ['diamond', 'rose', 'star', 'ring'],
+            ]);
+
+            const moves = MatchDetector.findAllPossibleMatches(grid);
+
+            expect(moves).toContainEqual([{ row: 0, col: 0 }, { row: 0, col: 1 }]);
+            expect(moves).toContainEqual([{ row: 1, col: 0 }, { row: 1, col: 1 }]);
+            expect(moves[0]).toEqual(MatchDetector.findPossibleMatch(grid));
+            moves.forEach(([pos1, pos2]) => {
+                expect(MatchDetector.wouldMatch(grid, pos1, pos2)).toBe(true);
+            });
+        });
+
+        test('includes special combinations', () => {
+            const grid = createPatternGrid([
+                ['heart', 'star'],
+                ['ring', 'rose'],
+            ]);
+            grid[1][0].special = 'striped-h';
+            grid[1][1].special = 'wrapped';
+
+            expect(MatchDetector.findAllPossibleMatches(grid)).toEqual([
+                [{ row: 1, col: 0 }, { row: 1, col: 1 }],
+            ]);
+        });
+    });
+
     describe('isSpecialCandy', () => {
         test('returns special type for striped candy', () => {
             const tile = { type: 'heart', special: 'striped-h' };
@@ -419,6 +684,28 @@ describe('MatchDetector', () => {
             const result = MatchDetector.isSpecialCombination(grid, { row: 0, col: 0 }, { row: 0, col: 1 });
             expect(result).toBeNull();
         });
+
+        test('detects color bomb swapped with a plain candy', () => {
+            const grid = createPatternGrid([
+                ['heart', 'star'],
+            ]);
+            grid[0][0].special = 'color-bomb';
+
+            const result = MatchDetector.isSpecialCombination(grid, { row: 0, col: 0 }, { row: 0, col: 1 });
+
+            expect(result).not.toBeNull();
+            expect(result.combinationType).toBe('color-bomb');
+        });
+
+        test('makes color bomb swaps valid moves', () => {
+            const grid = createPatternGrid([
+                ['heart', 'star', 'ring'],
+                ['diamond', 'rose', 'heart'],
+            ]);
+            grid[1][1].special = 'color-bomb';
+
+            expect(MatchDetector.wouldMatch(grid, { row: 1, col: 1 }, { row: 0, col: 1 })).toBe(true);
+        });
     });
 
     describe('getSpecialClearPositions', () => {
@@ -454,6 +741,19 @@ describe('MatchDetector', () => {
             });
         });
 
+        test('clears the most common color when a color bomb is set off', () => {
+            const grid = createPatternGrid([
+                ['heart', 'star', 'heart'],
+                ['ring', 'heart', 'star'],
+            ]);
+            grid[1][0].special = 'color-bomb';
+
+            const positions = MatchDetector.getSpecialClearPositions(grid, { row: 1, col: 0 }, 'color-bomb');
+            const keys = positions.map(p => `${p.row},${p.col}`).sort();
+
+            expect(keys).toEqual(['0,0', '0,2', '1,0', '1,1']);
+        });
+
         test('handles wrapped candy at edge correctly', () => {
             const grid = createMockGrid(8);
             const positions = MatchDetector.getSpecialClearPositions(grid, { row: 0, col: 0 }, 'wrapped');
@@ -504,6 +804,85 @@ describe('MatchDetector', () => {
 
             expect(positions.length).toBe(25); // 5x5
         });
+
+        test('clears every tile of the swapped color for color-bomb', () => {
+            const grid = createPatternGrid([
+                ['heart', 'star', 'heart'],
+                ['ring', 'heart', 'rose'],
+                ['star', 'ring', 'heart'],
+            ]);
+            grid[0][1].special = 'color-bomb';
+            const combination = MatchDetector.isSpecialCombination(grid, { row: 0, col: 1 }, { row: 0, col: 0 });
+
+            const positions = MatchDetector.getSpecialCombinationClearPositions(grid, combination);
+            const keys = positions.map(p => `${p.row},${p.col}`).sort();
+
+            expect(keys).toEqual(['0,0', '0,1', '0,2', '1,1', '2,2']);
+            positions.forEach(pos => expect(pos.animation).toBe('color-blast'));
+        });
+
+        test('turns that color striped and fires them for bomb-striped', () => {
+            const grid = createPatternGrid([
+                ['heart', 'star', 'ring', 'rose'],
+                ['ring', 'rose', 'star', 'diamond'],
+                ['star', 'ring', 'heart', 'rose'],
+                ['diamond', 'star', 'rose', 'ring'],
+            ]);
+            grid[0][1].special = 'color-bomb';
+            grid[0][0].special = 'striped-v';
+            const combination = MatchDetector.isSpecialCombination(grid, { row: 0, col: 1 }, { row: 0, col: 0 });
+
+            const transforms = MatchDetector.getColorBombTransforms(grid, combination);
+            const positions = MatchDetector.getSpecialCombinationClearPositions(grid, combination);
+            const keys = new Set(positions.map(p => `${p.row},${p.col}`));
+
+            expect(combination.combinationType).toBe('bomb-striped');
+            expect(transforms).toEqual([
+                { row: 0, col: 0, special: 'striped-h', candyType: 'heart' },
+                { row: 2, col: 2, special: 'striped-h', candyType: 'heart' }
+            ]);
+            // Rows 0 and 2 are cleared
+            for (let col = 0; col < 4; col++) {
+                expect(keys.has(`0,${col}`)).toBe(true);
+                expect(keys.has(`2,${col}`)).toBe(true);
+            }
+            expect(keys.has('1,0')).toBe(false);
+        });
+
+        test('turns that color wrapped and explodes them for bomb-wrapped', () => {
+            const grid = createPatternGrid([
+                ['heart', 'star', 'ring', 'rose', 'diamond'],
+                ['ring', 'rose', 'star', 'diamond', 'star'],
+                ['star', 'ring', 'diamond', 'rose', 'ring'],
+                ['diamond', 'star', 'rose', 'ring', 'rose'],
+                ['rose', 'diamond', 'star', 'ring', 'heart'],
+            ]);
+            grid[0][1].special = 'color-bomb';
+            grid[0][0].special = 'wrapped';
+            const combination = MatchDetector.isSpecialCombination(grid, { row: 0, col: 1 }, { row: 0, col: 0 });
+
+            const transforms = MatchDetector.getColorBombTransforms(grid, combination);
+            const positions = MatchDetector.getSpecialCombinationClearPositions(grid, combination);
+            const keys = new Set(positions.map(p => `${p.row},${p.col}`));
+
+            expect(combination.combinationType).toBe('bomb-wrapped');
+            expect(transforms.map(t => t.special)).toEqual(['wrapped', 'wrapped']);
+            expect(keys.has('1,1')).toBe(true);
+            expect(keys.has('3,3')).toBe(true);
+            expect(keys.has('2,2')).toBe(false);
+        });
+
+        test('clears the whole board for bomb-bomb', () => {
+            const grid = createMockGrid(6);
+            grid[2][2].special = 'color-bomb';
+            grid[2][3].special = 'color-bomb';
+            const combination = MatchDetector.isSpecialCombination(grid, { row: 2, col: 2 }, { row: 2, col: 3 });
+
+            const positions = MatchDetector.getSpecialCombinationClearPositions(grid, combination);
+
+            expect(combination.combinationType).toBe('bomb-bomb');
+            expect(positions.length).toBe(36);
+        });
     });
 
     describe('getCombinationType', () => {
@@ -521,5 +900,12 @@ describe('MatchDetector', () => {
         test('identifies wrapped-wrapped combinations', () => {
             expect(MatchDetector.getCombinationType('wrapped', 'wrapped')).toBe('wrapped-wrapped');
         });
+
+        test('identifies color bomb combinations', () => {
+            expect(MatchDetector.getCombinationType('color-bomb', null)).toBe('color-bomb');
+            expect(MatchDetector.getCombinationType('striped-v', 'color-bomb')).toBe('bomb-striped');
+            expect(MatchDetector.getCombinationType('color-bomb', 'wrapped')).toBe('bomb-wrapped');
+            expect(MatchDetector.getCombinationType('color-bomb', 'color-bomb')).toBe('bomb-bomb');
+        });
     });
 });
@@ -33,6 +33,9 @@ global.AudioManager = {
     playSound: jest.fn(),
 };
 
+// Seeded RNG (real module)
+require('../js/random.js');
+
 // Load MemorySystem module
 const memoriesCode = fs.readFileSync(path.join(__dirname, '../js/memories.js'), 'utf8');
 
@@ -186,6 +189,31 @@ describe('MemorySystem', () => {
             // Expect majority to be inner positions (should be around 80%)
             expect(innerCount / totalPositions).toBeGreaterThan(0.5);
         });
+
+        test('only uses playable cells of a masked board', () => {
+            const mask = [
+                [false, true, false],
+                [true, true, true],
+                [false, true, false]
+            ];
+
+            for (let i = 0; i < 20; i++) {
+                const positions = MemorySystem.generateMemoryPositions(3, 9, mask);
+
+                expect(positions.length).toBe(5);
+                expect(new Set(positions.map(p => `${p.row},${p.col}`)).size).toBe(5);
+                positions.forEach(pos => expect(mask[pos.row][pos.col]).toBe(true));
+            }
+        });
+
+        test('same seed places memories identically', () => {
+            Random.setSeed(2024);
+            const first = MemorySystem.generateMemoryPositions(8);
+            Random.setSeed(2024);
+            const second = MemorySystem.generateMemoryPositions(8);
+
+            expect(second).toEqual(first);
+        });
     });
 
     describe('revealMemory', () => {
@@ -394,6 +422,27 @@ describe('MemorySystem', () => {
         });
     });
 
+    describe('restore', () => {
+        test('marks the first memories as revealed', () => {
+            MemorySystem.init(mockMemories);
+
+            MemorySystem.restore(2);
+
+            expect(MemorySystem.revealedCount).toBe(2);
+            expect(MemorySystem.memories.map(m => m.revealed)).toEqual([true, true, false]);
+            expect(document.getElementById('memories-count').textContent).toBe('2');
+        });
+
+        test('clamps to the number of memories', () => {
+            MemorySystem.init(mockMemories);
+
+            MemorySystem.restore(9);
+
+            expect(MemorySystem.isComplete()).toBe(true);
+            expect(MemorySystem.revealedCount).toBe(3);
+        });
+    });
+
     describe('reset', () => {
         beforeEach(() => {
             MemorySystem.init(mockMemories);
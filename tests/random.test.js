@@ -0,0 +1,138 @@
+/**
+ * Random Tests
+ * Tests for the seeded random number generator
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Load Random module
+const randomCode = fs.readFileSync(path.join(__dirname, '../js/random.js'), 'utf8');
+eval(randomCode);
+
+describe('Random', () => {
+    describe('setSeed', () => {
+        test('returns the normalized seed', () => {
+            expect(Random.setSeed(1234)).toBe(1234);
+            expect(Random.seed).toBe(1234);
+        });
+
+        test('picks a seed when none is given', () => {
+            const seed = Random.setSeed();
+
+            expect(Number.isInteger(seed)).toBe(true);
+            expect(seed).toBeGreaterThanOrEqual(0);
+        });
+
+        test('treats null as no seed', () => {
+            const seed = Random.setSeed(null);
+
+            expect(Number.isInteger(seed)).toBe(true);
+        });
+    });
+
+    describe('normalizeSeed', () => {
+        test('parses numeric strings as numbers', () => {
+            expect(Random.normalizeSeed('42')).toBe(42);
+        });
+
+        test('hashes text seeds consistently', () => {
+            const a = Random.normalizeSeed('our-first-date');
+            const b = Random.normalizeSeed('our-first-date');
+
+            expect(a).toBe(b);
+            expect(a).not.toBe(Random.normalizeSeed('our-second-date'));
+        });
+
+        test('keeps seeds within 32 bits', () => {
+            expect(Random.normalizeSeed(2 ** 40 + 5)).toBeLessThan(2 ** 32);
+            expect(Random.normalizeSeed(-7)).toBe(7);
+        });
+    });
+
+    describe('next', () => {
+        test('returns floats in [0, 1)', () => {
+            Random.setSeed(7);
+            for (let i = 0; i < 1000; i++) {
+                const value = Random.next();
+                expect(value).toBeGreaterThanOrEqual(0);
+                expect(value).toBeLessThan(1);
+            }
+        });
+
+        test('same seed gives the same sequence', () => {
+            Random.setSeed(99);
+            const first = Array.from({ length: 10 }, () => Random.next());
+            Random.setSeed(99);
+            const second = Array.from({ length: 10 }, () => Random.next());
+
+            expect(second).toEqual(first);
+        });
+
+        test('different seeds give different sequences', () => {
+            Random.setSeed(1);
+            const first = Array.from({ length: 10 }, () => Random.next());
+            Random.setSeed(2);
+            const second = Array.from({ length: 10 }, () => Random.next());
+
+            expect(second).not.toEqual(first);
+        });
+    });
+
+    describe('int', () => {
+        test('returns integers below max', () => {
+            Random.setSeed(3);
+            for (let i = 0; i < 500; i++) {
+                const value = Random.int(5);
+                expect(Number.isInteger(value)).toBe(true);
+                expect(value).toBeGreaterThanOrEqual(0);
+                expect(value).toBeLessThan(5);
+            }
+        });
+    });
+
+    describe('pick', () => {
+        test('returns an element of the array', () => {
+            const items = ['heart', 'star', 'ring'];
+            for (let i = 0; i < 50; i++) {
+                expect(items).toContain(Random.pick(items));
+            }
+        });
+    });
+
+    describe('pickWeighted', () => {
+        test('never picks an item with no weight', () => {
+            for (let i = 0; i < 50; i++) {
+                expect(Random.pickWeighted(['heart', 'star', 'ring'], [1, 0, 2])).not.toBe('star');
+            }
+        });
+
+        test('favors heavier items', () => {
+            Random.setSeed(3);
+            const counts = { heart: 0, star: 0 };
+            for (let i = 0; i < 1000; i++) {
+                counts[Random.pickWeighted(['heart', 'star'], [3, 1])]++;
+            }
+
+            expect(counts.heart).toBeGreaterThan(counts.star * 2);
+        });
+
+        test('falls back to an even pick when every weight is zero', () => {
+            expect(['heart', 'star']).toContain(Random.pickWeighted(['heart', 'star'], [0, 0]));
+        });
+    });
+
+    describe('getState / setState', () => {
+        test('restoring state replays the sequence', () => {
+            Random.setSeed(555);
+            Random.next();
+            const snapshot = Random.getState();
+            const expected = [Random.next(), Random.next()];
+
+            Random.setState(snapshot);
+
+            expect([Random.next(), Random.next()]).toEqual(expected);
+            expect(Random.seed).toBe(555);
+        });
+    });
+});
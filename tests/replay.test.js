@@ -0,0 +1,164 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Replay Tests
+ * Tests for recording games and playing them back
+ */
+
+global.Autoplay = { stop: jest.fn() };
+const Replay = require('../js/replay.js');
+
+const at = (row, col) => ({ row, col });
+
+describe('Replay', () => {
+    beforeEach(() => {
+        jest.useFakeTimers({ now: 1000000 });
+        Replay.recording = null;
+        Replay.watching = null;
+        Replay.onChange = null;
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    describe('recording', () => {
+        test('records seeds and timed swaps, undos and prompt answers', () => {
+            Replay.begin('abc');
+            Replay.recordSeed(0, 42);
+
+            jest.advanceTimersByTime(1200);
+            Replay.record(at(2, 3), at(2, 4));
+            jest.advanceTimersByTime(800);
+            Replay.record('undo');
+            Replay.record('bonus');
+
+            expect(Replay.recording).toMatchObject({
+                version: 1,
+                fingerprint: 'abc',
+                seeds: [42],
+                events: [[1200, 2, 3, 2, 4], [2000, 'undo'], [2000, 'bonus']]
+            });
+        });
+
+        test('records nothing without a game', () => {
+            Replay.record(at(0, 0), at(0, 1));
+            Replay.recordSeed(0, 1);
+
+            expect(Replay.recording).toBeNull();
+        });
+
+        test('a resumed game carries on the timeline', () => {
+            Replay.resume({ version: 1, fingerprint: 'abc', seeds: [1], events: [[5000, 0, 0, 0, 1]] });
+
+            jest.advanceTimersByTime(300);
+            Replay.record(at(1, 1), at(1, 2));
+
+            expect(Replay.recording.events[1]).toEqual([5300, 1, 1, 1, 2]);
+        });
+
+        test('a save without a recording stops recording', () => {
+            Replay.begin('abc');
+            Replay.resume(undefined);
+
+            expect(Replay.recording).toBeNull();
+        });
+    });
+
+    describe('files', () => {
+        test('round-trips through JSON', () => {
+            Replay.begin('abc');
+            Replay.recordSeed(0, 7);
+            Replay.record(at(0, 0), at(1, 0));
+
+            expect(Replay.parse(Replay.serialize())).toEqual(Replay.recording);
+        });
+
+        test('rejects files that are not replays', () => {
+            expect(() => Replay.parse('not json')).toThrow('This file is not a replay');
+            expect(() => Replay.parse('{"version":1}')).toThrow('This file is not a replay');
+            expect(() => Replay.parse(JSON.stringify({
+                version: 1, fingerprint: 'abc', seeds: [], events: [[0, 'jump']]
+            }))).toThrow('This file is not a replay');
+        });
+    });
+
+    describe('playback', () => {
+        const recording = {
+            version: 1,
+            fingerprint: 'abc',
+            seeds: [11, 22],
+            events: [[1000, 0, 0, 0, 1], [1500, 'undo'], [60000, 'bonus'], [90000, 2, 2, 3, 2], [91000, 'end']]
+        };
+
+        beforeEach(() => {
+            Replay.watch(recording);
+        });
+
+        test('deals each level from its recorded seed', () => {
+            expect(Replay.seedFor(1)).toBe(22);
+            expect(Replay.seedFor(5)).toBeNull();
+
+            Replay.watching = null;
+            expect(Replay.seedFor(0)).toBeNull();
+        });
+
+        test('plays moves at the recorded pace', () => {
+            expect(Replay.nextAction(0)).toBeNull();
+            expect(Replay.nextAction(999)).toBeNull();
+            expect(Replay.nextAction(1000)).toEqual({ swap: [at(0, 0), at(0, 1)] });
+
+            expect(Replay.nextAction(1400)).toBeNull();
+            expect(Replay.nextAction(1500)).toEqual({ undo: true });
+        });
+
+        test('shortens long pauses and follows the speed', () => {
+            Replay.watching.index = 3;
+            Replay.nextSpeed();
+            Replay.nextSpeed();
+            expect(Replay.watching.speed).toBe(4);
+
+            // 30 seconds of thinking become 4, played at 4x
+            expect(Replay.nextAction(0)).toBeNull();
+            expect(Replay.nextAction(999)).toBeNull();
+            expect(Replay.nextAction(1000)).toEqual({ swap: [at(2, 2), at(3, 2)] });
+        });
+
+        test('holds while paused, but steps on request', () => {
+            Replay.togglePause();
+
+            expect(Replay.nextAction(0)).toBeNull();
+            expect(Replay.nextAction(5000)).toBeNull();
+
+            Replay.step();
+            expect(Replay.nextAction(5001)).toEqual({ swap: [at(0, 0), at(0, 1)] });
+            expect(Replay.nextAction(9000)).toBeNull();
+        });
+
+        test('answers the prompt the way the player did', () => {
+            Replay.watching.index = 2;
+            expect(Replay.takeBonus()).toBe(true);
+
+            Replay.watching.index = 4;
+            expect(Replay.takeBonus()).toBe(false);
+        });
+
+        test('tops up a clock that ran out early', () => {
+            expect(Replay.takeBonus()).toBe(true);
+            expect(Replay.watching.index).toBe(0);
+        });
+
+        test('hands the game back when the recording runs out', () => {
+            const onChange = jest.fn();
+            Replay.onChange = onChange;
+            Replay.watching.index = recording.events.length;
+
+            expect(Replay.nextAction(0)).toBeNull();
+            expect(Replay.watching).toBeNull();
+            expect(Autoplay.stop).toHaveBeenCalled();
+            expect(onChange).toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,115 @@
+/**
+ * SaveGame Tests
+ * Tests for localStorage snapshots and config fingerprints
+ */
+
+global.Utils = require('../js/utils.js');
+const SaveGame = require('../js/save.js');
+
+describe('SaveGame', () => {
+    const config = { gridSize: 2, startingMoves: 30, levels: [] };
+    const memoryList = [{ image: 'a.jpg', text: 'First' }];
+
+    function snapshot(extra = {}) {
+        return {
+            level: 0,
+            rows: 2,
+            cols: 2,
+            board: [
+                [{ type: 'heart', special: null }, { type: 'star', special: 'wrapped' }],
+                [{ type: 'ring', special: null, isMemory: true, memoryId: 0 }, { type: 'heart', special: null }]
+            ],
+            moves: 20,
+            revealedCount: 0,
+            ...extra
+        };
+    }
+
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    describe('fingerprint', () => {
+        test('is stable for the same config', () => {
+            expect(SaveGame.fingerprint(config, memoryList)).toBe(SaveGame.fingerprint({ ...config }, [...memoryList]));
+        });
+
+        test('changes when photos, board or levels change', () => {
+            const base = SaveGame.fingerprint(config, memoryList);
+
+            expect(SaveGame.fingerprint(config, [{ image: 'b.jpg', text: 'First' }])).not.toBe(base);
+            expect(SaveGame.fingerprint({ ...config, gridSize: 3 }, memoryList)).not.toBe(base);
+            expect(SaveGame.fingerprint({ ...config, levels: [{ memories: 1 }] }, memoryList)).not.toBe(base);
+            expect(SaveGame.fingerprint({ ...config, matchPatterns: [{ name: 'x', shape: ['XXX'] }] }, memoryList)).not.toBe(base);
+        });
+    });
+
+    describe('save and load', () => {
+        test('round-trips a snapshot', () => {
+            const fingerprint = SaveGame.fingerprint(config, memoryList);
+
+            expect(SaveGame.save(snapshot(), fingerprint)).toBe(true);
+            const loaded = SaveGame.load(fingerprint);
+
+            expect(loaded.board).toEqual(snapshot().board);
+            expect(loaded.moves).toBe(20);
+            expect(loaded.fingerprint).toBe(fingerprint);
+        });
+
+        test('keeps boards with holes, empty cells or a rectangular shape', () => {
+            const shaped = snapshot({
+                board: [
+                    [false, { type: 'heart', special: null }, { type: 'star', special: null }],
+                    [{ type: 'ring', special: null, locked: true }, null, false]
+                ],
+                cols: 3
+            });
+
+            SaveGame.save(shaped, 'abc');
+
+            expect(SaveGame.load('abc').board).toEqual(shaped.board);
+        });
+
+        test('returns null when nothing is saved', () => {
+            expect(SaveGame.load('abc')).toBeNull();
+        });
+
+        test('drops a save from another config', () => {
+            SaveGame.save(snapshot(), 'old');
+
+            expect(SaveGame.load('new')).toBeNull();
+            expect(localStorage.getItem(SaveGame.storageKey)).toBeNull();
+        });
+
+        test('drops unreadable or malformed saves', () => {
+            localStorage.setItem(SaveGame.storageKey, '{not json');
+            expect(SaveGame.load('abc')).toBeNull();
+
+            SaveGame.save(snapshot({ board: [[{ type: 'heart' }]] }), 'abc');
+            expect(SaveGame.load('abc')).toBeNull();
+
+            SaveGame.save(snapshot({ rows: 3 }), 'abc');
+            expect(SaveGame.load('abc')).toBeNull();
+
+            localStorage.setItem(SaveGame.storageKey, JSON.stringify({ ...snapshot(), version: 0, fingerprint: 'abc' }));
+            expect(SaveGame.load('abc')).toBeNull();
+        });
+
+        test('reports when storage is unavailable', () => {
+            const setItem = jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+                throw new Error('QuotaExceededError');
+            });
+
+            expect(SaveGame.save(snapshot(), 'abc')).toBe(false);
+            setItem.mockRestore();
+        });
+    });
+
+    test('clear removes the save', () => {
+        SaveGame.save(snapshot(), 'abc');
+
+        SaveGame.clear();
+
+        expect(SaveGame.load('abc')).toBeNull();
+    });
+});
@@ -0,0 +1,74 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Score Tests
+ * Tests for points, special bonuses and cascade multipliers
+ */
+
+const Score = require('../js/score.js');
+
+describe('Score', () => {
+    beforeEach(() => {
+        Score.reset();
+    });
+
+    describe('scoreClear', () => {
+        test('awards points per tile', () => {
+            const result = Score.scoreClear({ tiles: 3 });
+
+            expect(result).toEqual({ points: 60, multiplier: 1 });
+            expect(Score.total).toBe(60);
+        });
+
+        test('adds bonuses for specials made and set off', () => {
+            const made = Score.scoreClear({ tiles: 4, created: [{ type: 'striped-h' }] });
+            const fired = Score.scoreClear({ tiles: 10, activated: [{ type: 'wrapped' }] });
+
+            expect(made.points).toBe(80 + 60);
+            expect(fired.points).toBe(200 + 150);
+        });
+
+        test('rewards longer matches with stronger specials', () => {
+            const four = Score.scoreClear({ tiles: 4, created: [{ type: 'striped-v' }] }).points;
+            const five = Score.scoreClear({ tiles: 5, created: [{ type: 'color-bomb' }] }).points;
+
+            expect(five).toBeGreaterThan(four);
+        });
+
+        test('multiplies each cascade', () => {
+            expect(Score.scoreClear({ tiles: 3, cascade: 1 }).points).toBe(60);
+            expect(Score.scoreClear({ tiles: 3, cascade: 2 }).points).toBe(120);
+            expect(Score.scoreClear({ tiles: 3, cascade: 3 })).toEqual({ points: 180, multiplier: 3 });
+            expect(Score.total).toBe(360);
+        });
+    });
+
+    describe('scoreCombination', () => {
+        test('adds the combination bonus', () => {
+            expect(Score.scoreCombination('wrapped-wrapped', 25).points).toBe(500 + 1000);
+        });
+
+        test('ranks color bomb combinations highest', () => {
+            const stripes = Score.scoreCombination('striped-striped', 0).points;
+            const bombs = Score.scoreCombination('bomb-bomb', 0).points;
+
+            expect(bombs).toBeGreaterThan(stripes);
+        });
+
+        test('counts specials caught in the blast', () => {
+            const { points } = Score.scoreCombination('striped-striped', 10, [{ type: 'striped-h' }]);
+
+            expect(points).toBe(200 + 400 + 100);
+        });
+    });
+
+    test('reset clears the total', () => {
+        Score.scoreClear({ tiles: 3 });
+
+        Score.reset();
+
+        expect(Score.total).toBe(0);
+    });
+});
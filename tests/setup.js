@@ -32,44 +32,47 @@ global.Audio = MockAudio;
 global.requestAnimationFrame = (callback) => setTimeout(callback, 16);
 global.cancelAnimationFrame = (id) => clearTimeout(id);
 
-// Mock matchMedia
-Object.defineProperty(window, 'matchMedia', {
-    writable: true,
-    value: jest.fn().mockImplementation(query => ({
-        matches: false,
-        media: query,
-        onchange: null,
-        addListener: jest.fn(),
-        removeListener: jest.fn(),
-        addEventListener: jest.fn(),
-        removeEventListener: jest.fn(),
-        dispatchEvent: jest.fn(),
-    })),
-});
-
-// Mock getBoundingClientRect
-Element.prototype.getBoundingClientRect = jest.fn(() => ({
-    width: 50,
-    height: 50,
-    top: 0,
-    left: 0,
-    bottom: 50,
-    right: 50,
-    x: 0,
-    y: 0,
-    toJSON: () => {}
-}));
-
-// Mock offsetHeight/offsetWidth (for force reflow tricks)
-Object.defineProperty(HTMLElement.prototype, 'offsetHeight', {
-    configurable: true,
-    get: function() { return 50; }
-});
-
-Object.defineProperty(HTMLElement.prototype, 'offsetWidth', {
-    configurable: true,
-    get: function() { return 50; }
-});
+// DOM mocks (skipped for tests that run in the plain Node environment)
+if (typeof window !== 'undefined') {
+    // Mock matchMedia
+    Object.defineProperty(window, 'matchMedia', {
+        writable: true,
+        value: jest.fn().mockImplementation(query => ({
+            matches: false,
+            media: query,
+            onchange: null,
+            addListener: jest.fn(),
+            removeListener: jest.fn(),
+            addEventListener: jest.fn(),
+            removeEventListener: jest.fn(),
+            dispatchEvent: jest.fn(),
+        })),
+    });
+
+    // Mock getBoundingClientRect
+    Element.prototype.getBoundingClientRect = jest.fn(() => ({
+        width: 50,
+        height: 50,
+        top: 0,
+        left: 0,
+        bottom: 50,
+        right: 50,
+        x: 0,
+        y: 0,
+        toJSON: () => {}
+    }));
+
+    // Mock offsetHeight/offsetWidth (for force reflow tricks)
+    Object.defineProperty(HTMLElement.prototype, 'offsetHeight', {
+        configurable: true,
+        get: function() { return 50; }
+    });
+
+    Object.defineProperty(HTMLElement.prototype, 'offsetWidth', {
+        configurable: true,
+        get: function() { return 50; }
+    });
+}
 
 // Suppress console warnings in tests (optional - can be commented out for debugging)
 // global.console = {
@@ -116,7 +119,9 @@ global.flushPromises = () => new Promise(resolve => setImmediate(resolve));
 afterEach(() => {
     jest.clearAllMocks();
     jest.clearAllTimers();
-    document.body.innerHTML = '';
+    if (typeof document !== 'undefined') {
+        document.body.innerHTML = '';
+    }
 });
 
 // Use fake timers by default
@@ -0,0 +1,124 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Simulator Tests
+ * Tests for the headless batch simulator
+ */
+
+const path = require('path');
+const Simulator = require('../tools/simulate.js');
+
+describe('Simulator', () => {
+    const options = {
+        games: 5,
+        moves: 30,
+        gridSize: 6,
+        memories: 3,
+        strategy: 'greedy',
+        seed: 1,
+        target: 0.8,
+        maxMoves: 300
+    };
+
+    describe('listLegalMoves', () => {
+        test('lists only swaps that make a match', () => {
+            const board = createPatternGrid([
+                ['star', 'heart', 'heart'],
+                ['heart', 'diamond', 'rose'],
+                ['ring', 'star', 'diamond'],
+            ]);
+
+            const moves = Simulator.listLegalMoves(board);
+
+            expect(moves).toContainEqual([{ row: 0, col: 0 }, { row: 1, col: 0 }]);
+            moves.forEach(([pos1, pos2]) => {
+                expect(MatchDetector.wouldMatch(board, pos1, pos2)).toBe(true);
+            });
+        });
+    });
+
+    describe('runSimulation', () => {
+        test('reports the balancing numbers', () => {
+            const report = Simulator.runSimulation(options);
+
+            expect(report.games).toBe(5);
+            expect(report.winRate).toBeGreaterThanOrEqual(0);
+            expect(report.winRate).toBeLessThanOrEqual(1);
+            expect(report.meanMovesUsed).toBeGreaterThan(0);
+            expect(report.bonusRate).toBeCloseTo(1 - report.winRate);
+            expect(report).toHaveProperty('shuffleRate');
+            expect(report).toHaveProperty('recommendedMoves');
+        });
+
+        test('is deterministic for a seed', () => {
+            expect(Simulator.runSimulation(options)).toEqual(Simulator.runSimulation(options));
+        });
+
+        test('accepts a custom strategy function', () => {
+            const strategy = jest.fn((state, moves) => moves[moves.length - 1]);
+
+            const report = Simulator.runSimulation({ ...options, games: 2, strategy });
+
+            expect(strategy).toHaveBeenCalled();
+            expect(report.strategy).toBe('custom');
+        });
+
+        test('every built-in strategy only picks legal moves', () => {
+            for (const strategy of ['random', 'first', 'greedy']) {
+                expect(() => Simulator.runSimulation({ ...options, games: 2, strategy })).not.toThrow();
+            }
+        });
+    });
+
+    describe('recommendBudget', () => {
+        test('rounds the target percentile up to 5', () => {
+            expect(Simulator.recommendBudget([10, 20, 31, 40], 4, 0.75)).toBe(35);
+        });
+
+        test('returns null when too few games finished', () => {
+            expect(Simulator.recommendBudget([10], 4, 0.75)).toBeNull();
+        });
+    });
+
+    describe('loadConfig', () => {
+        test('reads settings from my-config.js', () => {
+            const config = Simulator.loadConfig(path.join(__dirname, '../customize/my-config.js'));
+
+            expect(config).toEqual({
+                moves: 75,
+                gridSize: 8,
+                layout: null,
+                memories: 10,
+                difficulty: { helperBias: 0.4, adaptive: false, weights: {} },
+                matchPatterns: [],
+                tileTypes: ['heart', 'diamond', 'rose', 'star', 'ring']
+            });
+        });
+    });
+
+    describe('parseArgs', () => {
+        test('parses numeric and text options', () => {
+            expect(Simulator.parseArgs(['--games', '200', '--grid', '7', '--strategy', 'random', '--json']))
+                .toEqual({ games: 200, gridSize: 7, strategy: 'random', json: true });
+        });
+
+        test('rejects unknown options', () => {
+            expect(() => Simulator.parseArgs(['--speed', '3'])).toThrow('Unknown or incomplete option');
+        });
+
+        test('rejects non-numeric values', () => {
+            expect(() => Simulator.parseArgs(['--games', 'lots'])).toThrow('expects a number');
+        });
+    });
+
+    describe('formatReport', () => {
+        test('includes the recommendation', () => {
+            const text = Simulator.formatReport(Simulator.runSimulation(options));
+
+            expect(text).toContain('Win rate');
+            expect(text).toMatch(/Recommended moves|Too few games/);
+        });
+    });
+});
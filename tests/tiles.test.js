@@ -0,0 +1,94 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * TileSet Tests
+ * Tests for built-in and custom tile sets
+ */
+
+const TileSet = require('../js/tiles.js');
+
+describe('TileSet', () => {
+    test('defaults to the five classic candies', () => {
+        const types = TileSet.init();
+
+        expect(TileSet.names()).toEqual(['heart', 'diamond', 'rose', 'star', 'ring']);
+        expect(types.map(t => t.palette)).toEqual([0, 1, 2, 3, 4]);
+    });
+
+    test('can play with up to seven built-in types', () => {
+        TileSet.init({ count: 7 });
+
+        expect(TileSet.names()).toEqual(['heart', 'diamond', 'rose', 'star', 'ring', 'flower', 'moon']);
+    });
+
+    test('keeps the count between 4 and 7', () => {
+        expect(TileSet.init({ count: 2 }).length).toBe(4);
+        expect(TileSet.init({ count: 12 }).length).toBe(7);
+    });
+
+    test('uses custom tiles and tops up short sets with classic ones', () => {
+        const types = TileSet.init({
+            count: 5,
+            tiles: [
+                { name: 'coffee', label: 'Coffee cup', image: 'customize/tiles/coffee.png' },
+                { name: 'dog', label: 'Biscuit', emoji: '🐶' }
+            ]
+        });
+
+        expect(types.slice(0, 2)).toEqual([
+            { name: 'coffee', label: 'Coffee cup', image: 'customize/tiles/coffee.png', emoji: '', palette: 0 },
+            { name: 'dog', label: 'Biscuit', image: '', emoji: '🐶', palette: 1 }
+        ]);
+        expect(TileSet.names().slice(2)).toEqual(['heart', 'diamond', 'rose']);
+    });
+
+    test('plays every custom tile when no count is given', () => {
+        const tiles = ['a', 'b', 'c', 'd', 'e', 'f'].map(name => ({ name, emoji: name }));
+
+        expect(TileSet.init({ tiles }).length).toBe(6);
+    });
+
+    test('makes names safe and unique', () => {
+        TileSet.init({
+            tiles: [
+                { name: 'Plane Ticket!', emoji: '✈️' },
+                { name: 'plane ticket', emoji: '🎫' },
+                { name: 'wrapped', emoji: '🎁' },
+                { label: 'Pizza', emoji: '🍕' },
+                { name: 'hole', emoji: '🕳️' },
+                { name: 'locked', emoji: '🔒' }
+            ]
+        });
+
+        expect(TileSet.names()).toEqual(['plane-ticket', 'plane-ticket-2', 'wrapped-2', 'pizza', 'hole-2', 'locked-2']);
+    });
+
+    test('keeps clear animation class names free', () => {
+        TileSet.init({
+            tiles: [
+                { name: 'exploding', emoji: '💥' },
+                { name: 'Color Blast', emoji: '🌈' },
+                { name: 'clearing-giant-cross', emoji: '✝️' },
+                { name: 'mega exploding', emoji: '🎆' }
+            ]
+        });
+
+        expect(TileSet.names()).toEqual(['exploding-2', 'color-blast-2', 'clearing-giant-cross-2', 'mega-exploding-2']);
+    });
+
+    test('draws inline SVG through a data URL', () => {
+        const [tile] = TileSet.init({ tiles: [{ name: 'moon', svg: '<svg viewBox="0 0 1 1"></svg>' }] });
+
+        expect(tile.image).toBe('data:image/svg+xml;charset=utf-8,' + encodeURIComponent('<svg viewBox="0 0 1 1"></svg>'));
+        expect(tile.emoji).toBe('');
+    });
+
+    test('ignores markup that is not an SVG', () => {
+        const [tile] = TileSet.init({ tiles: [{ name: 'x', svg: '<script>alert(1)</script>', emoji: '💕' }] });
+
+        expect(tile.image).toBe('');
+        expect(tile.emoji).toBe('💕');
+    });
+});
@@ -279,6 +279,18 @@ describe('Utils', () => {
         });
     });
 
+    describe('hashString', () => {
+        test('returns 8 hex digits', () => {
+            expect(Utils.hashString('hello')).toMatch(/^[0-9a-f]{8}$/);
+            expect(Utils.hashString('')).toBe('811c9dc5');
+        });
+
+        test('is stable and sensitive to changes', () => {
+            expect(Utils.hashString('our-first-date')).toBe(Utils.hashString('our-first-date'));
+            expect(Utils.hashString('our-first-date')).not.toBe(Utils.hashString('our-first-dates'));
+        });
+    });
+
     describe('safeJSONParse', () => {
         test('parses valid JSON', () => {
             expect(Utils.safeJSONParse('{"a":1}')).toEqual({ a: 1 });
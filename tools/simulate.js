@@ -0,0 +1,349 @@
+#!/usr/bin/env node
+/* ============================================
+   BATCH SIMULATOR - Anniversary Candy Crush
+   Plays many headless games to balance difficulty
+   ============================================
+
+   Usage:
+     npm run simulate -- [options]
+
+   Options:
+     --config <file>     Config to read (default: customize/my-config.js)
+     --games <n>         Games to play (default: 1000)
+     --moves <n>         Move budget (default: settings.moves)
+     --grid <n>          Grid size (default: settings.gridSize)
+     --layout <name>     Board shape preset, e.g. heart (default: settings.layout)
+     --memories <n>      Memory tiles per game (default: number of memories)
+     --strategy <name>   random | first | greedy, or a path to a module
+                         exporting (state, moves) => move (default: greedy)
+     --seed <value>      Base seed; game i uses seed + i (default: 1)
+     --target <0-1>      Win rate the recommended budget aims for (default: 0.9)
+     --max-moves <n>     Give up on a game after this many moves (default: 1000)
+     --json              Print the raw report as JSON
+
+   ============================================ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+global.Random = require('../js/random.js');
+global.MatchDetector = require('../js/match.js');
+global.MemorySystem = require('../js/memories.js');
+const Engine = require('../js/engine.js');
+const Difficulty = require('../js/difficulty.js');
+const TileSet = require('../js/tiles.js');
+const Layouts = require('../js/layouts.js');
+
+const BONUS_MOVES = 10;
+
+const defaults = {
+    config: path.join(__dirname, '..', 'customize', 'my-config.js'),
+    games: 1000,
+    strategy: 'greedy',
+    seed: 1,
+    target: 0.9,
+    maxMoves: 1000
+};
+
+// ==========================================
+// MOVE STRATEGIES
+// ==========================================
+
+/**
+ * List every swap that the game would accept
+ * @param {Array} board - The game board
+ * @returns {Array} - Array of [pos1, pos2] pairs
+ */
+function listLegalMoves(board) {
+    return MatchDetector.findAllPossibleMatches(board);
+}
+
+/**
+ * Built-in strategies: (state, legalMoves) => [pos1, pos2]
+ */
+const strategies = {
+    // Any legal swap
+    random(state, moves) {
+        return Random.pick(moves);
+    },
+
+    // First legal swap in reading order
+    first(state, moves) {
+        return moves[0];
+    },
+
+    // Whatever the hint button would show first
+    greedy(state, moves) {
+        let best = null;
+        let bestScore = -Infinity;
+
+        for (const [pos1, pos2] of moves) {
+            const { score } = Engine.evaluateMove(state.board, pos1, pos2);
+            if (score > bestScore) {
+                best = [pos1, pos2];
+                bestScore = score;
+            }
+        }
+
+        return best;
+    }
+};
+
+/**
+ * Resolve a strategy name or module path to a function
+ */
+function resolveStrategy(name) {
+    if (typeof name === 'function') return name;
+    if (strategies[name]) return strategies[name];
+
+    const strategy = require(path.resolve(name));
+    if (typeof strategy !== 'function') {
+        throw new Error(`Strategy module "${name}" must export a function`);
+    }
+    return strategy;
+}
+
+// ==========================================
+// SIMULATION
+// ==========================================
+
+/**
+ * Play one game until every memory is collected (taking +10 bonus moves
+ * whenever the budget runs out) or maxMoves is reached
+ * @returns {Object} - { completed, movesUsed, bonusPrompts, shuffles }
+ */
+function simulateGame(options, strategy) {
+    Random.setSeed(options.seed);
+    Difficulty.init(options.difficulty);
+    Engine.spawnWeights = Difficulty.weights;
+
+    const mask = Layouts.build(options.layout);
+    const memoryPositions = MemorySystem.generateMemoryPositions(options.gridSize, options.memories, mask);
+    const state = Engine.createState({
+        size: options.gridSize,
+        mask,
+        tileTypes: options.tileTypes,
+        moves: options.moves,
+        memoryPositions
+    });
+
+    let movesUsed = 0;
+    let bonusPrompts = 0;
+
+    while (!Engine.isComplete(state) && movesUsed < options.maxMoves) {
+        if (state.moves <= 0) {
+            bonusPrompts++;
+            state.moves += BONUS_MOVES;
+        }
+
+        const legalMoves = listLegalMoves(state.board);
+        if (legalMoves.length === 0) {
+            Engine.shuffle(state.board);
+            state.shuffles++;
+            continue;
+        }
+
+        Engine.helperBias = Difficulty.biasFor({
+            moves: state.moves,
+            hidden: state.totalMemories - state.revealedCount,
+            startMoves: options.moves,
+            memories: options.memories
+        });
+
+        const move = strategy(state, legalMoves);
+        const { valid } = Engine.playTurn(state, move[0], move[1]);
+        if (!valid) {
+            throw new Error(`Strategy picked an illegal move: ${JSON.stringify(move)}`);
+        }
+        movesUsed++;
+    }
+
+    return {
+        completed: Engine.isComplete(state),
+        movesUsed,
+        bonusPrompts,
+        shuffles: state.shuffles
+    };
+}
+
+/**
+ * Play a batch of games and summarize them
+ * @param {Object} options - { games, moves, gridSize, layout, memories, difficulty, tileTypes, strategy, seed, target, maxMoves }
+ * @returns {Object} - Report
+ */
+function runSimulation(options) {
+    const strategy = resolveStrategy(options.strategy);
+    const baseSeed = Random.normalizeSeed(options.seed);
+    const results = [];
+
+    for (let i = 0; i < options.games; i++) {
+        results.push(simulateGame({ ...options, seed: (baseSeed + i) >>> 0 }, strategy));
+    }
+
+    const completed = results.filter(r => r.completed);
+    const wins = completed.filter(r => r.movesUsed <= options.moves).length;
+    const needed = completed.map(r => r.movesUsed).sort((a, b) => a - b);
+    const mean = list => (list.length ? list.reduce((sum, n) => sum + n, 0) / list.length : 0);
+
+    return {
+        games: options.games,
+        moves: options.moves,
+        gridSize: options.gridSize,
+        layout: options.layout ?? null,
+        memories: options.memories,
+        strategy: typeof options.strategy === 'string' ? options.strategy : 'custom',
+        winRate: wins / options.games,
+        completionRate: completed.length / options.games,
+        meanMovesUsed: mean(completed.map(r => r.movesUsed)),
+        shuffleRate: results.filter(r => r.shuffles > 0).length / options.games,
+        meanShuffles: mean(results.map(r => r.shuffles)),
+        bonusRate: results.filter(r => r.bonusPrompts > 0).length / options.games,
+        meanBonusPrompts: mean(results.map(r => r.bonusPrompts)),
+        recommendedMoves: recommendBudget(needed, options.games, options.target),
+        target: options.target
+    };
+}
+
+/**
+ * Smallest budget (rounded up to 5) that lets `target` of all games finish
+ * @returns {number|null} - null when too few games finished at all
+ */
+function recommendBudget(sortedMovesNeeded, games, target) {
+    const index = Math.ceil(target * games) - 1;
+    if (index < 0 || index >= sortedMovesNeeded.length) {
+        return null;
+    }
+    return Math.ceil(sortedMovesNeeded[index] / 5) * 5;
+}
+
+// ==========================================
+// CONFIG & CLI
+// ==========================================
+
+/**
+ * Read a my-config.js file without a browser
+ * @returns {Object} - { moves, gridSize, layout, memories, difficulty, matchPatterns, tileTypes }
+ */
+function loadConfig(file) {
+    const sandbox = { window: {} };
+    vm.runInNewContext(fs.readFileSync(file, 'utf8'), sandbox, { filename: file });
+
+    const custom = sandbox.window.CustomConfig || {};
+    const settings = custom.settings || {};
+
+    return {
+        moves: settings.moves ?? 75,
+        gridSize: settings.gridSize ?? 8,
+        layout: settings.layout ?? null,
+        memories: Array.isArray(custom.memories) ? custom.memories.length : 2,
+        difficulty: settings.difficulty,
+        matchPatterns: Array.isArray(settings.matchPatterns) ? settings.matchPatterns : [],
+        tileTypes: TileSet.init(custom.tiles).map(tile => tile.name)
+    };
+}
+
+/**
+ * Parse command line flags
+ */
+function parseArgs(argv) {
+    const args = {};
+    const names = {
+        '--config': 'config',
+        '--games': 'games',
+        '--moves': 'moves',
+        '--grid': 'gridSize',
+        '--layout': 'layout',
+        '--memories': 'memories',
+        '--strategy': 'strategy',
+        '--seed': 'seed',
+        '--target': 'target',
+        '--max-moves': 'maxMoves'
+    };
+    const numeric = new Set(['games', 'moves', 'gridSize', 'memories', 'target', 'maxMoves']);
+
+    for (let i = 0; i < argv.length; i++) {
+        const flag = argv[i];
+        if (flag === '--json') {
+            args.json = true;
+            continue;
+        }
+
+        const name = names[flag];
+        if (!name || i + 1 >= argv.length) {
+            throw new Error(`Unknown or incomplete option: ${flag}`);
+        }
+
+        const value = argv[++i];
+        args[name] = numeric.has(name) ? Number(value) : value;
+        if (numeric.has(name) && !Number.isFinite(args[name])) {
+            throw new Error(`Option ${flag} expects a number, got "${value}"`);
+        }
+    }
+
+    return args;
+}
+
+/**
+ * Human-readable report
+ */
+function formatReport(report) {
+    const pct = n => `${(n * 100).toFixed(1)}%`;
+    const board = !report.layout ? `${report.gridSize}x${report.gridSize} grid`
+        : typeof report.layout === 'string' ? `${report.layout} board` : 'custom board';
+    const lines = [
+        `Simulated ${report.games} games (${board}, ` +
+            `${report.memories} memories, ${report.moves} moves, ${report.strategy} strategy)`,
+        '',
+        `  Win rate (no bonus moves)   ${pct(report.winRate)}`,
+        `  Finished at all             ${pct(report.completionRate)}`,
+        `  Mean moves used             ${report.meanMovesUsed.toFixed(1)}`,
+        `  Games needing a shuffle     ${pct(report.shuffleRate)} (mean ${report.meanShuffles.toFixed(2)} per game)`,
+        `  Games showing bonus modal   ${pct(report.bonusRate)} (mean ${report.meanBonusPrompts.toFixed(2)} per game)`,
+        ''
+    ];
+
+    if (report.recommendedMoves === null) {
+        lines.push(`  Too few games finished to recommend a budget for a ${pct(report.target)} win rate.`);
+    } else {
+        lines.push(`  Recommended moves for a ${pct(report.target)} win rate: ${report.recommendedMoves}`);
+    }
+
+    return lines.join('\n');
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const config = loadConfig(args.config || defaults.config);
+    MatchDetector.addPatterns(config.matchPatterns);
+    const options = {
+        ...defaults,
+        ...config,
+        ...args
+    };
+
+    const report = runSimulation(options);
+    console.log(args.json ? JSON.stringify(report, null, 2) : formatReport(report));
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = {
+    listLegalMoves,
+    strategies,
+    simulateGame,
+    runSimulation,
+    recommendBudget,
+    loadConfig,
+    parseArgs,
+    formatReport
+};